@@ -1,43 +1,29 @@
 // config/embeddings.js
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const GoogleEmbeddingProvider = require('../providers/embeddings/googleEmbeddingProvider');
+const HashedEmbeddingProvider = require('../providers/embeddings/hashedEmbeddingProvider');
 
-// Initialize the core client with your API key
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const providers = {
+  google: GoogleEmbeddingProvider,
+  hashed: HashedEmbeddingProvider,
+};
 
-// Get the specific model for text embeddings
-const model = genAI.getGenerativeModel({ model: "text-embedding-004" });
+const embeddingConfig = {
+  provider: process.env.EMBEDDING_PROVIDER || 'google',
+  model: process.env.EMBEDDING_MODEL,
+  dimensions: parseInt(process.env.EMBEDDING_DIMENSIONS) || undefined,
+};
 
-class GoogleEmbeddingsClient {
-  constructor() {
-    this.modelName = "google-text-embedding-004";
-  }
-
-  async embed(texts) {
-    if (!texts || texts.length === 0) {
-      return [];
-    }
-    try {
-      // Use batchEmbedContents for efficiency
-      const result = await model.batchEmbedContents({
-        requests: texts.map(text => ({
-          model: `models/${this.modelName}`,
-          content: { parts: [{ text }] }
-        }))
-      });
-      // Extract the vector values from the response
-      return result.embeddings.map(e => e.values);
-    } catch (error) {
-      console.error('Error creating Google embeddings:', error);
-      throw new Error('Failed to create embeddings');
-    }
-  }
-
-  async embedSingle(text) {
-    const embeddings = await this.embed([text]);
-    return embeddings[0];
+function createEmbeddingProvider(config = embeddingConfig) {
+  const Provider = providers[config.provider];
+  if (!Provider) {
+    throw new Error(
+      `Unknown EMBEDDING_PROVIDER "${config.provider}" (expected one of: ${Object.keys(providers).join(', ')})`
+    );
   }
+  return new Provider(config);
 }
 
-// Export a single instance of the client
-module.exports = new GoogleEmbeddingsClient();
\ No newline at end of file
+// Export a single instance of the active provider
+module.exports = createEmbeddingProvider();
+module.exports.createEmbeddingProvider = createEmbeddingProvider;
@@ -0,0 +1,51 @@
+// config/llm.js
+const GeminiProvider = require("../providers/llm/geminiProvider");
+const OpenAICompatibleProvider = require("../providers/llm/openAICompatibleProvider");
+const StubProvider = require("../providers/llm/stubProvider");
+
+const providers = {
+  gemini: GeminiProvider,
+  openai: OpenAICompatibleProvider,
+  stub: StubProvider,
+};
+
+const defaultModels = {
+  gemini: "gemini-1.5-flash-latest",
+  openai: "gpt-4o-mini",
+  stub: "stub",
+};
+
+function parseNumber(value, fallback) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+const providerName = process.env.LLM_PROVIDER || "gemini";
+
+const llmConfig = {
+  provider: providerName,
+  model: process.env.LLM_MODEL || defaultModels[providerName],
+  temperature: parseNumber(process.env.LLM_TEMPERATURE, 0.7),
+  maxTokens: parseInt(process.env.LLM_MAX_TOKENS) || 1024,
+  topP: parseNumber(process.env.LLM_TOP_P, 0.8),
+  topK: parseInt(process.env.LLM_TOP_K) || 40,
+  baseUrl: process.env.LLM_BASE_URL,
+  apiKey: process.env.LLM_API_KEY,
+  timeout: parseInt(process.env.LLM_TIMEOUT_MS) || 60000,
+};
+
+function createLLMProvider(config = llmConfig) {
+  const Provider = providers[config.provider];
+  if (!Provider) {
+    throw new Error(
+      `Unknown LLM_PROVIDER "${config.provider}" (expected one of: ${Object.keys(providers).join(", ")})`
+    );
+  }
+  return new Provider(config);
+}
+
+module.exports = {
+  llm: createLLMProvider(),
+  llmConfig,
+  createLLMProvider,
+};
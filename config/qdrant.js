@@ -1,6 +1,7 @@
 // config/qdrant.js
 
 const { QdrantClient } = require('@qdrant/js-client-rest');
+const embeddings = require('./embeddings');
 
 // Initialize the Qdrant client
 const client = new QdrantClient({
@@ -9,25 +10,84 @@ const client = new QdrantClient({
 
 const collectionName = process.env.QDRANT_COLLECTION_NAME || 'news_articles';
 
+// Payload fields used by chat filters, passage grouping and the article catalog
+const payloadIndexes = {
+  title: { type: 'text', tokenizer: 'word', lowercase: true },
+  source: 'keyword',
+  categories: 'keyword',
+  author: 'keyword',
+  publishedAt: 'datetime',
+  articleId: 'keyword',
+  passageIndex: 'integer',
+  storyId: 'keyword',
+  entities: 'keyword',
+  people: 'keyword',
+  organizations: 'keyword',
+  places: 'keyword',
+};
+
+/**
+ * Creates the payload indexes that keep filtered searches fast.
+ * Creating an index that already exists is a no-op in Qdrant.
+ */
+async function ensurePayloadIndexes() {
+  for (const [fieldName, fieldSchema] of Object.entries(payloadIndexes)) {
+    try {
+      await client.createPayloadIndex(collectionName, {
+        field_name: fieldName,
+        field_schema: fieldSchema,
+        wait: true,
+      });
+    } catch (error) {
+      console.error(`⚠️ Could not create payload index for "${fieldName}":`, error.message);
+    }
+  }
+}
+
+/**
+ * Refuses to use a collection built with a different embedding model: the
+ * vector size must match the active provider, and so must the
+ * `embeddingModel` recorded on the stored points (checked on one sample).
+ */
+async function assertEmbeddingModel(collectionInfo) {
+  const vectorSize = collectionInfo.config?.params?.vectors?.size;
+  if (vectorSize && vectorSize !== embeddings.dimensions) {
+    throw new Error(
+      `Collection "${collectionName}" stores ${vectorSize}-dimensional vectors but ` +
+      `${embeddings.modelName} produces ${embeddings.dimensions}. ` +
+      'Re-ingest (npm run reingest) or set QDRANT_COLLECTION_NAME to a separate collection.'
+    );
+  }
+
+  const { points } = await client.scroll(collectionName, { limit: 1, with_payload: ['embeddingModel'] });
+  const storedModel = points[0]?.payload?.embeddingModel;
+  if (storedModel && storedModel !== embeddings.modelName) {
+    throw new Error(
+      `Collection "${collectionName}" was built with ${storedModel} but the active ` +
+      `embedding model is ${embeddings.modelName}; mixing models makes search results meaningless. ` +
+      'Re-ingest (npm run reingest) or set QDRANT_COLLECTION_NAME to a separate collection.'
+    );
+  }
+}
+
 /**
  * Initializes the Qdrant collection, creating it if it doesn't exist.
  * This function is safe to run on every application start.
  */
 async function initializeCollection() {
+  let collectionInfo;
   try {
     // Check if the collection already exists
-    await client.getCollection(collectionName);
-    console.log(`✅ Qdrant collection "${collectionName}" already exists.`);
+    collectionInfo = await client.getCollection(collectionName);
   } catch (error) {
     // If the collection does not exist, Qdrant throws an error.
     // We can safely ignore the error and create the collection.
     if (error.status === 404 || error.code === 'NOT_FOUND') {
       console.log(`Collection "${collectionName}" not found. Creating a new one...`);
-      
-      // Define the parameters for the new collection's vectors
+
+      // The vector size follows the active embedding provider
       const vectorParams = {
-        // This is the CRITICAL CHANGE to match the Google Gemini model
-        size: 768, 
+        size: embeddings.dimensions,
         distance: 'Cosine'
       };
 
@@ -35,17 +95,24 @@ async function initializeCollection() {
       await client.recreateCollection(collectionName, {
         vectors: vectorParams,
       });
-      console.log(`✅ Successfully created Qdrant collection "${collectionName}".`);
-    } else {
-      // For any other errors, we should log them.
-      console.error('❌ Error initializing Qdrant collection:', error);
-      throw error;
+      console.log(`✅ Successfully created Qdrant collection "${collectionName}" (${embeddings.modelName}, ${embeddings.dimensions} dims).`);
+      await ensurePayloadIndexes();
+      return;
     }
+    // For any other errors, we should log them.
+    console.error('❌ Error initializing Qdrant collection:', error);
+    throw error;
   }
+
+  await assertEmbeddingModel(collectionInfo);
+  console.log(`✅ Qdrant collection "${collectionName}" already exists.`);
+  await ensurePayloadIndexes();
 }
 
 module.exports = {
   client,
   collectionName,
   initializeCollection,
+  ensurePayloadIndexes,
+  assertEmbeddingModel,
 };
\ No newline at end of file
@@ -0,0 +1,22 @@
+// config/vectorStore.js
+
+// "qdrant" (default) needs a running Qdrant; "file" keeps everything in-process
+const backend = process.env.VECTOR_STORE || 'qdrant';
+const collectionName = process.env.QDRANT_COLLECTION_NAME || 'news_articles';
+
+// Backends are required lazily so the file store never constructs a Qdrant client
+function createVectorStore(name = backend) {
+  if (name === 'qdrant') {
+    const QdrantVectorStore = require('../providers/vectorStore/qdrantVectorStore');
+    return new QdrantVectorStore();
+  }
+  if (name === 'file') {
+    const FileVectorStore = require('../providers/vectorStore/fileVectorStore');
+    return new FileVectorStore(collectionName, process.env.VECTOR_STORE_PATH);
+  }
+  throw new Error(`Unknown VECTOR_STORE "${name}" (expected one of: qdrant, file)`);
+}
+
+// Export a single instance of the active backend
+module.exports = createVectorStore();
+module.exports.createVectorStore = createVectorStore;
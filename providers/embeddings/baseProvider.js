@@ -0,0 +1,31 @@
+// providers/embeddings/baseProvider.js
+
+/**
+ * Common shape of every embedding backend. `modelName` identifies the model
+ * (stored on every point as `embeddingModel`) and `dimensions` is the vector
+ * size the collection is created with. Vectors from different models are not
+ * comparable, so a collection only ever holds one model.
+ */
+class EmbeddingProvider {
+  constructor(name, { modelName, dimensions }) {
+    this.name = name;
+    this.modelName = modelName;
+    this.dimensions = dimensions;
+  }
+
+  // Resolves to one vector per text, in order
+  async embed() {
+    throw new Error(`${this.name} embedding provider does not implement embed()`);
+  }
+
+  async embedSingle(text) {
+    const embeddings = await this.embed([text]);
+    return embeddings[0];
+  }
+
+  describe() {
+    return { provider: this.name, model: this.modelName, dimensions: this.dimensions };
+  }
+}
+
+module.exports = EmbeddingProvider;
@@ -0,0 +1,46 @@
+// providers/embeddings/googleEmbeddingProvider.js
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+const EmbeddingProvider = require("./baseProvider");
+
+// Output sizes of the Google embedding models we know about
+const MODEL_DIMENSIONS = {
+  "text-embedding-004": 768,
+  "embedding-001": 768,
+};
+
+class GoogleEmbeddingProvider extends EmbeddingProvider {
+  constructor(config = {}) {
+    const model = config.model || "text-embedding-004";
+    super("google", {
+      // Kept as "google-<model>" so existing collections stay compatible
+      modelName: `google-${model}`,
+      dimensions: config.dimensions || MODEL_DIMENSIONS[model] || 768,
+    });
+    this.model = model;
+
+    const genAI = new GoogleGenerativeAI(config.apiKey || process.env.GEMINI_API_KEY);
+    this.client = genAI.getGenerativeModel({ model });
+  }
+
+  async embed(texts) {
+    if (!texts || texts.length === 0) {
+      return [];
+    }
+    try {
+      // Use batchEmbedContents for efficiency
+      const result = await this.client.batchEmbedContents({
+        requests: texts.map(text => ({
+          model: `models/${this.model}`,
+          content: { parts: [{ text }] }
+        }))
+      });
+      // Extract the vector values from the response
+      return result.embeddings.map(e => e.values);
+    } catch (error) {
+      console.error('Error creating Google embeddings:', error);
+      throw new Error('Failed to create embeddings');
+    }
+  }
+}
+
+module.exports = GoogleEmbeddingProvider;
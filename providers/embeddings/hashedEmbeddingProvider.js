@@ -0,0 +1,68 @@
+// providers/embeddings/hashedEmbeddingProvider.js
+const EmbeddingProvider = require("./baseProvider");
+
+const WORD_WEIGHT = 1;
+const BIGRAM_WEIGHT = 0.5;
+const TRIGRAM_WEIGHT = 0.25;
+
+// 32-bit FNV-1a: fast, dependency free and stable across platforms
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function normalizeWords(text) {
+  return (text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Offline embedder for air-gapped development: hashes words, adjacent word
+ * pairs and character trigrams into a fixed-size vector (the "hashing
+ * trick") and L2-normalizes it. Deterministic and free, but only captures
+ * lexical similarity, so answer quality is well below a real model.
+ */
+class HashedEmbeddingProvider extends EmbeddingProvider {
+  constructor(config = {}) {
+    const dimensions = config.dimensions || 384;
+    super("hashed", { modelName: `hashed-ngram-v1-${dimensions}`, dimensions });
+  }
+
+  // A second hash bit picks the sign so collisions cancel out on average
+  addFeature(vector, feature, weight) {
+    const hash = fnv1a(feature);
+    vector[hash % this.dimensions] += hash & 0x80000000 ? -weight : weight;
+  }
+
+  embedText(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = normalizeWords(text);
+
+    words.forEach((word, i) => {
+      this.addFeature(vector, `w:${word}`, WORD_WEIGHT);
+      if (i > 0) this.addFeature(vector, `b:${words[i - 1]} ${word}`, BIGRAM_WEIGHT);
+
+      const padded = `^${word}$`;
+      for (let j = 0; j <= padded.length - 3; j++) {
+        this.addFeature(vector, `t:${padded.substring(j, j + 3)}`, TRIGRAM_WEIGHT);
+      }
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm ? vector.map((v) => v / norm) : vector;
+  }
+
+  async embed(texts) {
+    return (texts || []).map((text) => this.embedText(text));
+  }
+}
+
+module.exports = HashedEmbeddingProvider;
@@ -0,0 +1,59 @@
+// providers/llm/baseProvider.js
+
+const FALLBACK_ANSWER = "⚠️ Sorry, I couldn’t generate a response right now.";
+const RETRYABLE_STATUSES = [429, 503];
+
+/**
+ * Common shape of every LLM backend:
+ * - `generate(prompt, options)` resolves to the full completion text
+ * - `stream(prompt, options)` is an async iterable of text chunks
+ * - `countTokens(text)` resolves to the prompt size in tokens
+ * `options` may override `temperature` and `maxTokens` per call.
+ */
+class LLMProvider {
+  constructor(name, config = {}) {
+    this.name = name;
+    this.model = config.model;
+    this.temperature = config.temperature;
+    this.maxTokens = config.maxTokens;
+  }
+
+  async generate() {
+    throw new Error(`${this.name} provider does not implement generate()`);
+  }
+
+  // Providers without native streaming yield the whole completion at once
+  async *stream(prompt, options = {}) {
+    yield await this.generate(prompt, options);
+  }
+
+  // Rough estimate (~4 characters per token) for backends without a tokenizer
+  async countTokens(text) {
+    return Math.ceil((text || "").length / 4);
+  }
+
+  // Generates text for a fully built prompt, retrying when the backend is
+  // overloaded or rate limited. Never throws; returns an apology instead.
+  async safeGenerate(prompt, options = {}, retries = 3) {
+    for (let i = 0; i < retries; i++) {
+      try {
+        return await this.generate(prompt, options);
+      } catch (err) {
+        if (RETRYABLE_STATUSES.includes(err.status) && i < retries - 1) {
+          console.warn(`⚠️ ${this.name} overloaded. Retrying in ${2 ** i}s...`);
+          await new Promise((r) => setTimeout(r, 1000 * 2 ** i));
+          continue;
+        }
+        console.error(`❌ ${this.name} generation failed:`, err.message);
+        return FALLBACK_ANSWER;
+      }
+    }
+  }
+
+  describe() {
+    return { provider: this.name, model: this.model };
+  }
+}
+
+module.exports = LLMProvider;
+module.exports.FALLBACK_ANSWER = FALLBACK_ANSWER;
@@ -0,0 +1,64 @@
+// providers/llm/geminiProvider.js
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+const LLMProvider = require("./baseProvider");
+
+const SAFETY_SETTINGS = [
+  {
+    category: "HARM_CATEGORY_HARASSMENT",
+    threshold: "BLOCK_MEDIUM_AND_ABOVE",
+  },
+  {
+    category: "HARM_CATEGORY_HATE_SPEECH",
+    threshold: "BLOCK_MEDIUM_AND_ABOVE",
+  },
+];
+
+class GeminiProvider extends LLMProvider {
+  constructor(config = {}) {
+    super("gemini", config);
+    this.topP = config.topP;
+    this.topK = config.topK;
+
+    const genAI = new GoogleGenerativeAI(config.apiKey || process.env.GEMINI_API_KEY);
+    this.client = genAI.getGenerativeModel({
+      model: this.model,
+      generationConfig: this.generationConfig(),
+      safetySettings: SAFETY_SETTINGS,
+    });
+  }
+
+  generationConfig(options = {}) {
+    return {
+      temperature: options.temperature ?? this.temperature,
+      topP: this.topP,
+      topK: this.topK,
+      maxOutputTokens: options.maxTokens ?? this.maxTokens,
+    };
+  }
+
+  request(prompt, options) {
+    return {
+      contents: [{ role: "user", parts: [{ text: prompt }] }],
+      generationConfig: this.generationConfig(options),
+    };
+  }
+
+  async generate(prompt, options = {}) {
+    const result = await this.client.generateContent(this.request(prompt, options));
+    return result.response.text();
+  }
+
+  async *stream(prompt, options = {}) {
+    const result = await this.client.generateContentStream(this.request(prompt, options));
+    for await (const chunk of result.stream) {
+      yield chunk.text();
+    }
+  }
+
+  async countTokens(text) {
+    const { totalTokens } = await this.client.countTokens(text);
+    return totalTokens;
+  }
+}
+
+module.exports = GeminiProvider;
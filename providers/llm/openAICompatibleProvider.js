@@ -0,0 +1,86 @@
+// providers/llm/openAICompatibleProvider.js
+const axios = require("axios");
+const LLMProvider = require("./baseProvider");
+
+/**
+ * Talks to any server exposing the OpenAI chat completions API, e.g.
+ * OpenAI itself, llama.cpp's `llama-server` or Ollama (`/v1`).
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+  constructor(config = {}) {
+    super("openai", config);
+    this.baseUrl = (config.baseUrl || "http://localhost:11434/v1").replace(/\/+$/, "");
+    this.http = axios.create({
+      baseURL: this.baseUrl,
+      timeout: config.timeout,
+      headers: config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {},
+    });
+  }
+
+  body(prompt, options, stream) {
+    return {
+      model: this.model,
+      messages: [{ role: "user", content: prompt }],
+      temperature: options.temperature ?? this.temperature,
+      max_tokens: options.maxTokens ?? this.maxTokens,
+      stream,
+    };
+  }
+
+  // Surfaces the HTTP status so safeGenerate() can retry on 429/503
+  toError(error) {
+    const status = error.response?.status;
+    const wrapped = new Error(
+      status
+        ? `${this.baseUrl} responded with ${status}`
+        : `${this.baseUrl} unreachable: ${error.message}`
+    );
+    wrapped.status = status;
+    return wrapped;
+  }
+
+  async generate(prompt, options = {}) {
+    try {
+      const { data } = await this.http.post(
+        "/chat/completions",
+        this.body(prompt, options, false)
+      );
+      return data.choices?.[0]?.message?.content || "";
+    } catch (error) {
+      throw this.toError(error);
+    }
+  }
+
+  // Parses the server-sent events stream: `data: {json}` lines ending with
+  // `data: [DONE]`
+  async *stream(prompt, options = {}) {
+    let response;
+    try {
+      response = await this.http.post(
+        "/chat/completions",
+        this.body(prompt, options, true),
+        { responseType: "stream" }
+      );
+    } catch (error) {
+      throw this.toError(error);
+    }
+
+    let buffer = "";
+    for await (const data of response.data) {
+      buffer += data.toString("utf8");
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const payload = line.replace(/^data:\s*/, "").trim();
+        if (!line.startsWith("data:") || !payload) continue;
+        if (payload === "[DONE]") return;
+
+        const text = JSON.parse(payload).choices?.[0]?.delta?.content;
+        if (text) yield text;
+      }
+    }
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,34 @@
+// providers/llm/stubProvider.js
+const LLMProvider = require("./baseProvider");
+
+/**
+ * Deterministic offline backend for development and tests: no network, same
+ * output for the same prompt. It echoes the last quoted string of the prompt
+ * (the user's question in every prompt this app builds), so query rewriting
+ * is a no-op, and when the prompt carries numbered `[n]` context it answers
+ * with the first context entry cited as [1].
+ */
+class StubProvider extends LLMProvider {
+  constructor(config = {}) {
+    super("stub", { ...config, model: config.model || "stub" });
+  }
+
+  async generate(prompt) {
+    const quoted = [...(prompt || "").matchAll(/"([^"\n]+)"/g)];
+    const question = quoted.length ? quoted[quoted.length - 1][1] : "";
+
+    const context = (prompt || "").match(/^\[1\]\s*(.+)$/m);
+    if (!context) return question;
+    return `Stub answer to "${question}": ${context[1].trim()} [1]`;
+  }
+
+  // Splits the completion into word-sized chunks to exercise streaming paths
+  async *stream(prompt, options = {}) {
+    const text = await this.generate(prompt, options);
+    for (const chunk of text.match(/\S+\s*/g) || []) {
+      yield chunk;
+    }
+  }
+}
+
+module.exports = StubProvider;
@@ -0,0 +1,52 @@
+// providers/vectorStore/baseStore.js
+
+/**
+ * Common shape of every vector store backend. Points are
+ * `{ id, vector, payload }` and `filters` use the shape produced by
+ * services/queryFilters.js. Search hits are `{ id, score, payload, vector }`
+ * ordered by descending cosine similarity.
+ */
+class VectorStore {
+  constructor(name, collectionName) {
+    this.name = name;
+    this.collectionName = collectionName;
+  }
+
+  notImplemented(method) {
+    return new Error(`${this.name} vector store does not implement ${method}()`);
+  }
+
+  // Creates the collection for the active embedding model if needed
+  async initialize() { throw this.notImplemented('initialize'); }
+
+  async upsert(points) { throw this.notImplemented('upsert'); }
+
+  async retrieve(ids, options) { throw this.notImplemented('retrieve'); }
+
+  // options: { limit, scoreThreshold, filters, withVectors }
+  async search(vector, options) { throw this.notImplemented('search'); }
+
+  // Points similar to the stored vectors of `ids` (the ids themselves are
+  // never returned); options are the same as for search()
+  async recommend(ids, options) { throw this.notImplemented('recommend'); }
+
+  async delete(ids) { throw this.notImplemented('delete'); }
+
+  // Drops every point and recreates an empty collection
+  async clear() { throw this.notImplemented('clear'); }
+
+  async count(filters) { throw this.notImplemented('count'); }
+
+  // options: { filters, limit, offset, withVectors, fields, orderBy }, where
+  // `fields` limits the returned payload keys; resolves to
+  // { points, nextOffset } with nextOffset null on the last page.
+  // `orderBy: { field, direction, startFrom }` pages by an indexed payload
+  // value instead: points lacking the field are skipped, `startFrom` is
+  // inclusive and nextOffset is always null
+  async scroll(options) { throw this.notImplemented('scroll'); }
+
+  // Collection summary for health checks and monitoring
+  async info() { throw this.notImplemented('info'); }
+}
+
+module.exports = VectorStore;
@@ -0,0 +1,225 @@
+// providers/vectorStore/fileVectorStore.js
+const fs = require('fs');
+const path = require('path');
+const embeddings = require('../../config/embeddings');
+const { matchesFilters } = require('../../services/queryFilters');
+const { cosineSimilarity } = require('../../services/diversity');
+const VectorStore = require('./baseStore');
+
+/**
+ * In-process vector store persisted to a JSON file, for running the whole
+ * stack on a laptop without Qdrant. Search is a brute-force cosine scan,
+ * which is fine for a few thousand passages. The ingestion scripts and the
+ * server are separate processes, so the file is reloaded whenever it
+ * changes on disk.
+ */
+class FileVectorStore extends VectorStore {
+  constructor(collectionName, filePath) {
+    super('file', collectionName);
+    this.filePath = filePath ||
+      path.join(__dirname, '..', '..', 'data', `${collectionName}.vectors.json`);
+    this.reset();
+  }
+
+  reset() {
+    this.points = new Map(); // String(id) -> { id, vector, payload }
+    this.embeddingModel = null;
+    this.dimensions = null;
+    this.loadedMtime = null;
+  }
+
+  exists() {
+    return fs.existsSync(this.filePath);
+  }
+
+  load() {
+    this.reset();
+    if (!this.exists()) return this;
+
+    const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    this.embeddingModel = data.embeddingModel;
+    this.dimensions = data.dimensions;
+    for (const point of data.points || []) {
+      this.points.set(String(point.id), point);
+    }
+    this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+    return this;
+  }
+
+  ensureFresh() {
+    const mtime = this.exists() ? fs.statSync(this.filePath).mtimeMs : null;
+    if (mtime !== this.loadedMtime) this.load();
+    return this;
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const data = {
+      collection: this.collectionName,
+      embeddingModel: this.embeddingModel,
+      dimensions: this.dimensions,
+      distance: 'Cosine',
+      updatedAt: new Date().toISOString(),
+      points: [...this.points.values()],
+    };
+    fs.writeFileSync(this.filePath, JSON.stringify(data));
+    this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+  }
+
+  toResult(point, withVectors, score, fields) {
+    const payload = fields
+      ? Object.fromEntries(fields.filter(f => f in point.payload).map(f => [f, point.payload[f]]))
+      : point.payload;
+    return {
+      id: point.id,
+      ...(score !== undefined && { score }),
+      payload,
+      ...(withVectors && { vector: point.vector }),
+    };
+  }
+
+  // Same rule as the Qdrant backend: one embedding model per collection
+  async initialize() {
+    this.ensureFresh();
+    if (!this.exists()) {
+      this.embeddingModel = embeddings.modelName;
+      this.dimensions = embeddings.dimensions;
+      this.save();
+      console.log(`✅ Created local vector store "${this.collectionName}" at ${this.filePath} (${embeddings.modelName}, ${embeddings.dimensions} dims).`);
+      return;
+    }
+
+    if (this.embeddingModel !== embeddings.modelName || this.dimensions !== embeddings.dimensions) {
+      throw new Error(
+        `Local vector store "${this.collectionName}" was built with ${this.embeddingModel} (${this.dimensions} dims) ` +
+        `but the active embedding model is ${embeddings.modelName} (${embeddings.dimensions} dims); ` +
+        'mixing models makes search results meaningless. ' +
+        'Re-ingest (npm run reingest) or set QDRANT_COLLECTION_NAME to a separate collection.'
+      );
+    }
+    console.log(`✅ Local vector store "${this.collectionName}" already exists.`);
+  }
+
+  async upsert(points) {
+    this.ensureFresh();
+    for (const point of points) {
+      if (point.vector.length !== this.dimensions) {
+        throw new Error(`Vector for point ${point.id} has ${point.vector.length} dimensions, expected ${this.dimensions}`);
+      }
+      this.points.set(String(point.id), { id: point.id, vector: point.vector, payload: point.payload });
+    }
+    this.save();
+  }
+
+  async retrieve(ids, options = {}) {
+    this.ensureFresh();
+    return ids
+      .map(id => this.points.get(String(id)))
+      .filter(Boolean)
+      .map(point => this.toResult(point, options.withVectors));
+  }
+
+  async search(vector, options = {}) {
+    this.ensureFresh();
+    const threshold = options.scoreThreshold ?? -Infinity;
+    const hits = [];
+    for (const point of this.points.values()) {
+      if (!matchesFilters(point.payload, options.filters)) continue;
+      const score = cosineSimilarity(vector, point.vector);
+      if (score >= threshold) hits.push({ point, score });
+    }
+
+    return hits
+      .sort((a, b) => b.score - a.score)
+      .slice(0, options.limit || 10)
+      .map(({ point, score }) => this.toResult(point, options.withVectors, score));
+  }
+
+  // Searches with the average of the given points' vectors, like Qdrant's
+  // default recommendation strategy
+  async recommend(ids, options = {}) {
+    this.ensureFresh();
+    const vectors = ids.map(id => this.points.get(String(id))?.vector).filter(Boolean);
+    if (vectors.length === 0) return [];
+
+    const average = vectors[0].map((_, i) => vectors.reduce((sum, v) => sum + v[i], 0) / vectors.length);
+    const excluded = new Set(ids.map(String));
+    const hits = await this.search(average, { ...options, limit: (options.limit || 10) + excluded.size });
+    return hits.filter(hit => !excluded.has(String(hit.id))).slice(0, options.limit || 10);
+  }
+
+  async delete(ids) {
+    this.ensureFresh();
+    ids.forEach(id => this.points.delete(String(id)));
+    this.save();
+  }
+
+  async clear() {
+    if (this.exists()) fs.unlinkSync(this.filePath);
+    this.reset();
+    await this.initialize();
+  }
+
+  async count(filters) {
+    this.ensureFresh();
+    let count = 0;
+    for (const point of this.points.values()) {
+      if (matchesFilters(point.payload, filters)) count++;
+    }
+    return count;
+  }
+
+  // Pages through points in id order; `offset` is the id the page starts at
+  async scroll(options = {}) {
+    this.ensureFresh();
+    const limit = options.limit || 100;
+    const matching = [...this.points.values()]
+      .filter(point => matchesFilters(point.payload, options.filters))
+      .sort((a, b) => (String(a.id) < String(b.id) ? -1 : 1));
+
+    if (options.orderBy) {
+      const { field, direction = 'asc', startFrom } = options.orderBy;
+      const sign = direction === 'desc' ? -1 : 1;
+      const compare = (a, b) => sign * (a < b ? -1 : a > b ? 1 : 0);
+      const points = matching
+        .filter(point => point.payload[field] !== undefined && point.payload[field] !== null)
+        .filter(point => startFrom === undefined || compare(point.payload[field], startFrom) >= 0)
+        .sort((a, b) => compare(a.payload[field], b.payload[field]));
+      return {
+        points: points.slice(0, limit).map(point => this.toResult(point, options.withVectors, undefined, options.fields)),
+        nextOffset: null,
+      };
+    }
+
+    const start = options.offset === undefined || options.offset === null
+      ? 0
+      : matching.findIndex(point => String(point.id) >= String(options.offset));
+    const page = start === -1 ? [] : matching.slice(start, start + limit + 1);
+
+    return {
+      points: page.slice(0, limit).map(point => this.toResult(point, options.withVectors, undefined, options.fields)),
+      nextOffset: page.length > limit ? page[limit].id : null,
+    };
+  }
+
+  async info() {
+    this.ensureFresh();
+    if (!this.exists()) {
+      return { backend: this.name, collection: this.collectionName, exists: false };
+    }
+    return {
+      backend: this.name,
+      collection: this.collectionName,
+      exists: true,
+      status: 'green',
+      pointsCount: this.points.size,
+      vectorsCount: this.points.size,
+      vectorSize: this.dimensions,
+      distance: 'Cosine',
+      embeddingModel: this.embeddingModel,
+      path: this.filePath,
+    };
+  }
+}
+
+module.exports = FileVectorStore;
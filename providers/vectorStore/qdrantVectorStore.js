@@ -0,0 +1,107 @@
+// providers/vectorStore/qdrantVectorStore.js
+const qdrant = require('../../config/qdrant');
+const { toQdrantFilter } = require('../../services/queryFilters');
+const VectorStore = require('./baseStore');
+
+class QdrantVectorStore extends VectorStore {
+  constructor() {
+    super('qdrant', qdrant.collectionName);
+    this.client = qdrant.client;
+  }
+
+  async initialize() {
+    await qdrant.initializeCollection();
+  }
+
+  async upsert(points) {
+    await this.client.upsert(this.collectionName, { wait: true, points });
+  }
+
+  async retrieve(ids, options = {}) {
+    if (ids.length === 0) return [];
+    return this.client.retrieve(this.collectionName, {
+      ids,
+      with_payload: true,
+      with_vector: Boolean(options.withVectors),
+    });
+  }
+
+  async search(vector, options = {}) {
+    return this.client.search(this.collectionName, {
+      vector,
+      limit: options.limit,
+      score_threshold: options.scoreThreshold,
+      filter: toQdrantFilter(options.filters),
+      with_payload: true,
+      with_vector: Boolean(options.withVectors),
+    });
+  }
+
+  async recommend(ids, options = {}) {
+    return this.client.recommend(this.collectionName, {
+      positive: ids,
+      limit: options.limit,
+      score_threshold: options.scoreThreshold,
+      filter: toQdrantFilter(options.filters),
+      with_payload: true,
+      with_vector: Boolean(options.withVectors),
+    });
+  }
+
+  async delete(ids) {
+    await this.client.delete(this.collectionName, { wait: true, points: ids });
+  }
+
+  async clear() {
+    await this.client.deleteCollection(this.collectionName);
+    await this.initialize();
+  }
+
+  async count(filters) {
+    const { count } = await this.client.count(this.collectionName, {
+      filter: toQdrantFilter(filters),
+      exact: true,
+    });
+    return count;
+  }
+
+  async scroll(options = {}) {
+    const { points, next_page_offset } = await this.client.scroll(this.collectionName, {
+      filter: toQdrantFilter(options.filters),
+      limit: options.limit || 100,
+      offset: options.orderBy ? undefined : options.offset ?? undefined,
+      order_by: options.orderBy && {
+        key: options.orderBy.field,
+        direction: options.orderBy.direction || 'asc',
+        start_from: options.orderBy.startFrom,
+      },
+      with_payload: options.fields || true,
+      with_vector: Boolean(options.withVectors),
+    });
+    return { points, nextOffset: next_page_offset ?? null };
+  }
+
+  async info() {
+    const { collections } = await this.client.getCollections();
+    if (!collections.some(c => c.name === this.collectionName)) {
+      return { backend: this.name, collection: this.collectionName, exists: false };
+    }
+
+    const collectionInfo = await this.client.getCollection(this.collectionName);
+    return {
+      backend: this.name,
+      collection: this.collectionName,
+      exists: true,
+      status: collectionInfo.status,
+      pointsCount: collectionInfo.points_count,
+      vectorsCount: collectionInfo.vectors_count ?? collectionInfo.points_count,
+      indexedVectorsCount: collectionInfo.indexed_vectors_count,
+      segments: collectionInfo.segments_count,
+      vectorSize: collectionInfo.config?.params?.vectors?.size,
+      distance: collectionInfo.config?.params?.vectors?.distance,
+      url: process.env.QDRANT_URL || 'http://localhost:6333',
+    };
+  }
+}
+
+module.exports = QdrantVectorStore;
@@ -0,0 +1,193 @@
+const express = require('express');
+const { validate: isUuid } = require('uuid');
+const articleService = require('../services/articleService');
+const { decodeCursor } = require('../services/articleService');
+const { parseFilters } = require('../services/queryFilters');
+
+const router = express.Router();
+
+// Comma-separated query string values become filter lists
+const listParam = value => (value ? String(value).split(',') : undefined);
+
+// Ingested articles, newest first:
+// GET /api/articles?limit=20&cursor=...&sources=BBC+News&categories=Nepal&from=2025-09-01&q=protests&order=desc
+router.get('/', async (req, res) => {
+  try {
+    const { q, order = 'desc', sources, categories, authors, from, to } = req.query;
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({
+        success: false,
+        error: 'limit must be an integer between 1 and 100'
+      });
+    }
+    if (!['asc', 'desc'].includes(order)) {
+      return res.status(400).json({
+        success: false,
+        error: 'order must be asc or desc'
+      });
+    }
+    if (q !== undefined && !String(q).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'q must not be empty'
+      });
+    }
+
+    const { cursor, error: cursorError } = decodeCursor(req.query.cursor);
+    if (cursorError) {
+      return res.status(400).json({
+        success: false,
+        error: cursorError
+      });
+    }
+
+    const rawFilters = Object.fromEntries(
+      Object.entries({
+        sources: listParam(sources),
+        categories: listParam(categories),
+        authors: listParam(authors),
+        from,
+        to
+      }).filter(([, value]) => value !== undefined)
+    );
+    const { filters, error: filterError } = parseFilters(
+      Object.keys(rawFilters).length > 0 ? rawFilters : undefined
+    );
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        error: filterError
+      });
+    }
+
+    const { articles, total, nextCursor } = await articleService.listArticles({
+      filters,
+      q: q && String(q).trim(),
+      order,
+      limit,
+      cursor
+    });
+
+    res.json({
+      success: true,
+      articles,
+      total,
+      limit,
+      nextCursor
+    });
+  } catch (error) {
+    console.error('Error listing articles:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list articles'
+    });
+  }
+});
+
+// Full stored article: GET /api/articles/:id?maxChars=2000
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const maxChars = req.query.maxChars === undefined ? null : Number(req.query.maxChars);
+
+    if (!isUuid(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'id must be an article uuid'
+      });
+    }
+    if (maxChars !== null && (!Number.isInteger(maxChars) || maxChars < 1)) {
+      return res.status(400).json({
+        success: false,
+        error: 'maxChars must be a positive integer'
+      });
+    }
+
+    const article = await articleService.getArticle(id, { maxChars });
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        error: 'Article not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      article
+    });
+  } catch (error) {
+    console.error('Error getting article:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get article'
+    });
+  }
+});
+
+// "More like this" for a cited source:
+// GET /api/articles/:id/related?limit=5&source=BBC+News&from=2025-09-01&diversify=true
+router.get('/:id/related', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { source, from, to, diversify } = req.query;
+    const limit = req.query.limit === undefined ? 5 : Number(req.query.limit);
+
+    if (!isUuid(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'id must be an article uuid'
+      });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 20) {
+      return res.status(400).json({
+        success: false,
+        error: 'limit must be an integer between 1 and 20'
+      });
+    }
+    if (diversify !== undefined && !['true', 'false'].includes(diversify)) {
+      return res.status(400).json({
+        success: false,
+        error: 'diversify must be true or false'
+      });
+    }
+
+    const { filters, error } = parseFilters({
+      ...(source && { sources: String(source).split(',') }),
+      ...(from && { from }),
+      ...(to && { to })
+    });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const result = await articleService.getRelated(id, {
+      limit,
+      filters,
+      diversify: diversify === 'true'
+    });
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Article not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error finding related articles:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to find related articles'
+    });
+  }
+});
+
+module.exports = router;
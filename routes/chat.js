@@ -1,14 +1,20 @@
 const express = require('express');
-const { updateSessionActivity } = require('./session');
-const { processRAGQuery, getRelevantContext } = require('../services/ragService');
-const { generateStreamingResponse } = require('../config/gemini');
+const { updateSessionActivity } = require('../services/sessionService');
+const ragService = require('../services/ragService');
+const { resolveChatOptions } = require('../services/chatOptions');
 
 const router = express.Router();
 
+// Separates the streamed answer text from the trailing JSON metadata frame
+const STREAM_METADATA_SEPARATOR = '\u001e';
+// Starts a frame holding the final answer text, which replaces everything
+// streamed before it
+const STREAM_REPLACE_SEPARATOR = '\u001d';
+
 // Process chat message (non-streaming)
 router.post('/message', async (req, res) => {
   try {
-    const { message, sessionId, topK = 5 } = req.body; // allow topK param
+    const { message, sessionId } = req.body;
 
     if (!message || !sessionId) {
       return res.status(400).json({
@@ -17,11 +23,19 @@ router.post('/message', async (req, res) => {
       }); 
     }
 
+    const { options, error: optionError } = await resolveChatOptions(req.body);
+    if (optionError) {
+      return res.status(400).json({
+        success: false,
+        error: optionError
+      });
+    }
+
     // Update session with user message
     await updateSessionActivity(sessionId, message);
 
     // Process through RAG pipeline
-    const response = await processRAGQuery(message, sessionId, { topK });
+    const response = await ragService.answer(message, { sessionId, ...options });
 
     // Update session with bot response
     await updateSessionActivity(sessionId, null, response);
@@ -45,7 +59,7 @@ router.post('/message', async (req, res) => {
 // Streaming chat endpoint
 router.post('/stream', async (req, res) => {
   try {
-    const { message, sessionId, topK = 5 } = req.body;
+    const { message, sessionId } = req.body;
 
     if (!message || !sessionId) {
       return res.status(400).json({
@@ -54,6 +68,14 @@ router.post('/stream', async (req, res) => {
       });
     }
 
+    const { options, error: optionError } = await resolveChatOptions(req.body);
+    if (optionError) {
+      return res.status(400).json({
+        success: false,
+        error: optionError
+      });
+    }
+
     // Set headers for streaming
     res.setHeader('Content-Type', 'text/plain');
     res.setHeader('Transfer-Encoding', 'chunked');
@@ -62,26 +84,31 @@ router.post('/stream', async (req, res) => {
     // Update session with user message
     await updateSessionActivity(sessionId, message);
 
-    // Get context from RAG
-    const context = await getRelevantContext(message, { topK });
-    
-    // Generate streaming response
-    const stream = await generateStreamingResponse(message, context);
-    let fullResponse = '';
-
-    for await (const chunk of stream) {
-      const chunkText = chunk.text();
-      fullResponse += chunkText;
-      res.write(chunkText);
-    }
+    // Run the RAG pipeline, streaming answer tokens as they are generated
+    const response = await ragService.answer(message, { sessionId, ...options }, {
+      onStageComplete: (stage, ctx) => {
+        if (stage === 'rewrite') {
+          res.setHeader('X-Rewritten-Query', encodeURIComponent(ctx.searchQuery));
+          res.setHeader('Access-Control-Expose-Headers', 'X-Rewritten-Query');
+        }
+      },
+      onToken: (chunkText) => res.write(chunkText),
+      onReplace: (answer) => res.write(STREAM_REPLACE_SEPARATOR + answer)
+    });
 
-    res.end();
+    // Validated citations and sources are only known once generation ends
+    res.write(STREAM_METADATA_SEPARATOR + JSON.stringify(response));
 
-    // Update session with complete response
-    await updateSessionActivity(sessionId, null, fullResponse);
+    // Update session with the full response, as /message does, before the
+    // client can send a follow-up
+    await updateSessionActivity(sessionId, null, response);
+    res.end();
 
   } catch (error) {
     console.error('Error in streaming chat:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
     res.status(500).json({
       success: false,
       error: 'Failed to process streaming message'
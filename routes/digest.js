@@ -0,0 +1,34 @@
+const express = require('express');
+const digestService = require('../services/digestService');
+const { parseDigestParams } = require('../services/digestService');
+
+const router = express.Router();
+
+// Daily briefing: GET /api/digest?date=2025-09-18&category=World&source=BBC+News
+router.get('/', async (req, res) => {
+  try {
+    const { params, error } = parseDigestParams(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const digest = await digestService.getDigest(params);
+
+    res.json({
+      success: true,
+      digest,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error building digest:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build digest'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,113 @@
+const express = require('express');
+const entityService = require('../services/entityService');
+const { ENTITY_TYPES } = require('../services/entityNames');
+const { parseFilters } = require('../services/queryFilters');
+
+const router = express.Router();
+
+const TYPES = Object.values(ENTITY_TYPES);
+
+// Validates limit/offset query parameters; returns { limit, offset } or { error }
+function parsePage(query, defaultLimit) {
+  const limit = query.limit === undefined ? defaultLimit : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+    return { error: 'limit must be an integer between 1 and 200' };
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { error: 'offset must be a non-negative integer' };
+  }
+  return { limit, offset };
+}
+
+// Most mentioned entities: GET /api/entities?type=person&q=trump&limit=50
+router.get('/', async (req, res) => {
+  try {
+    const { type, q } = req.query;
+    const { limit, offset, error } = parsePage(req.query, 50);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+    if (type !== undefined && !TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `type must be one of: ${TYPES.join(', ')}`
+      });
+    }
+
+    const { entities, total } = await entityService.listEntities({ type, q, limit, offset });
+
+    res.json({
+      success: true,
+      entities,
+      total,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Error listing entities:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list entities'
+    });
+  }
+});
+
+// Articles mentioning an entity, newest first:
+// GET /api/entities/Benjamin%20Netanyahu/articles?limit=20&source=BBC+News
+router.get('/:name/articles', async (req, res) => {
+  try {
+    const { limit, offset, error } = parsePage(req.query, 20);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const { filters, error: filterError } = parseFilters(
+      req.query.source ? { sources: String(req.query.source).split(',') } : undefined
+    );
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        error: filterError
+      });
+    }
+
+    const entity = await entityService.getEntity(req.params.name);
+    if (!entity) {
+      return res.status(404).json({
+        success: false,
+        error: 'Entity not found'
+      });
+    }
+
+    const { articles, total } = await entityService.getArticles(req.params.name, {
+      limit,
+      offset,
+      filters
+    });
+
+    res.json({
+      success: true,
+      entity,
+      articles,
+      total,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Error getting entity articles:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get entity articles'
+    });
+  }
+});
+
+module.exports = router;
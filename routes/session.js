@@ -1,32 +1,16 @@
 const express = require('express');
-const { v4: uuidv4 } = require('uuid');
-const redisClient = require('../config/redis');
+const { SESSION_TTL, createSession, getSession, saveSession } = require('../services/sessionService');
 
 const router = express.Router();
 
 router.post('/create', async (req, res) => {
   try {
-    const sessionId = uuidv4();
-    const sessionData = {
-      id: sessionId,
-      createdAt: new Date().toISOString(),
-      lastActivity: new Date().toISOString(),
-      messageCount: 0,
-      messages: []
-    };
-
-    // Store session in Redis with TTL
-    const ttl = parseInt(process.env.SESSION_TTL) || 86400; // 24 hours
-    await redisClient.setEx(
-      `session:${sessionId}`,
-      ttl,
-      JSON.stringify(sessionData)
-    );
+    const session = await createSession();
 
     res.json({
       success: true,
-      sessionId,
-      expiresIn: ttl
+      sessionId: session.id,
+      expiresIn: SESSION_TTL
     });
   } catch (error) {
     console.error('Error creating session:', error);
@@ -41,16 +25,15 @@ router.post('/create', async (req, res) => {
 router.get('/:sessionId/history', async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const sessionData = await redisClient.get(`session:${sessionId}`);
+    const session = await getSession(sessionId);
     
-    if (!sessionData) {
+    if (!session) {
       return res.status(404).json({
         success: false,
         error: 'Session not found or expired'
       });
     }
 
-    const session = JSON.parse(sessionData);
     res.json({
       success: true,
       history: session.messages,
@@ -70,9 +53,9 @@ router.get('/:sessionId/history', async (req, res) => {
 router.delete('/:sessionId', async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const sessionData = await redisClient.get(`session:${sessionId}`);
+    const session = await getSession(sessionId);
     
-    if (!sessionData) {
+    if (!session) {
       return res.status(404).json({
         success: false,
         error: 'Session not found'
@@ -80,17 +63,10 @@ router.delete('/:sessionId', async (req, res) => {
     }
 
     // Reset session but keep the session ID
-    const session = JSON.parse(sessionData);
     session.messages = [];
     session.messageCount = 0;
     session.lastActivity = new Date().toISOString();
-
-    const ttl = parseInt(process.env.SESSION_TTL) || 86400;
-    await redisClient.setEx(
-      `session:${sessionId}`,
-      ttl,
-      JSON.stringify(session)
-    );
+    await saveSession(session);
 
     res.json({
       success: true,
@@ -105,44 +81,4 @@ router.delete('/:sessionId', async (req, res) => {
   }
 });
 
-// Update session activity
-async function updateSessionActivity(sessionId, userMessage, botResponse) {
-  try {
-    const sessionData = await redisClient.get(`session:${sessionId}`);
-    if (!sessionData) return false;
-
-    const session = JSON.parse(sessionData);
-    session.messages.push({
-      id: uuidv4(),
-      type: 'user',
-      content: userMessage,
-      timestamp: new Date().toISOString()
-    });
-
-    if (botResponse) {
-      session.messages.push({
-        id: uuidv4(),
-        type: 'bot',
-        content: botResponse,
-        timestamp: new Date().toISOString()
-      });
-    }
-
-    session.messageCount = session.messages.length;
-    session.lastActivity = new Date().toISOString();
-
-    const ttl = parseInt(process.env.SESSION_TTL) || 86400;
-    await redisClient.setEx(
-      `session:${sessionId}`,
-      ttl,
-      JSON.stringify(session)
-    );
-
-    return true;
-  } catch (error) {
-    console.error('Error updating session:', error);
-    return false;
-  }
-}
-
-module.exports = { router, updateSessionActivity };
\ No newline at end of file
+module.exports = { router };
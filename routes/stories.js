@@ -0,0 +1,87 @@
+const express = require('express');
+const storyIndex = require('../services/storyIndex');
+
+const router = express.Router();
+
+// Stories seen most recently first: GET /api/stories?limit=20&offset=0&minSources=2
+router.get('/', async (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+    const minSources = req.query.minSources === undefined ? 1 : Number(req.query.minSources);
+    const { since } = req.query;
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({
+        success: false,
+        error: 'limit must be an integer between 1 and 100'
+      });
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'offset must be a non-negative integer'
+      });
+    }
+    if (!Number.isInteger(minSources) || minSources < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'minSources must be a positive integer'
+      });
+    }
+    if (since !== undefined && isNaN(new Date(since).getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'since must be an ISO 8601 date string'
+      });
+    }
+
+    const { stories, total } = storyIndex.list({
+      limit,
+      offset,
+      minSources,
+      since: since && new Date(since).toISOString()
+    });
+
+    res.json({
+      success: true,
+      stories,
+      total,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Error listing stories:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list stories'
+    });
+  }
+});
+
+// One story with its member articles
+router.get('/:id', async (req, res) => {
+  try {
+    const story = storyIndex.get(req.params.id);
+
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        error: 'Story not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      story
+    });
+  } catch (error) {
+    console.error('Error getting story:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get story'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,68 @@
+const express = require('express');
+const timelineService = require('../services/timelineService');
+const { parseFilters } = require('../services/queryFilters');
+
+const router = express.Router();
+
+// Comma-separated query string values become filter lists
+const listParam = value => (value ? String(value).split(',') : undefined);
+
+// Dated event list for a story: GET /api/timeline?q=nepal+protests
+router.get('/', async (req, res) => {
+  try {
+    const { q, limit, sources, categories, authors, from, to } = req.query;
+
+    if (!q || !String(q).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Query parameter q is required'
+      });
+    }
+
+    const parsedLimit = limit === undefined ? undefined : Number(limit);
+    if (parsedLimit !== undefined && (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > 50)) {
+      return res.status(400).json({
+        success: false,
+        error: 'limit must be an integer between 1 and 50'
+      });
+    }
+
+    const rawFilters = Object.fromEntries(
+      Object.entries({
+        sources: listParam(sources),
+        categories: listParam(categories),
+        authors: listParam(authors),
+        from,
+        to
+      }).filter(([, value]) => value !== undefined)
+    );
+    const { filters, error: filterError } = parseFilters(
+      Object.keys(rawFilters).length > 0 ? rawFilters : undefined
+    );
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        error: filterError
+      });
+    }
+
+    const timeline = await timelineService.buildTimeline(String(q).trim(), {
+      limit: parsedLimit,
+      filters
+    });
+
+    res.json({
+      success: true,
+      timeline,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error building timeline:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build timeline'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,41 @@
+const express = require('express');
+const trendingService = require('../services/trendingService');
+const { parseWindow } = require('../services/trendingService');
+
+const router = express.Router();
+
+// Rising entities, categories and stories: GET /api/trending?window=24h&limit=10
+router.get('/', async (req, res) => {
+  try {
+    const { hours, error } = parseWindow(req.query.window);
+    const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+      return res.status(400).json({
+        success: false,
+        error: 'limit must be an integer between 1 and 50'
+      });
+    }
+
+    const trending = await trendingService.getTrending({ hours, limit });
+
+    res.json({
+      success: true,
+      ...trending
+    });
+  } catch (error) {
+    console.error('Error computing trending topics:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compute trending topics'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,3 +1,5 @@
+const fs = require('fs');
+const path = require('path');
 const NewsIngestionService = require('./ingestNews');
 
 class BatchIngestionService extends NewsIngestionService {
@@ -44,11 +46,15 @@ class BatchIngestionService extends NewsIngestionService {
         try {
           // Process embeddings for this batch
           this.articles = batch;
+          await this.extractArticleEntities(batch);
           const batchWithEmbeddings = await this.createEmbeddings();
+
+          // Group with earlier batches' stories before storing
+          await this.clusterStories(batchWithEmbeddings);
           
           // Store in vector database
           const storedCount = await this.storeInVectorDB(batchWithEmbeddings);
-          console.log(`   ✅ Batch ${batchIndex + 1} completed: ${storedCount} articles stored`);
+          console.log(`   ✅ Batch ${batchIndex + 1} completed: ${storedCount} passages stored`);
           
           processedArticles.push(...batchWithEmbeddings);
 
@@ -1,5 +1,9 @@
-const qdrant = require('../config/qdrant');
+const vectorStore = require('../config/vectorStore');
 const redisClient = require('../config/redis');
+const lexicalIndex = require('../services/lexicalIndex');
+const storyIndex = require('../services/storyIndex');
+const cacheService = require('../services/cacheService');
+const trendingService = require('../services/trendingService');
 const fs = require('fs');
 const path = require('path');
 
@@ -8,13 +12,24 @@ class IngestionCleanup {
     console.log('🗑️ Clearing vector database...');
     
     try {
-      // Delete collection
-      await qdrant.client.deleteCollection(qdrant.collectionName);
-      console.log('✅ Vector database cleared');
-      
-      // Recreate collection
-      await qdrant.initializeCollection();
-      console.log('✅ Collection recreated');
+      // Drop every point; the store recreates an empty collection
+      await vectorStore.clear();
+      console.log('✅ Vector database cleared and collection recreated');
+
+      // The keyword index mirrors the collection, so drop it too
+      lexicalIndex.clear();
+      console.log('✅ Keyword index cleared');
+
+      // Story members point at the deleted articles
+      storyIndex.clear();
+      console.log('✅ Story index cleared');
+
+      // Trending counters count the deleted articles
+      await trendingService.clear();
+      console.log('✅ Trending counters cleared');
+
+      // Cached answers cite articles that are gone now
+      await cacheService.recordIngestion();
       
     } catch (error) {
       console.error('❌ Failed to clear vector database:', error.message);
@@ -32,6 +47,20 @@ class IngestionCleanup {
         await redisClient.del(queryKeys);
         console.log(`✅ Cleared ${queryKeys.length} cached queries`);
       }
+
+      // Clear semantic cache answers, embeddings and stats
+      const semanticKeys = await redisClient.keys('semcache:*');
+      if (semanticKeys.length > 0) {
+        await redisClient.del(semanticKeys);
+        console.log(`✅ Cleared ${semanticKeys.length} semantic cache keys`);
+      }
+      
+      // Clear cached daily digests
+      const digestKeys = await redisClient.keys('digest:*');
+      if (digestKeys.length > 0) {
+        await redisClient.del(digestKeys);
+        console.log(`✅ Cleared ${digestKeys.length} cached digests`);
+      }
       
       // Clear session cache (optional)
       const sessionKeys = await redisClient.keys('session:*');
@@ -0,0 +1,66 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const digestService = require('../services/digestService');
+const { parseDigestParams } = require('../services/digestService');
+
+// Writes the daily briefing to data/digests/ as Markdown and JSON
+async function generateDigest(options = {}) {
+  const { params, error } = parseDigestParams(options);
+  if (error) throw new Error(error);
+
+  const digest = await digestService.getDigest(params, { useCache: !options.refresh });
+
+  const digestDir = path.join(__dirname, '..', 'data', 'digests');
+  fs.mkdirSync(digestDir, { recursive: true });
+
+  const slug = [params.date, params.category, params.source]
+    .filter(Boolean)
+    .join('-')
+    .toLowerCase()
+    .replace(/[^a-z0-9-]+/g, '-');
+  const markdownPath = path.join(digestDir, `digest-${slug}.md`);
+  const jsonPath = path.join(digestDir, `digest-${slug}.json`);
+
+  fs.writeFileSync(markdownPath, digestService.formatMarkdown(digest));
+  fs.writeFileSync(jsonPath, JSON.stringify(digest, null, 2));
+
+  console.log(`📰 Digest for ${params.date}: ${digest.stories.length} stories from ${digest.articleCount} articles${digest.fromCache ? ' (cached)' : ''}`);
+  console.log(`💾 Saved ${markdownPath}`);
+  console.log(`💾 Saved ${jsonPath}`);
+  return digest;
+}
+
+module.exports = generateDigest;
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--date':
+        options.date = args[++i];
+        break;
+      case '--category':
+        options.category = args[++i];
+        break;
+      case '--source':
+        options.source = args[++i];
+        break;
+      case '--refresh':
+        options.refresh = true;
+        break;
+      default:
+        console.log('Usage: node scripts/generateDigest.js [--date YYYY-MM-DD] [--category <name>] [--source <name>] [--refresh]');
+        process.exit(1);
+    }
+  }
+
+  generateDigest(options)
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Digest generation failed:', error.message);
+      process.exit(1);
+    });
+}
@@ -1,29 +1,30 @@
 // scripts/healthCheck.js
 
 require('dotenv').config();
-const qdrant = require('../config/qdrant');
+const vectorStore = require('../config/vectorStore');
 const redisClient = require('../config/redis');
 const embeddings = require('../config/embeddings');
-const { model: geminiModel } = require('../config/gemini');
+const { llm, llmConfig } = require('../config/llm');
 
 class HealthChecker {
     constructor() {
         this.services = {
-            qdrant: { name: 'Qdrant Vector DB', status: 'pending' },
+            vectorStore: { name: `Vector DB (${vectorStore.name})`, status: 'pending' },
             redis: { name: 'Redis Cache', status: 'pending' },
-            embeddings: { name: 'Embeddings API (Google)', status: 'pending' },
-            gemini: { name: 'Gemini LLM API', status: 'pending' }
+            embeddings: { name: `Embeddings (${embeddings.name})`, status: 'pending' },
+            llm: { name: `LLM (${llm.name})`, status: 'pending' }
         };
     }
 
-    async checkQdrant() {
+    async checkVectorStore() {
         try {
-            if (!process.env.QDRANT_URL) throw new Error('QDRANT_URL is not set.');
+            if (vectorStore.name === 'qdrant' && !process.env.QDRANT_URL) throw new Error('QDRANT_URL is not set.');
             // A simple way to check is to get collection info.
-            await qdrant.client.getCollection(qdrant.collectionName);
-            this.services.qdrant = { ...this.services.qdrant, status: 'healthy', details: { url: process.env.QDRANT_URL, collection: qdrant.collectionName }};
+            const { exists, pointsCount, url, path } = await vectorStore.info();
+            if (!exists) throw new Error(`Collection "${vectorStore.collectionName}" does not exist. Run npm run ingest.`);
+            this.services.vectorStore = { ...this.services.vectorStore, status: 'healthy', details: { ...(url && { url }), ...(path && { path }), collection: vectorStore.collectionName, points: pointsCount }};
         } catch (error) {
-            this.services.qdrant = { ...this.services.qdrant, status: 'unhealthy', error: error.message };
+            this.services.vectorStore = { ...this.services.vectorStore, status: 'unhealthy', error: error.message };
         }
     }
 
@@ -41,31 +42,39 @@ class HealthChecker {
 
     async checkEmbeddings() {
         try {
-            if (!process.env.GEMINI_API_KEY) throw new Error('GEMINI_API_KEY is not set for embeddings.');
+            if (embeddings.name === 'google' && !process.env.GEMINI_API_KEY) throw new Error('GEMINI_API_KEY is not set for embeddings.');
             // Make a small, cheap embedding call to validate the API key and service.
             await embeddings.embedSingle('health check');
-            this.services.embeddings = { ...this.services.embeddings, status: 'healthy', details: { model: embeddings.modelName, apiKey: 'Configured' }};
+            this.services.embeddings = { ...this.services.embeddings, status: 'healthy', details: embeddings.describe() };
         } catch (error) {
             this.services.embeddings = { ...this.services.embeddings, status: 'unhealthy', error: error.message };
         }
     }
 
-    async checkGemini() {
+    async checkLLM() {
         try {
-            if (!process.env.GEMINI_API_KEY) throw new Error('GEMINI_API_KEY is not set for generation.');
-            // A countTokens call is a cheap way to validate the model and API key.
-            await geminiModel.countTokens('health check');
-            this.services.gemini = { ...this.services.gemini, status: 'healthy', details: { model: geminiModel.model, apiKey: 'Configured' }};
+            if (llm.name === 'gemini' && !process.env.GEMINI_API_KEY && !llmConfig.apiKey) {
+                throw new Error('GEMINI_API_KEY is not set for generation.');
+            }
+            // Gemini's countTokens is a cheap way to validate the model and API key;
+            // other backends need a real (tiny) completion to prove they are reachable.
+            if (llm.name === 'gemini') {
+                await llm.countTokens('health check');
+            } else {
+                await llm.generate('Reply with OK.', { maxTokens: 5 });
+            }
+            this.services.llm = { ...this.services.llm, status: 'healthy', details: { ...llm.describe(), ...(llmConfig.baseUrl && { baseUrl: llmConfig.baseUrl }) }};
         } catch (error) {
-            this.services.gemini = { ...this.services.gemini, status: 'unhealthy', error: error.message };
+            this.services.llm = { ...this.services.llm, status: 'unhealthy', error: error.message };
         }
     }
 
     async checkEnvironmentVariables() {
         const requiredVars = ['GEMINI_API_KEY'];
         const optionalVars = [
-            'REDIS_URL', 'QDRANT_URL', 'RSS_FEEDS', 'SESSION_TTL', 'CACHE_TTL',
-            'MAX_CONTEXT_LENGTH', 'TOP_K_RESULTS', 'SIMILARITY_THRESHOLD', 'FRONTEND_URL', 'PORT'
+            'REDIS_URL', 'VECTOR_STORE', 'QDRANT_URL', 'RSS_FEEDS', 'SESSION_TTL', 'CACHE_TTL',
+            'MAX_CONTEXT_LENGTH', 'TOP_K_RESULTS', 'SIMILARITY_THRESHOLD', 'FRONTEND_URL', 'PORT',
+            'LLM_PROVIDER', 'LLM_MODEL', 'LLM_BASE_URL', 'EMBEDDING_PROVIDER', 'EMBEDDING_MODEL'
         ];
         const envStatus = { required: {}, optional: {} };
 
@@ -87,10 +96,10 @@ class HealthChecker {
     async runFullHealthCheck() {
         console.log('🏥 Starting comprehensive health check...\n');
         await Promise.all([
-            this.checkQdrant(),
+            this.checkVectorStore(),
             this.checkRedis(),
             this.checkEmbeddings(),
-            this.checkGemini()
+            this.checkLLM()
         ]);
         const envStatus = await this.checkEnvironmentVariables();
         this.displayResults(envStatus);
@@ -4,11 +4,24 @@ const path = require('path');
 const axios = require('axios');
 const cheerio = require('cheerio');
 const RSSParser = require('rss-parser');
-const { v4: uuidv4 } = require('uuid');
+const { v4: uuidv4, v5: uuidv5 } = require('uuid');
 
-const qdrant = require('../config/qdrant');
+const vectorStore = require('../config/vectorStore');
 const embeddings = require('../config/embeddings');
-
+const textChunker = require('../services/textChunker');
+const lexicalIndex = require('../services/lexicalIndex');
+const storyIndex = require('../services/storyIndex');
+const { extractEntities, entityKeys } = require('../services/entityExtractor');
+const cacheService = require('../services/cacheService');
+const trendingService = require('../services/trendingService');
+
+// Article ids derive from the URL and passage ids from the article id and
+// position, so re-ingesting an article overwrites its points
+const ID_NAMESPACE = '6f1b3c2e-8d4a-5e7f-9a0b-1c2d3e4f5a6b';
+
+function passageId(articleId, index) {
+  return index === 0 ? articleId : uuidv5(`${articleId}:${index}`, ID_NAMESPACE);
+}
 
 class NewsIngestionService {
   constructor() {
@@ -28,6 +41,9 @@ class NewsIngestionService {
     this.processedCount = 0;
     this.batchSize = 10;
     this.maxArticlesPerFeed = 20;
+    this.chunkSize = textChunker.chunkSize;
+    this.chunkOverlap = textChunker.chunkOverlap;
+    this.maxPassagesPerRequest = 100; // batchEmbedContents request limit
   }
 
   async ingestFromRSSFeeds() {
@@ -87,7 +103,7 @@ class NewsIngestionService {
       content = this.cleanContent(content);
       
       const article = {
-        id: uuidv4(),
+        id: item.link ? uuidv5(item.link, ID_NAMESPACE) : uuidv4(),
         title: this.cleanText(item.title),
         content: content,
         summary: this.generateSummary(item.contentSnippet || item.description || content),
@@ -270,131 +286,268 @@ class NewsIngestionService {
     return true;
   }
 
-  // in scripts/ingestNews.js
+  // Tags every article with the people, organizations and places it mentions
+  async extractArticleEntities(articles = this.articles) {
+    console.log('🏷️ Extracting named entities...');
+    const results = await extractEntities(articles);
+    articles.forEach((article, i) => {
+      article.entities = results[i];
+    });
 
-async createEmbeddings() {
-  console.log('🧠 Creating embeddings for articles...');
-  if (this.articles.length === 0) {
-    console.log('❌ No articles to process for embeddings');
-    return [];
+    const total = new Set(articles.flatMap(article => entityKeys(article.entities))).size;
+    console.log(`✅ Found ${total} distinct entities in ${articles.length} articles`);
+    return total;
   }
-  
-  const articlesWithEmbeddings = [];
-  
-  for (let i = 0; i < this.articles.length; i += this.batchSize) {
-    const batch = this.articles.slice(i, i + this.batchSize);
-    
-    try {
-      console.log(`📊 Processing batch ${Math.floor(i/this.batchSize) + 1}/${Math.ceil(this.articles.length/this.batchSize)}`);
-      
-      const texts = batch.map(article => {
-        const contentSnippet = article.content.substring(0, 1500);
-        return `${article.title}\n\n${article.summary}\n\n${contentSnippet}`.substring(0, 8000);
-      });
-      
-      console.log(`   Processing ${texts.length} articles...`);
-      const batchEmbeddings = await embeddings.embed(texts);
 
-      // --- START: ADDED VALIDATION CHECKS ---
-      if (!Array.isArray(batchEmbeddings)) {
-        throw new Error('API response is not a valid array.');
-      }
-      if (batchEmbeddings.length !== batch.length) {
-        throw new Error(`API returned ${batchEmbeddings.length} embeddings for a batch of ${batch.length} articles. Mismatch occurred.`);
-      }
-      // --- END: ADDED VALIDATION CHECKS ---
+  // Splits every article into overlapping passages. The first passage reuses
+  // the article id so the article can still be addressed by its own id.
+  createPassages(article) {
+    const chunks = textChunker.chunk(article.content, {
+      chunkSize: this.chunkSize,
+      chunkOverlap: this.chunkOverlap
+    });
 
-      for (let j = 0; j < batch.length; j++) {
-        // This check ensures we don't process an invalid embedding from the batch
-        if (!batchEmbeddings[j] || !Array.isArray(batchEmbeddings[j])) {
+    return chunks.map(chunk => ({
+      id: passageId(article.id, chunk.index),
+      index: chunk.index,
+      offset: chunk.offset,
+      text: chunk.text,
+      embeddingText: chunk.index === 0
+        ? `${article.title}\n\n${article.summary}\n\n${chunk.text}`
+        : `${article.title}\n\n${chunk.text}`
+    }));
+  }
+
+  async createEmbeddings() {
+    console.log('🧠 Creating embeddings for article passages...');
+    if (this.articles.length === 0) {
+      console.log('❌ No articles to process for embeddings');
+      return [];
+    }
+
+    const articlesWithEmbeddings = [];
+
+    for (let i = 0; i < this.articles.length; i += this.batchSize) {
+      const batch = this.articles.slice(i, i + this.batchSize);
+
+      try {
+        console.log(`📊 Processing batch ${Math.floor(i/this.batchSize) + 1}/${Math.ceil(this.articles.length/this.batchSize)}`);
+
+        const batchPassages = batch.map(article => this.createPassages(article));
+        const texts = batchPassages.flat().map(passage => passage.embeddingText.substring(0, 8000));
+
+        console.log(`   Processing ${texts.length} passages from ${batch.length} articles...`);
+        const batchEmbeddings = [];
+        for (let k = 0; k < texts.length; k += this.maxPassagesPerRequest) {
+          batchEmbeddings.push(...await embeddings.embed(texts.slice(k, k + this.maxPassagesPerRequest)));
+        }
+
+        if (batchEmbeddings.length !== texts.length) {
+          throw new Error(`API returned ${batchEmbeddings.length} embeddings for a batch of ${texts.length} passages. Mismatch occurred.`);
+        }
+
+        let cursor = 0;
+        for (let j = 0; j < batch.length; j++) {
+          if (batchPassages[j].length === 0) {
+            console.error(`   ⚠️ No content to embed for article index ${j} in batch.`);
+            articlesWithEmbeddings.push({
+              ...batch[j],
+              embedding: null,
+              embeddingError: 'Article has no content to embed.',
+              embeddingCreatedAt: new Date().toISOString()
+            });
+            continue;
+          }
+
+          const passages = batchPassages[j].map(({ embeddingText, ...passage }) => ({
+            ...passage,
+            embedding: batchEmbeddings[cursor++]
+          }));
+
+          // This check ensures we don't store an article with an invalid passage embedding
+          if (passages.some(p => !Array.isArray(p.embedding))) {
             console.error(`   ⚠️ Invalid or missing embedding for article index ${j} in batch.`);
-            // Push the article with an error instead of crashing
             articlesWithEmbeddings.push({
-                ...batch[j],
-                embedding: null,
-                embeddingError: 'Invalid embedding received from API for this article.',
-                embeddingCreatedAt: new Date().toISOString()
+              ...batch[j],
+              embedding: null,
+              embeddingError: 'Invalid embedding received from API for this article.',
+              embeddingCreatedAt: new Date().toISOString()
             });
-            continue; // Skip to the next article
+            continue;
+          }
+
+          articlesWithEmbeddings.push({
+            ...batch[j],
+            embedding: passages[0].embedding,
+            passages,
+            embeddingCreatedAt: new Date().toISOString(),
+            embeddingModel: embeddings.modelName,
+            embeddingDimensions: passages[0].embedding.length || 0
+          });
         }
 
-        articlesWithEmbeddings.push({
-          ...batch[j],
-          embedding: batchEmbeddings[j],
-          embeddingCreatedAt: new Date().toISOString(),
-          embeddingModel: embeddings.modelName,
-          embeddingDimensions: batchEmbeddings[j].length || 0
-        });
-      }
-      
-      this.processedCount += batch.length;
-      console.log(`✅ Processed ${this.processedCount}/${this.articles.length} articles`);
-      
-      if (i + this.batchSize < this.articles.length) {
-        console.log('   Waiting 2 seconds to avoid rate limits...');
-        await new Promise(resolve => setTimeout(resolve, 2000));
+        this.processedCount += batch.length;
+        console.log(`✅ Processed ${this.processedCount}/${this.articles.length} articles`);
+
+        if (i + this.batchSize < this.articles.length) {
+          console.log('   Waiting 2 seconds to avoid rate limits...');
+          await new Promise(resolve => setTimeout(resolve, 2000));
+        }
+
+      } catch (error) {
+        console.error(`❌ Error creating embeddings for batch ${Math.floor(i/this.batchSize) + 1}:`, error.message);
+        for (const article of batch) {
+          articlesWithEmbeddings.push({
+            ...article,
+            embedding: null,
+            embeddingError: error.message,
+            embeddingCreatedAt: new Date().toISOString()
+          });
+        }
       }
-      
+    }
+
+    const successfulEmbeddings = articlesWithEmbeddings.filter(a => a.embedding).length;
+    const passageCount = articlesWithEmbeddings.reduce((sum, a) => sum + (a.passages?.length || 0), 0);
+    console.log(`🎉 Successfully created embeddings for ${successfulEmbeddings}/${articlesWithEmbeddings.length} articles (${passageCount} passages)`);
+    return articlesWithEmbeddings;
+  }
+
+  // Assigns every embedded article to a story shared with other reports of
+  // the same event (possibly from an earlier run) and records its storyId
+  async clusterStories(articlesWithEmbeddings) {
+    console.log('🧩 Clustering articles into stories...');
+    storyIndex.ensureFresh();
+    const storiesBefore = storyIndex.stories.size;
+    const articles = articlesWithEmbeddings
+      .filter(article => article.embedding)
+      .sort((a, b) => a.publishedAt.localeCompare(b.publishedAt));
+
+    // Re-ingested articles leave their story with the embedding they joined
+    // it with: the stored vector of the earlier copy's first passage
+    const previousIds = articles
+      .map(article => storyIndex.findMember(article.url)?.member.articleId)
+      .filter(Boolean);
+    const previousVectors = new Map();
+    try {
+      const points = await vectorStore.retrieve(previousIds, { withVectors: true });
+      points.forEach(point => previousVectors.set(String(point.id), point.vector));
     } catch (error) {
-      console.error(`❌ Error creating embeddings for batch ${Math.floor(i/this.batchSize) + 1}:`, error.message);
-      for (const article of batch) {
-        articlesWithEmbeddings.push({
-          ...article,
-          embedding: null,
-          embeddingError: error.message,
-          embeddingCreatedAt: new Date().toISOString()
-        });
-      }
+      console.error('⚠️ Could not load previous embeddings, using the new ones:', error.message);
     }
+
+    for (const article of articles) {
+      const previous = storyIndex.findMember(article.url)?.member;
+      article.storyId = storyIndex.assign(article, {
+        previousEmbedding: previous && previousVectors.get(String(previous.articleId))
+      });
+    }
+
+    const storyIds = new Set(articles.map(a => a.storyId));
+    const crossSource = [...storyIds].filter(id => storyIndex.stories.get(id).sources.length > 1).length;
+    console.log(`✅ ${articles.length} articles in ${storyIds.size} stories (${storyIndex.stories.size - storiesBefore} new, ${crossSource} covered by several sources)`);
+    return storyIds.size;
   }
-  
-  const successfulEmbeddings = articlesWithEmbeddings.filter(a => a.embedding).length;
-  console.log(`🎉 Successfully created embeddings for ${successfulEmbeddings}/${articlesWithEmbeddings.length} articles`);
-  return articlesWithEmbeddings;
-}
+
+  // A re-ingested article that now splits into fewer passages would leave
+  // its old trailing passages behind; drops them from both indexes
+  async removeStalePassages(articles) {
+    const passageCounts = new Map(articles.map(article => [article.id, article.passages.length]));
+    const previous = await vectorStore.retrieve([...passageCounts.keys()]);
+    const staleIds = previous.flatMap(point => {
+      const count = passageCounts.get(String(point.id));
+      const stale = Math.max(0, (point.payload.passageCount || 1) - count);
+      return Array.from({ length: stale }, (_, k) => passageId(String(point.id), count + k));
+    });
+    if (staleIds.length === 0) return 0;
+
+    await vectorStore.delete(staleIds);
+    staleIds.forEach(id => lexicalIndex.removeDocument(id));
+    return staleIds.length;
+  }
+
   async storeInVectorDB(articlesWithEmbeddings) {
-    console.log('💾 Storing articles in Qdrant vector database...');
-    await qdrant.initializeCollection();
+    console.log(`💾 Storing article passages in ${vectorStore.name} vector database...`);
+    await vectorStore.initialize();
     const articlesWithValidEmbeddings = articlesWithEmbeddings.filter(article => article.embedding);
     if (articlesWithValidEmbeddings.length === 0) {
       console.log('❌ No articles with valid embeddings to store');
       return 0;
     }
-    const points = articlesWithValidEmbeddings.map(article => ({
-      id: article.id,
-      vector: article.embedding,
+    // One point per passage; the full content is only kept on the first one
+    const points = articlesWithValidEmbeddings.flatMap(article => article.passages.map(passage => ({
+      id: passage.id,
+      vector: passage.embedding,
       payload: {
-        title: article.title, content: article.content, summary: article.summary,
+        articleId: article.id, passageIndex: passage.index, passageOffset: passage.offset,
+        passageCount: article.passages.length, text: passage.text,
+        title: article.title, summary: article.summary,
+        ...(passage.index === 0 && { content: article.content }),
         url: article.url, publishedAt: article.publishedAt, source: article.source,
         feedUrl: article.feedUrl, categories: article.categories, author: article.author,
         imageUrl: article.imageUrl, wordCount: article.wordCount, language: article.language,
         createdAt: article.createdAt, embeddingCreatedAt: article.embeddingCreatedAt,
-        embeddingModel: article.embeddingModel
+        embeddingModel: article.embeddingModel,
+        ...(article.storyId && { storyId: article.storyId }),
+        ...(article.entities && {
+          people: article.entities.people, organizations: article.entities.organizations,
+          places: article.entities.places, entities: entityKeys(article.entities)
+        })
       }
-    }));
+    })));
     const vectorBatchSize = 50;
     let storedCount = 0;
+    lexicalIndex.ensureFresh();
+    try {
+      const removed = await this.removeStalePassages(articlesWithValidEmbeddings);
+      if (removed > 0) console.log(`🧹 Removed ${removed} passages left over from earlier versions of these articles`);
+    } catch (error) {
+      console.error('⚠️ Could not remove stale passages:', error.message);
+    }
     for (let i = 0; i < points.length; i += vectorBatchSize) {
       const batch = points.slice(i, i + vectorBatchSize);
       try {
-        console.log(`📦 Storing batch ${Math.floor(i/vectorBatchSize) + 1}/${Math.ceil(points.length/vectorBatchSize)} (${batch.length} articles)`);
-        await qdrant.client.upsert(qdrant.collectionName, {
-          wait: true,
-          points: batch
-        });
+        console.log(`📦 Storing batch ${Math.floor(i/vectorBatchSize) + 1}/${Math.ceil(points.length/vectorBatchSize)} (${batch.length} passages)`);
+        await vectorStore.upsert(batch);
         storedCount += batch.length;
-        console.log(`   ✅ Stored ${storedCount}/${points.length} articles in vector DB`);
+        for (const point of batch) {
+          lexicalIndex.addDocument(point.id, point.payload.articleId, `${point.payload.title}\n${point.payload.text}`);
+        }
+        console.log(`   ✅ Stored ${storedCount}/${points.length} passages in vector DB`);
         if (i + vectorBatchSize < points.length) {
           await new Promise(resolve => setTimeout(resolve, 1000));
         }
       } catch (error) {
-        console.error(`❌ Error storing batch in Qdrant:`, error.message);
+        console.error(`❌ Error storing batch in vector database:`, error.message);
+      }
+    }
+    console.log(`✅ Successfully stored ${storedCount} passages from ${articlesWithValidEmbeddings.length} articles in vector database`);
+    try {
+      lexicalIndex.save();
+      console.log(`🔤 Keyword index updated: ${lexicalIndex.docs.size} passages total`);
+    } catch (error) {
+      console.error('❌ Could not save keyword index:', error.message);
+    }
+    if (storedCount > 0 && articlesWithValidEmbeddings.some(article => article.storyId)) {
+      try {
+        storyIndex.save();
+        console.log(`🧩 Story index updated: ${storyIndex.stories.size} stories total`);
+      } catch (error) {
+        console.error('❌ Could not save story index:', error.message);
+      }
+    }
+    // Cached answers predating these articles are no longer served
+    if (storedCount > 0) {
+      await cacheService.recordIngestion();
+      try {
+        await trendingService.recordArticles(articlesWithValidEmbeddings);
+      } catch (error) {
+        console.error('❌ Could not update trending counters:', error.message);
       }
     }
-    console.log(`✅ Successfully stored ${storedCount} articles in vector database`);
     try {
-      const collectionInfo = await qdrant.client.getCollection(qdrant.collectionName);
-      console.log(`📊 Collection info: ${collectionInfo.vectors_count} vectors total`);
+      const collectionInfo = await vectorStore.info();
+      console.log(`📊 Collection info: ${collectionInfo.vectorsCount} vectors total`);
     } catch (error) {
       console.error('❌ Could not verify collection info:', error.message);
     }
@@ -408,11 +561,12 @@ async createEmbeddings() {
     }
     const filePath = path.join(dataDir, filename);
     const articlesForFile = articles.map(article => {
-      const { embedding, ...articleWithoutEmbedding } = article;
+      const { embedding, passages, ...articleWithoutEmbedding } = article;
       return {
         ...articleWithoutEmbedding,
         hasEmbedding: !!embedding,
-        embeddingDimensions: embedding?.length || 0
+        embeddingDimensions: embedding?.length || 0,
+        passageCount: passages?.length || 0
       };
     });
     fs.writeFileSync(filePath, JSON.stringify(articlesForFile, null, 2));
@@ -422,6 +576,7 @@ async createEmbeddings() {
       totalArticles: articles.length,
       articlesWithEmbeddings: articles.filter(a => a.embedding).length,
       articlesWithErrors: articles.filter(a => a.embeddingError).length,
+      totalPassages: articles.reduce((sum, a) => sum + (a.passages?.length || 0), 0),
       sources: [...new Set(articles.map(a => a.source))],
       categories: [...new Set(articles.flatMap(a => a.categories))],
       authors: [...new Set(articles.map(a => a.author).filter(Boolean))],
@@ -458,15 +613,21 @@ async createEmbeddings() {
         process.exit(0); // Exit gracefully if no articles
       }
       console.log(`✅ Step 1 completed: ${articles.length} articles collected\n`);
-      console.log('🧠 Step 2: Creating embeddings...');
+      console.log('🏷️ Step 2: Extracting entities...');
+      const entityCount = await this.extractArticleEntities();
+      console.log(`✅ Step 2 completed: ${entityCount} distinct entities\n`);
+      console.log('🧠 Step 3: Creating embeddings...');
       const articlesWithEmbeddings = await this.createEmbeddings();
-      console.log(`✅ Step 2 completed: ${articlesWithEmbeddings.filter(a => a.embedding).length} articles with embeddings\n`);
-      console.log('💾 Step 3: Storing in vector database...');
+      console.log(`✅ Step 3 completed: ${articlesWithEmbeddings.filter(a => a.embedding).length} articles with embeddings\n`);
+      console.log('🧩 Step 4: Clustering stories...');
+      const storyCount = await this.clusterStories(articlesWithEmbeddings);
+      console.log(`✅ Step 4 completed: ${storyCount} stories\n`);
+      console.log('💾 Step 5: Storing in vector database...');
       const storedCount = await this.storeInVectorDB(articlesWithEmbeddings);
-      console.log(`✅ Step 3 completed: ${storedCount} articles stored in vector DB\n`);
-      console.log('📄 Step 4: Saving backup files...');
+      console.log(`✅ Step 5 completed: ${storedCount} passages stored in vector DB\n`);
+      console.log('📄 Step 6: Saving backup files...');
       const metadata = await this.saveToFile(articlesWithEmbeddings);
-      console.log(`✅ Step 4 completed: Backup files saved\n`);
+      console.log(`✅ Step 6 completed: Backup files saved\n`);
       const duration = Date.now() - this.startTime;
       console.log('🎉 Ingestion pipeline completed successfully!');
       console.log('═'.repeat(50));
@@ -474,7 +635,9 @@ async createEmbeddings() {
       console.log(`   • Duration: ${Math.round(duration / 1000)}s`);
       console.log(`   • Total articles collected: ${articles.length}`);
       console.log(`   • Articles with embeddings: ${articlesWithEmbeddings.filter(a => a.embedding).length}`);
-      console.log(`   • Articles stored in vector DB: ${storedCount}`);
+      console.log(`   • Distinct entities: ${entityCount}`);
+      console.log(`   • Stories: ${storyCount}`);
+      console.log(`   • Passages stored in vector DB: ${storedCount}`);
       console.log(`   • Articles with errors: ${articlesWithEmbeddings.filter(a => a.embeddingError).length}`);
       console.log(`   • Sources: ${metadata.sources.join(', ')}`);
       console.log(`   • Total words processed: ${metadata.stats.totalWords.toLocaleString()}`);
@@ -1,4 +1,4 @@
-const qdrant = require('../config/qdrant');
+const vectorStore = require('../config/vectorStore');
 const redisClient = require('../config/redis');
 const fs = require('fs');
 const path = require('path');
@@ -6,27 +6,26 @@ const path = require('path');
 class IngestionMonitor {
   async getVectorDBStats() {
     try {
-      const collections = await qdrant.client.getCollections();
-      const targetCollection = collections.collections.find(c => c.name === qdrant.collectionName);
+      const collectionInfo = await vectorStore.info();
       
-      if (!targetCollection) {
+      if (!collectionInfo.exists) {
         return { status: 'Collection not found' };
       }
       
-      const collectionInfo = await qdrant.client.getCollection(qdrant.collectionName);
-      
       return {
         status: 'Connected',
+        backend: collectionInfo.backend,
         collection: {
-          name: targetCollection.name,
-          status: targetCollection.status,
-          vectorCount: targetCollection.vectors_count || collectionInfo.vectors_count,
-          indexedVectorCount: collectionInfo.indexed_vectors_count,
-          pointsCount: collectionInfo.points_count,
-          segments: collectionInfo.segments_count,
+          name: collectionInfo.collection,
+          status: collectionInfo.status,
+          vectorCount: collectionInfo.vectorsCount,
+          indexedVectorCount: collectionInfo.indexedVectorsCount,
+          pointsCount: collectionInfo.pointsCount,
+          articleCount: await vectorStore.count({ equals: { passageIndex: 0 } }),
+          segments: collectionInfo.segments,
           config: {
-            vectorSize: collectionInfo.config?.params?.vectors?.size,
-            distance: collectionInfo.config?.params?.vectors?.distance
+            vectorSize: collectionInfo.vectorSize,
+            distance: collectionInfo.distance
           }
         }
       };
@@ -145,11 +144,12 @@ class IngestionMonitor {
     console.log('═'.repeat(50));
     
     // Vector Database
-    console.log('\n🗄️  Vector Database (Qdrant):');
+    console.log('\n🗄️  Vector Database:');
     const vectorStats = await this.getVectorDBStats();
     if (vectorStats.status === 'Connected') {
-      console.log(`   Status: ✅ ${vectorStats.status}`);
+      console.log(`   Status: ✅ ${vectorStats.status} (${vectorStats.backend})`);
       console.log(`   Collection: ${vectorStats.collection.name}`);
+      console.log(`   Articles: ${vectorStats.collection.articleCount || 0}`);
       console.log(`   Vectors: ${vectorStats.collection.vectorCount || 0}`);
       console.log(`   Points: ${vectorStats.collection.pointsCount || 0}`);
       console.log(`   Segments: ${vectorStats.collection.segments || 0}`);
@@ -1,7 +1,7 @@
 const path = require('path');
 const fs = require('fs');
-const qdrant = require('../config/qdrant');
-const { GoogleGenerativeAIEmbeddings } = require('@langchain/google-genai'); // ✅ Gemini embeddings
+const vectorStore = require('../config/vectorStore');
+const embeddings = require('../config/embeddings');
 
 class IngestionValidator {
   constructor() {
@@ -11,12 +11,6 @@ class IngestionValidator {
       dataConsistency: null,
       contentQuality: null
     };
-
-    // ✅ Initialize Gemini embeddings
-    this.embeddings = new GoogleGenerativeAIEmbeddings({
-      model: "text-embedding-004",
-      apiKey: process.env.GOOGLE_API_KEY
-    });
   }
 
   async validateVectorDatabase() {
@@ -31,38 +25,36 @@ class IngestionValidator {
     };
 
     try {
-      // Test connection
-      const collections = await qdrant.client.getCollections();
+      // Test connection and get collection info
+      const collectionInfo = await vectorStore.info();
       validation.connectionStatus = 'connected';
+      validation.backend = collectionInfo.backend;
       
       // Check if news collection exists
-      const newsCollection = collections.collections.find(c => c.name === qdrant.collectionName);
-      if (newsCollection) {
+      if (collectionInfo.exists) {
         validation.collectionExists = true;
         
-        // Get collection info
-        const collectionInfo = await qdrant.client.getCollection(qdrant.collectionName);
-        validation.vectorCount = collectionInfo.vectors_count || 0;
-        validation.pointsCount = collectionInfo.points_count || 0;
-        validation.segmentsCount = collectionInfo.segments_count || 0;
+        validation.vectorCount = collectionInfo.vectorsCount || 0;
+        validation.pointsCount = collectionInfo.pointsCount || 0;
+        validation.segmentsCount = collectionInfo.segments || 0;
+        // Every article's first passage marks one article
+        validation.articleCount = await vectorStore.count({ equals: { passageIndex: 0 } });
 
-        // ✅ Check vector size
+        // ✅ Check vector size against the active embedding provider
         validation.collectionInfo = {
-          vectorSize: collectionInfo.config?.params?.vectors?.size,
-          distance: collectionInfo.config?.params?.vectors?.distance
+          vectorSize: collectionInfo.vectorSize,
+          distance: collectionInfo.distance,
+          expectedVectorSize: embeddings.dimensions,
+          embeddingModel: embeddings.modelName
         };
 
-        // Test sample query with real Gemini embedding
+        // Test sample query with the active embedding provider
         if (validation.vectorCount > 0) {
           try {
             const query = "Ukraine conflict updates"; // test query
-            const [embedding] = await this.embeddings.embedDocuments([query]);
+            const embedding = await embeddings.embedSingle(query);
 
-            const searchResult = await qdrant.client.search(qdrant.collectionName, {
-              vector: embedding,
-              limit: 1,
-              with_payload: true
-            });
+            const searchResult = await vectorStore.search(embedding, { limit: 1 });
 
             validation.sampleQuery = {
               success: true,
@@ -106,7 +98,7 @@ class IngestionValidator {
       // Compare file count vs vector count
       if (this.validationResults.fileValidation && this.validationResults.vectorDBValidation) {
         const fileCount = this.validationResults.fileValidation.fileStats.articles?.count || 0;
-        const vectorCount = this.validationResults.vectorDBValidation.vectorCount || 0;
+        const vectorCount = this.validationResults.vectorDBValidation.articleCount || 0;
         
         consistency.fileVsVector = {
           fileArticles: fileCount,
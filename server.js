@@ -9,14 +9,21 @@ const { Server } = require("socket.io");
 require("dotenv").config();
 
 const connectedSessions = new Map();
-const qdrant = require("./config/qdrant");
-const embeddings = require("./config/embeddings");
+const vectorStore = require("./config/vectorStore");
+const ragService = require("./services/ragService");
+const { resolveChatOptions } = require("./services/chatOptions");
 const redisClient = require("./config/redis");
-const { model: geminiModel } = require("./config/gemini");
 
 // Import routes
 const chatRoutes = require("./routes/chat");
+const timelineRoutes = require("./routes/timeline");
+const storyRoutes = require("./routes/stories");
+const digestRoutes = require("./routes/digest");
+const entityRoutes = require("./routes/entities");
+const trendingRoutes = require("./routes/trending");
+const articleRoutes = require("./routes/articles");
 const { router: sessionRoutes } = require("./routes/session");
+const { updateSessionActivity } = require("./services/sessionService");
 
 const app = express();
 const server = createServer(app);
@@ -51,19 +58,25 @@ app.use(express.urlencoded({ extended: true }));
 // Routes
 app.use("/api/chat", chatRoutes);
 app.use("/api/session", sessionRoutes);
+app.use("/api/timeline", timelineRoutes);
+app.use("/api/stories", storyRoutes);
+app.use("/api/digest", digestRoutes);
+app.use("/api/entities", entityRoutes);
+app.use("/api/trending", trendingRoutes);
+app.use("/api/articles", articleRoutes);
 
 // Health check
 app.get("/health", async (req, res) => {
   try {
     const redisOk = await redisClient.ping();
-    const collections = await qdrant.client.getCollections();
+    const vectorInfo = await vectorStore.info();
 
     res.json({
       status: "OK",
       timestamp: new Date().toISOString(),
       services: {
         redis: redisOk === "PONG",
-        qdrant: collections.collections.length > 0,
+        vectorStore: vectorInfo.exists,
       },
     });
   } catch (err) {
@@ -74,83 +87,6 @@ app.get("/health", async (req, res) => {
   }
 });
 
-// ---- Safe Gemini call with retries ----
-async function safeGenerateContent(model, prompt, retries = 3) {
-  for (let i = 0; i < retries; i++) {
-    try {
-      const result = await model.generateContent(prompt);
-      return result.response.text();
-    } catch (err) {
-      if (err.status === 503 && i < retries - 1) {
-        console.warn(`⚠️ Gemini overloaded. Retrying in ${2 ** i}s...`);
-        await new Promise((r) => setTimeout(r, 1000 * 2 ** i));
-        continue;
-      }
-      if (i === retries - 1) {
-        return "⚠️ Sorry, I couldn’t generate a response right now.";
-      }
-    }
-  }
-}
-
-// ---- Main RAG query processor ----
-async function processRAGQuery(query, sessionId) {
-  console.log(`\n🔎 Processing RAG query: "${query}"`);
-
-  // 1. Embed query
-  const queryEmbedding = await embeddings.embedSingle(query);
-
-  // 2. Search Qdrant
-  const searchResults = await qdrant.client.search(qdrant.collectionName, {
-    vector: queryEmbedding,
-    limit: 3,
-    score_threshold: 0.5, // relaxed for better recall
-  });
-
-  console.log(
-    `📊 Found ${searchResults.length} relevant articles in vector DB.`
-  );
-
-  if (searchResults.length === 0) {
-    return {
-      answer:
-        "I couldn’t find any relevant information from the stored news articles.",
-      sources: [],
-      hasRelevantContext: false,
-    };
-  }
-
-  // 3. Build context
-  const sources = searchResults.map((r) => ({
-    title: r.payload.title,
-    url: r.payload.url,
-  }));
-
-  const context = searchResults
-    .map(
-      (r, i) =>
-        `Article ${i + 1}: ${r.payload.title}\nContent: ${r.payload.summary}`
-    )
-    .join("\n\n---\n\n");
-
-  // 4. Prompt
-  const prompt = `You are a helpful news assistant. Based on the following news articles, provide a concise answer to the user's question.
-If the articles don't contain the answer, say that you couldn't find relevant information.
-
---- CONTEXT FROM NEWS ARTICLES ---
-${context}
-------------------------------------
-
-User's Question: "${query}"
-
-Answer:`;
-
-  console.log(`🧠 Generating response with LLM...`);
-  const answer = await safeGenerateContent(geminiModel, prompt);
-
-  return { answer, sources, hasRelevantContext: true };
-}
-
 // ---- Socket.IO ----
 // io.on("connection", (socket) => {
 //   console.log(`✅ Client connected: ${socket.id}`);
@@ -221,10 +157,19 @@ io.on('connection', (socket) => {
   socket.on('send-message', async (data) => {
     try {
       const { sessionId, message } = data;
+
+      const { options, error: optionError } = await resolveChatOptions(data);
+      if (optionError) {
+        socket.emit('error', { message: optionError });
+        return;
+      }
       
       console.log(`Processing RAG query: "${message}"`);
       
-      const response = await processRAGQuery(message, sessionId);
+      const response = await ragService.answer(message, { sessionId, ...options });
+
+      // Record the exchange so follow-up questions can be resolved
+      await updateSessionActivity(sessionId, message, response);
       
       // Send response only to the requesting socket (not the room)
       socket.emit('bot-response', {
@@ -280,8 +225,9 @@ async function startServer() {
     await redisClient.ping();
     console.log("✅ Redis connected");
 
-    await qdrant.client.getCollections();
-    console.log("✅ Qdrant connected");
+    // Also refuses to start against a collection built with another embedding model
+    await vectorStore.initialize();
+    console.log(`✅ Vector store connected (${vectorStore.name})`);
 
     server.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
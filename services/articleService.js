@@ -0,0 +1,153 @@
+// services/articleService.js
+const vectorStore = require("../config/vectorStore");
+const { selectArticles } = require("./diversity");
+
+// Candidates fetched per requested article when diversifying
+const DIVERSIFY_POOL_FACTOR = 4;
+const ARTICLE_FIELDS = ["articleId", "title", "summary", "url", "source", "publishedAt", "storyId"];
+const CATALOG_FIELDS = [...ARTICLE_FIELDS, "categories", "author", "imageUrl"];
+// Passage bookkeeping left out of a full article
+const PASSAGE_FIELDS = ["text", "passageIndex", "passageOffset"];
+const TRUNCATED_FIELDS = ["content", "summary"];
+
+function toArticle(point, fields = ARTICLE_FIELDS) {
+  const payload = point.payload || {};
+  return {
+    ...Object.fromEntries(fields.filter((f) => f in payload).map((f) => [f, payload[f]])),
+    articleId: payload.articleId || point.id,
+  };
+}
+
+// Catalog cursors are opaque: the publishedAt the next page starts from and
+// the ids already returned with exactly that timestamp
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString("base64url");
+}
+
+// Returns `{ cursor }` (null when absent) or `{ error }`
+function decodeCursor(value) {
+  if (value === undefined) return { cursor: null };
+  try {
+    const cursor = JSON.parse(Buffer.from(String(value), "base64url").toString());
+    if (
+      typeof cursor.publishedAt !== "string" ||
+      !Array.isArray(cursor.seen) ||
+      cursor.seen.some((id) => typeof id !== "string")
+    ) {
+      throw new Error();
+    }
+    return { cursor };
+  } catch {
+    return { error: "cursor is invalid" };
+  }
+}
+
+/**
+ * Article-level reads over the passage points written at ingestion. An
+ * article's id is the id of its first passage, which also holds its
+ * full content.
+ */
+class ArticleService {
+  /**
+   * One page of the catalog ordered by `publishedAt` (`order` "desc" or
+   * "asc"), filtered by parsed request `filters` and, with `q`, by words in
+   * the title. Resolves to `{ articles, total, nextCursor }`; nextCursor is
+   * null on the last page.
+   */
+  async listArticles({ filters = null, q = null, order = "desc", limit = 20, cursor = null } = {}) {
+    const scope = {
+      ...filters,
+      equals: { passageIndex: 0 },
+      ...(q && { text: { title: q } }),
+    };
+    const { points } = await vectorStore.scroll({
+      filters: { ...scope, ...(cursor && { exclude: { articleId: cursor.seen } }) },
+      // One extra point tells whether another page follows
+      limit: limit + 1,
+      fields: CATALOG_FIELDS,
+      orderBy: { field: "publishedAt", direction: order, startFrom: cursor?.publishedAt },
+    });
+
+    const articles = points.slice(0, limit).map((point) => toArticle(point, CATALOG_FIELDS));
+    let nextCursor = null;
+    if (points.length > limit) {
+      const last = articles[articles.length - 1].publishedAt;
+      const seen = articles.filter((a) => a.publishedAt === last).map((a) => a.articleId);
+      nextCursor = encodeCursor({
+        publishedAt: last,
+        seen: cursor?.publishedAt === last ? [...cursor.seen, ...seen] : seen,
+      });
+    }
+
+    return { articles, total: await vectorStore.count(scope), nextCursor };
+  }
+
+  /**
+   * The full stored article (content, imageUrl, wordCount, embeddingModel,
+   * ...) or null. With `maxChars`, content and summary are cut to that many
+   * characters and `truncated` lists the fields that were cut.
+   */
+  async getArticle(id, { maxChars = null } = {}) {
+    const point = await this.getArticlePoint(id);
+    if (!point) return null;
+
+    const article = { ...point.payload, articleId: point.payload.articleId || point.id };
+    PASSAGE_FIELDS.forEach((field) => delete article[field]);
+    if (maxChars) {
+      const truncated = TRUNCATED_FIELDS.filter(
+        (field) => typeof article[field] === "string" && article[field].length > maxChars
+      );
+      truncated.forEach((field) => (article[field] = article[field].substring(0, maxChars)));
+      article.truncated = truncated;
+    }
+    return article;
+  }
+
+  // The article's first passage point, or null if the id is unknown
+  async getArticlePoint(id, { withVectors = false } = {}) {
+    const [point] = await vectorStore.retrieve([id], { withVectors });
+    return point && (point.payload?.passageIndex ?? 0) === 0 ? point : null;
+  }
+
+  /**
+   * "More like this": articles whose first passage is closest to the stored
+   * vector of article `id`, leaving out the article itself, other reports
+   * of its story and anything with the same URL. `filters` are parsed
+   * request filters; `diversify` picks `limit` of a larger candidate pool
+   * with MMR so near-identical articles don't fill the list.
+   * Resolves to `{ article, related }` or null if the id is unknown.
+   */
+  async getRelated(id, { limit = 5, filters = null, diversify = false } = {}) {
+    const point = await this.getArticlePoint(id);
+    if (!point) return null;
+    const article = toArticle(point);
+
+    const hits = await vectorStore.recommend([id], {
+      limit: diversify ? limit * DIVERSIFY_POOL_FACTOR : limit,
+      withVectors: diversify,
+      filters: {
+        ...filters,
+        equals: { passageIndex: 0 },
+        exclude: {
+          url: article.url ? [article.url] : [],
+          storyId: article.storyId ? [article.storyId] : [],
+        },
+      },
+    });
+
+    // Re-ingested copies of one article share its URL
+    const seenUrls = new Set();
+    const candidates = hits
+      .map((hit) => ({ ...toArticle(hit), score: hit.score, vector: hit.vector }))
+      .filter((a) => !a.url || (!seenUrls.has(a.url) && seenUrls.add(a.url)));
+
+    const selected = diversify
+      ? selectArticles(candidates, limit, { mode: "mmr" })
+      : candidates.slice(0, limit);
+
+    return { article, related: selected.map(({ vector, ...related }) => related) };
+  }
+}
+
+module.exports = new ArticleService();
+module.exports.decodeCursor = decodeCursor;
@@ -1,8 +1,33 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
 const redisClient = require('../config/redis');
+const { cosineSimilarity } = require('./diversity');
+const { parseChatOptions } = require('./chatOptions');
+
+// One hash of cached query embeddings per options signature
+const SEMANTIC_ENTRIES_PREFIX = 'semcache:entries:';
+const SEMANTIC_STATS_KEY = 'semcache:stats';
+const LAST_INGESTION_KEY = 'ingestion:lastCompletedAt';
+
+function parseSimilarity(value, fallback) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? Math.min(1, Math.max(0, parsed)) : fallback;
+}
+
+function semanticEntriesKey(signature) {
+  return SEMANTIC_ENTRIES_PREFIX + crypto.createHash('sha1').update(signature).digest('hex');
+}
 
 class CacheService {
   constructor() {
     this.defaultTTL = parseInt(process.env.CACHE_TTL) || 3600; // 1 hour
+    // Minimum cosine similarity between query embeddings to reuse an answer
+    this.semanticThreshold = parseSimilarity(process.env.SEMANTIC_CACHE_THRESHOLD, 0.92);
+    // Closest matches at or above this (but below the threshold) count as near misses
+    this.nearMissThreshold = parseSimilarity(process.env.SEMANTIC_CACHE_NEAR_MISS, 0.85);
+    this.maxSemanticEntries = parseInt(process.env.SEMANTIC_CACHE_MAX_ENTRIES) || 500;
+    // Digests are rebuilt after every ingestion; the TTL only bounds Redis usage
+    this.digestTTL = parseInt(process.env.DIGEST_CACHE_TTL) || 7 * 86400;
   }
 
   // Query result caching
@@ -44,6 +69,155 @@ class CacheService {
     }
   }
 
+  /**
+   * Semantic cache lookup: finds the cached query most similar to `vector`
+   * among entries with the same options `signature` (only that signature's
+   * entries are loaded) whose answer is still usable.
+   * Only answers cached after the last ingestion are reused; stale and
+   * expired candidates are dropped and the next most similar one above the
+   * threshold is tried. Every lookup counts as one of hit / nearMiss /
+   * stale / miss in the stats, unless `recordStats` is false.
+   * Returns `{ result, query, similarity, cachedAt }` or null.
+   */
+  async findSemanticMatch(vector, signature, { recordStats = true } = {}) {
+    const record = (outcome) => recordStats && this.recordSemanticLookup(outcome);
+    try {
+      const entriesKey = semanticEntriesKey(signature);
+      const [entries, lastIngestion] = await Promise.all([
+        redisClient.hGetAll(entriesKey),
+        this.getLastIngestionTime()
+      ]);
+
+      const candidates = Object.entries(entries)
+        .map(([id, raw]) => {
+          const entry = JSON.parse(raw);
+          return { id, entry, similarity: cosineSimilarity(vector, entry.vector) };
+        })
+        .sort((a, b) => b.similarity - a.similarity);
+
+      let skippedStale = false;
+      for (const candidate of candidates) {
+        if (candidate.similarity < this.semanticThreshold) break;
+
+        // Answers from before the latest ingestion may miss newer articles
+        if (lastIngestion && candidate.entry.cachedAt <= lastIngestion) {
+          await this.removeSemanticEntry(entriesKey, candidate.id);
+          skippedStale = true;
+          continue;
+        }
+
+        const cached = await redisClient.get(`semcache:answer:${candidate.id}`);
+        if (!cached) {
+          // The answer expired; drop its dangling embedding
+          await this.removeSemanticEntry(entriesKey, candidate.id);
+          continue;
+        }
+
+        await record('hits');
+        return {
+          result: JSON.parse(cached),
+          query: candidate.entry.query,
+          similarity: candidate.similarity,
+          cachedAt: candidate.entry.cachedAt
+        };
+      }
+
+      const best = candidates[0];
+      const nearMiss = best && best.similarity < this.semanticThreshold && best.similarity >= this.nearMissThreshold;
+      await record(skippedStale ? 'stale' : nearMiss ? 'nearMisses' : 'misses');
+      return null;
+    } catch (error) {
+      console.error('Semantic cache read error:', error);
+      return null;
+    }
+  }
+
+  async cacheSemanticResult(query, vector, signature, result, ttl = this.defaultTTL) {
+    try {
+      const id = uuidv4();
+      const entriesKey = semanticEntriesKey(signature);
+      const entry = { query, signature, vector, cachedAt: new Date().toISOString() };
+
+      await redisClient.setEx(`semcache:answer:${id}`, ttl, JSON.stringify(result));
+      await redisClient.hSet(entriesKey, id, JSON.stringify(entry));
+      // A signature nobody asks for again disappears with its last answer
+      await redisClient.expire(entriesKey, ttl);
+      await this.evictSemanticEntries(entriesKey);
+      return true;
+    } catch (error) {
+      console.error('Semantic cache write error:', error);
+      return false;
+    }
+  }
+
+  // Keeps a signature's embedding index bounded by dropping its oldest entries
+  async evictSemanticEntries(entriesKey) {
+    const size = await redisClient.hLen(entriesKey);
+    if (size <= this.maxSemanticEntries) return;
+
+    const entries = await redisClient.hGetAll(entriesKey);
+    const oldest = Object.entries(entries)
+      .map(([id, raw]) => ({ id, cachedAt: JSON.parse(raw).cachedAt }))
+      .sort((a, b) => a.cachedAt.localeCompare(b.cachedAt))
+      .slice(0, size - this.maxSemanticEntries);
+    for (const { id } of oldest) {
+      await this.removeSemanticEntry(entriesKey, id);
+    }
+  }
+
+  async removeSemanticEntry(entriesKey, id) {
+    await redisClient.hDel(entriesKey, id);
+    await redisClient.del(`semcache:answer:${id}`);
+  }
+
+  async recordSemanticLookup(outcome) {
+    await redisClient.hIncrBy(SEMANTIC_STATS_KEY, outcome, 1);
+  }
+
+  // Called by the ingestion scripts; answers cached before this are stale
+  async recordIngestion(completedAt = new Date().toISOString()) {
+    try {
+      await redisClient.set(LAST_INGESTION_KEY, completedAt);
+      return true;
+    } catch (error) {
+      console.error('Could not record ingestion time:', error);
+      return false;
+    }
+  }
+
+  async getLastIngestionTime() {
+    return redisClient.get(LAST_INGESTION_KEY);
+  }
+
+  // Digest caching: an entry is served until the next ingestion run
+  async getCachedDigest(key) {
+    try {
+      const [cached, lastIngestion] = await Promise.all([
+        redisClient.get(`digest:${key}`),
+        this.getLastIngestionTime(),
+      ]);
+      if (!cached) return null;
+
+      const data = JSON.parse(cached);
+      if (lastIngestion && data.cachedAt < lastIngestion) return null;
+      return { ...data.digest, fromCache: true, cachedAt: data.cachedAt };
+    } catch (error) {
+      console.error('Digest cache read error:', error);
+      return null;
+    }
+  }
+
+  async cacheDigest(key, digest, ttl = this.digestTTL) {
+    try {
+      const data = { digest, cachedAt: new Date().toISOString() };
+      await redisClient.setEx(`digest:${key}`, ttl, JSON.stringify(data));
+      return true;
+    } catch (error) {
+      console.error('Digest cache write error:', error);
+      return false;
+    }
+  }
+
   // Session caching helpers
   async getSessionFromCache(sessionId) {
     try {
@@ -69,19 +243,27 @@ class CacheService {
     }
   }
 
-  // Cache warming for popular queries
+  // Cache warming for popular queries, by default the currently trending
+  // stories and entities. Answers are generated with the options of a chat
+  // request that sets none, so they are served to such requests.
   async warmCache(popularQueries) {
     console.log('🔥 Warming cache with popular queries...');
-    
+    if (!popularQueries) {
+      // Required lazily like the RAG pipeline below
+      const trendingService = require('./trendingService');
+      popularQueries = await trendingService.getWarmQueries();
+    }
+    const { options } = parseChatOptions({});
+
     for (const query of popularQueries) {
       try {
-        // Check if already cached
-        const cached = await this.getCachedQueryResult(query);
-        if (!cached) {
-          console.log(`Warming cache for: ${query}`);
-          // This would trigger RAG processing
-          await processRAGQuery(query, 'cache-warming');
-        }
+        // The pipeline's semantic cache stages skip queries that are
+        // already cached and store the fresh answers; warming lookups
+        // aren't user traffic, so they stay out of the hit-rate stats
+        console.log(`Warming cache for: ${query}`);
+        // Required lazily: the RAG pipeline depends on this service
+        const ragService = require('./ragService');
+        await ragService.answer(query, { ...options, cacheLookup: { recordStats: false } });
       } catch (error) {
         console.error(`Failed to warm cache for query: ${query}`, error);
       }
@@ -115,13 +297,42 @@ class CacheService {
       return {
         keyCount,
         memoryInfo: info,
-        isConnected: redisClient.isReady
+        isConnected: redisClient.isReady,
+        semantic: await this.getSemanticCacheStats()
       };
     } catch (error) {
       console.error('Cache stats error:', error);
       return { error: error.message };
     }
   }
+
+  async getSemanticCacheStats() {
+    const [stats, partitions, lastIngestion] = await Promise.all([
+      redisClient.hGetAll(SEMANTIC_STATS_KEY),
+      redisClient.keys(`${SEMANTIC_ENTRIES_PREFIX}*`),
+      this.getLastIngestionTime()
+    ]);
+    const sizes = await Promise.all(partitions.map((key) => redisClient.hLen(key)));
+    const entries = sizes.reduce((sum, n) => sum + n, 0);
+    const counts = {
+      hits: parseInt(stats.hits) || 0,
+      nearMisses: parseInt(stats.nearMisses) || 0,
+      stale: parseInt(stats.stale) || 0,
+      misses: parseInt(stats.misses) || 0
+    };
+    const lookups = Object.values(counts).reduce((sum, n) => sum + n, 0);
+
+    return {
+      ...counts,
+      lookups,
+      hitRate: lookups > 0 ? counts.hits / lookups : 0,
+      entries,
+      signatures: partitions.length,
+      threshold: this.semanticThreshold,
+      nearMissThreshold: this.nearMissThreshold,
+      lastIngestion
+    };
+  }
 }
 
 module.exports = new CacheService();
@@ -0,0 +1,97 @@
+// services/chatOptions.js
+const { parseFilters } = require("./queryFilters");
+const { parseRecencyOptions } = require("./recencyScorer");
+const { parseRerankOptions } = require("./rerankers");
+const { parseDiversityOptions } = require("./diversity");
+const { parseFaithfulnessOptions } = require("./faithfulnessChecker");
+const { parseExpansionOptions } = require("./queryExpander");
+const { parseCompareOptions, resolveCompareSources } = require("./comparisonService");
+
+const DEFAULT_TOP_K = parseInt(process.env.TOP_K_RESULTS) || 3;
+const MAX_TOP_K = 10;
+const MODES = ["answer", "timeline", "compare"];
+
+/**
+ * Validates the retrieval options accepted by every chat entry point (REST,
+ * streaming and Socket.IO) and maps them onto per-stage pipeline options.
+ * Returns `{ options }` or `{ error }` with a message suitable for a 400.
+ */
+function parseChatOptions(input = {}) {
+  const { topK = DEFAULT_TOP_K, lexicalWeight, mode = "answer" } = input;
+
+  if (!Number.isInteger(topK) || topK < 1 || topK > MAX_TOP_K) {
+    return { error: `topK must be an integer between 1 and ${MAX_TOP_K}` };
+  }
+  if (
+    lexicalWeight !== undefined &&
+    (typeof lexicalWeight !== "number" || lexicalWeight < 0 || lexicalWeight > 1)
+  ) {
+    return { error: "lexicalWeight must be a number between 0 and 1" };
+  }
+  if (!MODES.includes(mode)) {
+    return { error: `mode must be one of: ${MODES.join(", ")}` };
+  }
+
+  const { filters, error: filterError } = parseFilters(input.filters);
+  const { recency, error: recencyError } = parseRecencyOptions(input.recency);
+  const { rerank, error: rerankError } = parseRerankOptions(input.rerank);
+  const { diversity, error: diversityError } = parseDiversityOptions(input.diversity);
+  const { faithfulness, error: faithfulnessError } = parseFaithfulnessOptions(
+    input.faithfulness
+  );
+  const { expansion, error: expansionError } = parseExpansionOptions(input.expansion);
+  const { compare, error: compareError } = parseCompareOptions(input.compare);
+  const error =
+    filterError ||
+    recencyError ||
+    rerankError ||
+    diversityError ||
+    faithfulnessError ||
+    expansionError ||
+    compareError;
+  if (error) return { error };
+
+  return {
+    options: {
+      timeline: { enabled: mode === "timeline", filters },
+      expand: { ...expansion },
+      retrieve: { lexicalWeight, filters, candidates: rerank?.candidates },
+      // Comparison mode picks its own per-outlet articles instead
+      rerank: {
+        reranker: rerank?.reranker,
+        recency,
+        diversity,
+        topK,
+        ...(mode === "compare" && { enabled: false }),
+      },
+      compare: {
+        enabled: mode === "compare",
+        ...compare,
+        reranker: rerank?.reranker,
+        lexicalWeight,
+        filters,
+      },
+      verify: { ...faithfulness },
+    },
+  };
+}
+
+/**
+ * parseChatOptions plus the checks that need the collection: requested
+ * compare sources must name known outlets and are replaced by their stored
+ * source names. Resolves to `{ options }` or `{ error }`.
+ */
+async function resolveChatOptions(input = {}) {
+  const { options, error } = parseChatOptions(input);
+  if (error) return { error };
+  if (!options.compare.enabled || !options.compare.sources) return { options };
+
+  const { sources, error: sourceError } = await resolveCompareSources(options.compare.sources);
+  if (sourceError) return { error: sourceError };
+  return { options: { ...options, compare: { ...options.compare, sources } } };
+}
+
+module.exports = {
+  parseChatOptions,
+  resolveChatOptions,
+};
@@ -0,0 +1,111 @@
+// services/citationService.js
+
+// "strip" removes markers that don't match a retrieved source, "flag" keeps them
+const CITATION_POLICY = process.env.CITATION_POLICY === "flag" ? "flag" : "strip";
+
+const MARKER_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+// A sentence plus any citation markers that trail its final punctuation
+const SENTENCE_PATTERN = /[^.!?\n]+(?:[.!?]+|$)(?:[ \t]*\[\d+(?:\s*,\s*\d+)*\])*/g;
+
+function parseMarker(group) {
+  return group.split(",").map((n) => parseInt(n.trim(), 10));
+}
+
+/**
+ * Validates the `[n]` markers in a generated answer against the number of
+ * retrieved sources. Returns the (possibly cleaned) answer and a citations
+ * structure mapping sentence spans of that answer to 0-based source indices.
+ */
+function processCitations(answer, sourceCount, policy = CITATION_POLICY) {
+  const invalid = new Set();
+  const isValid = (n) => n >= 1 && n <= sourceCount;
+
+  let text = answer || "";
+  text = text.replace(MARKER_PATTERN, (marker, group) => {
+    const numbers = parseMarker(group);
+    numbers.filter((n) => !isValid(n)).forEach((n) => invalid.add(n));
+    if (policy === "flag") return marker;
+
+    const valid = [...new Set(numbers.filter(isValid))];
+    return valid.length > 0 ? `[${valid.join(", ")}]` : "";
+  });
+
+  if (policy === "strip" && invalid.size > 0) {
+    // Tidy whitespace left behind by removed markers
+    text = text.replace(/[ \t]+([.,;:!?])/g, "$1").replace(/[ \t]{2,}/g, " ");
+  }
+
+  text = text.trim();
+  const spans = [];
+  const cited = new Set();
+
+  for (const sentence of text.matchAll(SENTENCE_PATTERN)) {
+    const sourceIndices = new Set();
+    for (const [, group] of sentence[0].matchAll(MARKER_PATTERN)) {
+      parseMarker(group)
+        .filter(isValid)
+        .forEach((n) => sourceIndices.add(n - 1));
+    }
+    if (sourceIndices.size === 0) continue;
+
+    const leading = sentence[0].length - sentence[0].trimStart().length;
+    const start = sentence.index + leading;
+    const end = sentence.index + sentence[0].trimEnd().length;
+    spans.push({
+      start,
+      end,
+      text: text.slice(start, end),
+      sourceIndices: [...sourceIndices].sort((a, b) => a - b),
+    });
+    sourceIndices.forEach((i) => cited.add(i));
+  }
+
+  return {
+    answer: text,
+    citations: {
+      spans,
+      invalidMarkers: [...invalid].sort((a, b) => a - b),
+      uncitedSourceIndices: [...Array(sourceCount).keys()].filter(
+        (i) => !cited.has(i)
+      ),
+      policy,
+    },
+  };
+}
+
+/**
+ * Splits an answer into sentence-level claims for verification. Each claim
+ * has its span in `answer`, its text without citation markers and the
+ * 0-based indices of the sources it cites.
+ */
+function extractClaims(answer) {
+  const text = answer || "";
+  const claims = [];
+
+  for (const sentence of text.matchAll(SENTENCE_PATTERN)) {
+    const claimText = sentence[0]
+      .replace(MARKER_PATTERN, "")
+      .replace(/\s+/g, " ")
+      .replace(/ ([.,;:!?])/g, "$1")
+      .trim();
+    if (!claimText) continue;
+
+    const sourceIndices = new Set();
+    for (const [, group] of sentence[0].matchAll(MARKER_PATTERN)) {
+      parseMarker(group).forEach((n) => sourceIndices.add(n - 1));
+    }
+    claims.push({
+      start: sentence.index,
+      end: sentence.index + sentence[0].length,
+      text: claimText,
+      sourceIndices: [...sourceIndices].filter((i) => i >= 0).sort((a, b) => a - b),
+    });
+  }
+
+  return claims;
+}
+
+module.exports = {
+  processCitations,
+  extractClaims,
+};
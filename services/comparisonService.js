@@ -0,0 +1,153 @@
+// services/comparisonService.js
+const retrievalService = require("./retrievalService");
+const coverageService = require("./coverageService");
+const { rerank, resolveRerankOptions } = require("./rerankers");
+const { OUTLET_ALIASES, outletKeys } = require("./entityNames");
+
+const DEFAULT_OUTLETS = 3;
+const MAX_OUTLETS = 5;
+const DEFAULT_PER_SOURCE = 2;
+const MAX_PER_SOURCE = 4;
+const PASSAGES_PER_SOURCE = 20;
+// Rerank score below which an outlet is considered not to cover the topic
+const MIN_RELEVANCE = parseFloat(process.env.COMPARE_MIN_RELEVANCE) || 0.2;
+
+/**
+ * Validates the per-request `compare` option: `{ sources, perSource }`.
+ * Returns `{ compare }` or `{ error }`.
+ */
+function parseCompareOptions(raw) {
+  if (raw === undefined || raw === null) return { compare: null };
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    return { error: "compare must be an object" };
+  }
+
+  if (
+    raw.sources !== undefined &&
+    (!Array.isArray(raw.sources) ||
+      raw.sources.length === 0 ||
+      raw.sources.length > MAX_OUTLETS ||
+      raw.sources.some((s) => typeof s !== "string" || s.trim().length === 0))
+  ) {
+    return { error: `compare.sources must be an array of 1 to ${MAX_OUTLETS} source names` };
+  }
+  if (
+    raw.perSource !== undefined &&
+    (!Number.isInteger(raw.perSource) || raw.perSource < 1 || raw.perSource > MAX_PER_SOURCE)
+  ) {
+    return { error: `compare.perSource must be an integer between 1 and ${MAX_PER_SOURCE}` };
+  }
+
+  return {
+    compare: { sources: raw.sources?.map((s) => s.trim()), perSource: raw.perSource },
+  };
+}
+
+// The known source an outlet name refers to, case-insensitively and through
+// OUTLET_ALIASES ("new york times" → "NYT > World News"), or undefined
+function resolveOutlet(name, knownSources) {
+  const key = name.trim().toLowerCase();
+  const target = OUTLET_ALIASES[key] || key;
+  return knownSources.find((source) => outletKeys(source).includes(target));
+}
+
+/**
+ * Maps requested `compare.sources` onto the source names stored in the
+ * collection. Resolves to `{ sources }` or `{ error }` listing the known
+ * outlets when a name matches none of them.
+ */
+async function resolveCompareSources(sources) {
+  const { sources: known } = await coverageService.getCoverage();
+  const knownNames = known.map((s) => s.name);
+
+  const resolved = sources.map((name) => resolveOutlet(name, knownNames));
+  const unknown = sources.filter((_, i) => !resolved[i]);
+  if (unknown.length > 0) {
+    return {
+      error: `Unknown compare.sources: ${unknown.join(", ")}. Known outlets: ${knownNames.join(", ") || "none yet"}`,
+    };
+  }
+  return { sources: [...new Set(resolved)] };
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Known sources named in the query, e.g. "compare how BBC and CNN covered ..."
+function outletsInQuery(query, knownSources) {
+  let text = query.toLowerCase();
+  for (const [alias, name] of Object.entries(OUTLET_ALIASES)) {
+    if (new RegExp(`\\b${escapeRegExp(alias)}\\b`).test(text)) text += ` ${name}`;
+  }
+  return knownSources.filter((name) =>
+    outletKeys(name).some((key) => new RegExp(`\\b${escapeRegExp(key)}\\b`).test(text))
+  );
+}
+
+/**
+ * Balanced retrieval for comparing outlets: picks the outlets (requested,
+ * named in the query, or the ones that surfaced first in `candidates`),
+ * then searches each outlet separately and keeps its top `perSource`
+ * articles. Articles are returned grouped by outlet, in outlet order.
+ */
+async function retrieveBySource(query, queryVector, options = {}) {
+  const perSource = Math.min(options.perSource || DEFAULT_PER_SOURCE, MAX_PER_SOURCE);
+  const { sources: known } = await coverageService.getCoverage();
+  const knownNames = known.map((s) => s.name);
+
+  let outlets = options.sources || outletsInQuery(query, knownNames);
+  if (outlets.length < 2) {
+    const surfaced = (options.candidates || []).map((hit) => hit.payload?.source).filter(Boolean);
+    outlets = [...new Set([...outlets, ...surfaced])].slice(0, DEFAULT_OUTLETS);
+  }
+
+  const { reranker } = resolveRerankOptions({ reranker: options.reranker });
+  const groups = await Promise.all(
+    outlets.map(async (source) => {
+      const hits = await retrievalService.hybridSearch(query, queryVector, {
+        lexicalWeight: options.lexicalWeight,
+        filters: { ...options.filters, sources: [source] },
+        limit: PASSAGES_PER_SOURCE,
+        withVectors: true,
+      });
+      const relevant = (await rerank(query, hits, reranker)).filter(
+        (hit) => hit.rerankScore === undefined || hit.rerankScore >= MIN_RELEVANCE
+      );
+      return {
+        source,
+        articles: retrievalService.groupByArticle(relevant, { maxArticles: perSource }),
+      };
+    })
+  );
+
+  return {
+    groups: groups.filter((g) => g.articles.length > 0),
+    missing: groups.filter((g) => g.articles.length === 0).map((g) => g.source),
+  };
+}
+
+// Prompt context with one block per outlet; articles are numbered across
+// outlets in order, so [n] cites the n-th article overall
+function formatComparisonContext(groups) {
+  let number = 0;
+  return groups
+    .map(
+      ({ source, articles }) =>
+        `=== ${source} ===\n\n${articles
+          .map(
+            (a) =>
+              `[${++number}] ${a.title}\nContent: ${a.passages
+                .map((p) => p.text)
+                .join("\n...\n")}`
+          )
+          .join("\n\n---\n\n")}`
+    )
+    .join("\n\n");
+}
+
+module.exports = {
+  parseCompareOptions,
+  resolveCompareSources,
+  outletsInQuery,
+  retrieveBySource,
+  formatComparisonContext,
+};
@@ -0,0 +1,135 @@
+// services/confidenceScorer.js
+const { cosineSimilarity } = require("./diversity");
+const { extractClaims } = require("./citationService");
+
+function parseThreshold(value, fallback) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? Math.min(1, Math.max(0, parsed)) : fallback;
+}
+
+// At or above: answer as is
+const ANSWER_THRESHOLD = parseThreshold(process.env.CONFIDENCE_ANSWER_THRESHOLD, 0.6);
+// At or above (but below ANSWER_THRESHOLD): answer with a caveat; below: clarify
+const CAVEAT_THRESHOLD = parseThreshold(process.env.CONFIDENCE_CAVEAT_THRESHOLD, 0.35);
+
+// Share of the overall score given to each signal
+const SIGNAL_WEIGHTS = { retrieval: 0.4, agreement: 0.2, model: 0.4 };
+// A fluent, well-cited answer can't be trusted much more than the evidence
+// behind it, so the score is capped this far above the retrieval signal
+const RETRIEVAL_CAP_MARGIN = 0.25;
+
+const CAVEAT =
+  "I’m not fully certain about this; the retrieved coverage only partly matches your question.";
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+// Absolute relevance of an article. Ranking scores (fused ranks, recency
+// blends, scores relative to the top hit) put the best article near 1
+// whatever it says, so only raw scores are used: the LLM reranker's grade
+// when it ran, otherwise the best passage's cosine similarity to the query.
+// Articles only the keyword index found fall back to their term overlap.
+function articleRelevance(article) {
+  if (article.reranker === "llm") return article.rerankScore;
+  return article.vectorScore ?? article.rerankScore ?? 0;
+}
+
+// How well the selected articles match: the best one counts most, the rest
+// keep a single lucky match from dominating
+function retrievalSignal(articles) {
+  const scores = articles.map((a) => clamp(articleRelevance(a) ?? 0));
+  const best = Math.max(...scores);
+  const mean = scores.reduce((sum, s) => sum + s, 0) / scores.length;
+  return 0.6 * best + 0.4 * mean;
+}
+
+// Whether the other articles tell the same story as the top one; more than
+// one outlet counts as extra agreement. A single article is neutral.
+function agreementSignal(articles) {
+  if (articles.length < 2) return 0.5;
+
+  const [top, ...rest] = articles;
+  const similarity =
+    rest.reduce((sum, a) => sum + clamp(cosineSimilarity(top.vector, a.vector)), 0) /
+    rest.length;
+  const outlets = new Set(articles.map((a) => a.source)).size;
+  return clamp(0.8 * similarity + 0.2 * ((outlets - 1) / (articles.length - 1)));
+}
+
+// Groundedness from the faithfulness check when it ran, otherwise the share
+// of sentences that cite a source
+function modelSignal(answer, faithfulness) {
+  if (faithfulness) return faithfulness.groundedness;
+
+  const claims = extractClaims(answer);
+  if (claims.length === 0) return 0;
+  return claims.filter((c) => c.sourceIndices.length > 0).length / claims.length;
+}
+
+function decideAction(score) {
+  if (score >= ANSWER_THRESHOLD) return "answer";
+  if (score >= CAVEAT_THRESHOLD) return "caveat";
+  return "clarify";
+}
+
+/**
+ * Scores how much to trust an answer from retrieval scores, agreement
+ * between the selected articles and the model's own signals, and decides
+ * whether to answer, answer with a caveat or ask a clarifying question.
+ * Without articles the action is "clarify"; when generation itself failed
+ * it is "unavailable" and the error answer is kept.
+ */
+function assessConfidence({ articles = [], answer = "", faithfulness = null, failed = false }) {
+  if (articles.length === 0 || failed) {
+    return {
+      score: 0,
+      level: "none",
+      action: failed ? "unavailable" : "clarify",
+      signals: { retrieval: 0, agreement: 0, model: 0 },
+      thresholds: { answer: ANSWER_THRESHOLD, caveat: CAVEAT_THRESHOLD },
+    };
+  }
+
+  const signals = {
+    retrieval: retrievalSignal(articles),
+    agreement: agreementSignal(articles),
+    model: modelSignal(answer, faithfulness),
+  };
+  const weighted = Object.entries(SIGNAL_WEIGHTS).reduce(
+    (sum, [signal, weight]) => sum + weight * signals[signal],
+    0
+  );
+  const score = Math.min(weighted, signals.retrieval + RETRIEVAL_CAP_MARGIN);
+  const action = decideAction(score);
+
+  return {
+    score,
+    level: action === "answer" ? "high" : action === "caveat" ? "medium" : "low",
+    action,
+    signals,
+    thresholds: { answer: ANSWER_THRESHOLD, caveat: CAVEAT_THRESHOLD },
+  };
+}
+
+// Asks the user to narrow the question, offering the closest stories found
+function clarifyingQuestion(query, articles) {
+  const titles = articles.slice(0, 3).map((a) => `"${a.title}"`);
+  if (titles.length === 0) {
+    return `I couldn’t find coverage of "${query}" in the stored news articles. Could you rephrase it or add details such as a name, place or date?`;
+  }
+  return `I’m not confident I found the right coverage for "${query}". Are you asking about ${titles.join(", ")}? Adding a name, place or date would help me find the right articles.`;
+}
+
+/**
+ * Applies the confidence decision to the answer text: unchanged for
+ * "answer", prefixed with a caveat, or replaced by a clarifying question.
+ */
+function applyConfidence(answer, confidence, { query, articles = [] }) {
+  if (confidence.action === "caveat") return `${CAVEAT}\n\n${answer}`;
+  if (confidence.action === "clarify") return clarifyingQuestion(query, articles);
+  return answer;
+}
+
+module.exports = {
+  assessConfidence,
+  applyConfidence,
+};
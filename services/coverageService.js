@@ -0,0 +1,72 @@
+// services/coverageService.js
+const fs = require("fs");
+const path = require("path");
+const vectorStore = require("../config/vectorStore");
+
+const METADATA_PATH = path.join(__dirname, "..", "data", "ingestion_metadata.json");
+const CACHE_MS = 5 * 60 * 1000;
+const SCROLL_PAGE_SIZE = 256;
+
+/**
+ * What the news archive covers: articles per source and the publication
+ * date range, computed from the collection (one point per article is the
+ * first passage), plus the time of the last ingestion run from
+ * data/ingestion_metadata.json. Cached for a few minutes.
+ */
+class CoverageService {
+  constructor() {
+    this.cached = null;
+    this.cachedAt = 0;
+  }
+
+  readIngestionMetadata() {
+    try {
+      return JSON.parse(fs.readFileSync(METADATA_PATH, "utf8"));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async getCoverage() {
+    if (this.cached && Date.now() - this.cachedAt < CACHE_MS) return this.cached;
+
+    const sources = new Map();
+    let oldest = null;
+    let newest = null;
+    let totalArticles = 0;
+    let offset = null;
+
+    do {
+      const page = await vectorStore.scroll({
+        filters: { equals: { passageIndex: 0 } },
+        limit: SCROLL_PAGE_SIZE,
+        offset,
+        fields: ["source", "publishedAt"],
+      });
+      for (const { payload } of page.points) {
+        totalArticles++;
+        const source = payload.source || "Unknown";
+        sources.set(source, (sources.get(source) || 0) + 1);
+        if (payload.publishedAt) {
+          if (!oldest || payload.publishedAt < oldest) oldest = payload.publishedAt;
+          if (!newest || payload.publishedAt > newest) newest = payload.publishedAt;
+        }
+      }
+      offset = page.nextOffset;
+    } while (offset !== null);
+
+    const metadata = this.readIngestionMetadata();
+    this.cached = {
+      totalArticles,
+      sources: [...sources.entries()]
+        .map(([name, articles]) => ({ name, articles }))
+        .sort((a, b) => b.articles - a.articles),
+      dateRange: { oldest, newest },
+      lastIngestion: metadata?.ingestionTime || null,
+    };
+    this.cachedAt = Date.now();
+    return this.cached;
+  }
+}
+
+module.exports = new CoverageService();
@@ -0,0 +1,202 @@
+// services/digestService.js
+const vectorStore = require("../config/vectorStore");
+const { llm } = require("../config/llm");
+const cacheService = require("./cacheService");
+const lexicalIndex = require("./lexicalIndex");
+const { cosineSimilarity } = require("./diversity");
+
+const MAX_STORIES = parseInt(process.env.DIGEST_MAX_STORIES) || 8;
+const SCROLL_PAGE_SIZE = 256;
+// Same-day articles without a story id are grouped when this similar
+const CLUSTER_SIMILARITY = 0.8;
+const CLUSTER_TITLE_OVERLAP = 0.5;
+const PROMPT_ARTICLES_PER_STORY = 3;
+const PROMPT_SUMMARY_CHARS = 300;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const today = () => new Date().toISOString().split("T")[0];
+
+/**
+ * Validates digest parameters: `date` (YYYY-MM-DD, UTC, defaults to today),
+ * optional `category` and `source`. Returns `{ params }` or `{ error }`.
+ */
+function parseDigestParams({ date, category, source } = {}) {
+  const day = date || today();
+  if (!DATE_PATTERN.test(day) || isNaN(new Date(`${day}T00:00:00Z`).getTime())) {
+    return { error: "date must be a YYYY-MM-DD date" };
+  }
+  for (const [name, value] of Object.entries({ category, source })) {
+    if (value !== undefined && (typeof value !== "string" || value.trim().length === 0)) {
+      return { error: `${name} must be a non-empty string` };
+    }
+  }
+  return { params: { date: day, category: category?.trim() || null, source: source?.trim() || null } };
+}
+
+function isSameStory(cluster, article) {
+  if (article.storyId) return cluster.storyId === article.storyId;
+  return cluster.articles.some(
+    (a) =>
+      cosineSimilarity(a.vector, article.vector) >= CLUSTER_SIMILARITY ||
+      lexicalIndex.overlap(a.title, article.title) >= CLUSTER_TITLE_OVERLAP
+  );
+}
+
+/**
+ * Daily briefing: the day's articles (scrolled by `publishedAt`, not
+ * searched), grouped into stories, ranked by how many outlets and articles
+ * cover them, with an LLM headline and 2-3 sentence summary per story.
+ * Digests are cached in Redis until the next ingestion.
+ */
+class DigestService {
+  async getDigest(params, { useCache = true } = {}) {
+    const key = [params.date, params.category || "all", params.source || "all"].join(":");
+    if (useCache) {
+      const cached = await cacheService.getCachedDigest(key);
+      if (cached) return cached;
+    }
+
+    const digest = await this.buildDigest(params);
+    await cacheService.cacheDigest(key, digest);
+    return digest;
+  }
+
+  // One point per article (its first passage) published on the given day
+  async loadArticles({ date, category, source }) {
+    const filters = {
+      from: `${date}T00:00:00.000Z`,
+      to: `${date}T23:59:59.999Z`,
+      ...(category && { categories: [category] }),
+      ...(source && { sources: [source] }),
+      equals: { passageIndex: 0 },
+    };
+    const articles = [];
+    let offset = null;
+
+    do {
+      const page = await vectorStore.scroll({
+        filters,
+        limit: SCROLL_PAGE_SIZE,
+        offset,
+        withVectors: true,
+        fields: ["articleId", "title", "summary", "url", "source", "publishedAt", "storyId"],
+      });
+      for (const { id, payload, vector } of page.points) {
+        articles.push({ ...payload, articleId: payload.articleId || id, vector });
+      }
+      offset = page.nextOffset;
+    } while (offset !== null);
+
+    return articles;
+  }
+
+  // Groups articles by the story id assigned at ingestion, falling back to
+  // embedding/title similarity for articles stored before story clustering
+  clusterArticles(articles) {
+    const clusters = [];
+    for (const article of [...articles].sort((a, b) => a.publishedAt.localeCompare(b.publishedAt))) {
+      const cluster = clusters.find((c) => isSameStory(c, article));
+      if (cluster) cluster.articles.push(article);
+      else clusters.push({ storyId: article.storyId || null, articles: [article] });
+    }
+
+    return clusters
+      .map((c) => ({ ...c, outlets: new Set(c.articles.map((a) => a.source)).size }))
+      .sort(
+        (a, b) =>
+          b.outlets - a.outlets ||
+          b.articles.length - a.articles.length ||
+          b.articles[b.articles.length - 1].publishedAt.localeCompare(
+            a.articles[a.articles.length - 1].publishedAt
+          )
+      );
+  }
+
+  async buildDigest(params) {
+    console.log(
+      `📰 Building digest for ${params.date}${params.category ? ` (${params.category})` : ""}${params.source ? ` from ${params.source}` : ""}`
+    );
+    const articles = await this.loadArticles(params);
+    const clusters = this.clusterArticles(articles);
+    const top = clusters.slice(0, MAX_STORIES);
+    const briefs = await this.summarizeStories(top);
+
+    return {
+      date: params.date,
+      category: params.category,
+      source: params.source,
+      generatedAt: new Date().toISOString(),
+      articleCount: articles.length,
+      storyCount: clusters.length,
+      stories: top.map((cluster, i) => ({
+        storyId: cluster.storyId,
+        headline: briefs[i]?.headline || cluster.articles[0].title,
+        summary: briefs[i]?.summary || cluster.articles[0].summary || "",
+        articleCount: cluster.articles.length,
+        sources: cluster.articles.map((a) => ({
+          title: a.title,
+          url: a.url,
+          source: a.source,
+          publishedAt: a.publishedAt,
+        })),
+      })),
+    };
+  }
+
+  // One LLM call for every story; stories it misses keep their lead
+  // article's title and summary
+  async summarizeStories(clusters) {
+    if (clusters.length === 0) return [];
+
+    const list = clusters
+      .map((cluster, i) => {
+        const reports = cluster.articles
+          .slice(0, PROMPT_ARTICLES_PER_STORY)
+          .map((a) => `- ${a.source}: ${a.title}\n  ${(a.summary || "").substring(0, PROMPT_SUMMARY_CHARS)}`)
+          .join("\n");
+        return `Story ${i + 1}:\n${reports}`;
+      })
+      .join("\n\n");
+    const prompt = `You are writing a daily news briefing. For each story below, write a short neutral headline and a 2-3 sentence summary using only the given reports.
+Respond with a JSON array only, one entry per story, like [{"id": 1, "headline": "...", "summary": "..."}].
+
+${list}`;
+
+    const briefs = new Array(clusters.length).fill(null);
+    try {
+      const output = await llm.generate(prompt, { temperature: 0.3 });
+      const json = output.match(/\[[\s\S]*\]/);
+      if (!json) throw new Error("no JSON array in digest output");
+
+      for (const entry of JSON.parse(json[0])) {
+        const index = Number(entry.id) - 1;
+        if (index >= 0 && index < clusters.length && entry.headline && entry.summary) {
+          briefs[index] = { headline: String(entry.headline).trim(), summary: String(entry.summary).trim() };
+        }
+      }
+    } catch (error) {
+      console.error("⚠️ Digest summaries failed, using article summaries:", error.message);
+    }
+    return briefs;
+  }
+
+  formatMarkdown(digest) {
+    const scope = [digest.category, digest.source].filter(Boolean).join(", ");
+    const header = `# News briefing: ${digest.date}${scope ? ` (${scope})` : ""}
+
+${digest.articleCount} articles in ${digest.storyCount} stories. Generated ${digest.generatedAt}.`;
+    if (digest.stories.length === 0) return `${header}\n\nNo articles were published on this day.\n`;
+
+    const stories = digest.stories.map(
+      (story, i) => `## ${i + 1}. ${story.headline}
+
+${story.summary}
+
+${story.sources.map((s) => `- [${s.title}](${s.url}) (${s.source})`).join("\n")}`
+    );
+    return `${header}\n\n${stories.join("\n\n")}\n`;
+  }
+}
+
+module.exports = new DigestService();
+module.exports.parseDigestParams = parseDigestParams;
@@ -0,0 +1,139 @@
+// services/diversity.js
+
+const DEFAULT_MODE = process.env.DIVERSITY_MODE || "mmr";
+const DEFAULT_LAMBDA = process.env.MMR_LAMBDA !== undefined
+  ? Math.min(1, Math.max(0, parseFloat(process.env.MMR_LAMBDA) || 0))
+  : 0.7;
+const MODES = ["mmr", "corroborate", "none"];
+
+function cosineSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Validates the optional `diversity` request option:
+ * `{ mode: "mmr" | "corroborate" | "none", lambda }`.
+ * Returns `{ diversity }` or `{ error }`.
+ */
+function parseDiversityOptions(raw) {
+  if (raw === undefined || raw === null) return { diversity: null };
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    return { error: "diversity must be an object" };
+  }
+  if (raw.mode !== undefined && !MODES.includes(raw.mode)) {
+    return { error: `diversity.mode must be one of: ${MODES.join(", ")}` };
+  }
+  if (
+    raw.lambda !== undefined &&
+    (typeof raw.lambda !== "number" || raw.lambda < 0 || raw.lambda > 1)
+  ) {
+    return { error: "diversity.lambda must be a number between 0 and 1" };
+  }
+  return { diversity: { mode: raw.mode, lambda: raw.lambda } };
+}
+
+function resolveDiversityOptions(diversity = null) {
+  return {
+    mode: diversity?.mode || DEFAULT_MODE,
+    lambda: diversity?.lambda ?? DEFAULT_LAMBDA,
+  };
+}
+
+// Relevance normalized against the best candidate so it is comparable to cosine
+function normalizedRelevance(articles) {
+  const topScore = Math.max(...articles.map((a) => a.score)) || 1;
+  return new Map(articles.map((a) => [a, a.score / topScore]));
+}
+
+/**
+ * Maximal marginal relevance: repeatedly picks the article that best trades
+ * off relevance against similarity to the articles already picked, so the
+ * same story from several outlets doesn't fill the context.
+ */
+function selectMMR(articles, k, lambda) {
+  const relevance = normalizedRelevance(articles);
+  const remaining = [...articles];
+  const selected = [];
+
+  while (selected.length < k && remaining.length > 0) {
+    let bestIndex = 0;
+    let bestValue = -Infinity;
+
+    remaining.forEach((candidate, i) => {
+      const redundancy = selected.length
+        ? Math.max(...selected.map((s) => cosineSimilarity(candidate.vector, s.vector)))
+        : 0;
+      const value = lambda * relevance.get(candidate) - (1 - lambda) * redundancy;
+      if (value > bestValue) {
+        bestValue = value;
+        bestIndex = i;
+      }
+    });
+
+    selected.push(remaining.splice(bestIndex, 1)[0]);
+  }
+
+  return selected;
+}
+
+/**
+ * The opposite trade-off: anchors on the most relevant article and prefers
+ * close matches to it from other outlets, so one story is corroborated by
+ * several sources.
+ */
+function selectCorroborating(articles, k, lambda) {
+  if (articles.length === 0) return [];
+
+  const relevance = normalizedRelevance(articles);
+  const [anchor, ...rest] = [...articles].sort((a, b) => b.score - a.score);
+  const ranked = rest
+    .map((article) => ({
+      article,
+      value:
+        lambda * relevance.get(article) +
+        (1 - lambda) * cosineSimilarity(article.vector, anchor.vector),
+    }))
+    .sort((a, b) => b.value - a.value)
+    .map((r) => r.article);
+
+  // One article per additional outlet first, then fill with the best of the rest
+  const selected = [anchor];
+  const sources = new Set([anchor.source]);
+  for (const article of ranked) {
+    if (selected.length >= k) break;
+    if (!sources.has(article.source)) {
+      selected.push(article);
+      sources.add(article.source);
+    }
+  }
+  for (const article of ranked) {
+    if (selected.length >= k) break;
+    if (!selected.includes(article)) selected.push(article);
+  }
+
+  return selected;
+}
+
+function selectArticles(articles, k, options = {}) {
+  const { mode, lambda } = resolveDiversityOptions(options);
+
+  if (mode === "mmr") return selectMMR(articles, k, lambda);
+  if (mode === "corroborate") return selectCorroborating(articles, k, lambda);
+  return [...articles].sort((a, b) => b.score - a.score).slice(0, k);
+}
+
+module.exports = {
+  cosineSimilarity,
+  parseDiversityOptions,
+  resolveDiversityOptions,
+  selectArticles,
+};
@@ -0,0 +1,193 @@
+// services/entityExtractor.js
+const { llm } = require("../config/llm");
+const {
+  ENTITY_TYPES,
+  INVERTED_NAME_PATTERN,
+  normalizeEntityName,
+  entityKey,
+  outletEntityKeys,
+} = require("./entityNames");
+
+const DEFAULT_EXTRACTOR = process.env.ENTITY_EXTRACTOR || "llm";
+const BATCH_SIZE = parseInt(process.env.ENTITY_BATCH_SIZE) || 10;
+const MAX_PER_TYPE = 10;
+const ARTICLE_CHARS = 1500;
+
+// A capitalised word ("O’Brien", "J."), stopping before possessives
+const WORD = "[\\p{Lu}](?:[\\p{L}-]*(?:['’][\\p{Lu}][\\p{L}-]*)?|\\.)";
+const NAME = `${WORD}(?:\\s(?:${WORD}|de|van|von|bin|al))*`;
+// "President Trump", "Prime Minister Keir Starmer", "Mr Smith"
+const PERSON_PATTERN = new RegExp(
+  `\\b(?:Mr|Mrs|Ms|Dr|Sir|Dame|President|Prime Minister|Chancellor|Minister|Secretary|Senator|Sen\\.|Rep\\.|Governor|Gov\\.|King|Queen|Prince|Princess|Pope|Judge|Justice|General|Gen\\.|Chief Executive|CEO|leader|host|coach|star)\\s(${NAME})`,
+  "gu"
+);
+// Capitalised names ending in an organisation word: "Bank of England" is
+// matched by the leading word, "Conservative Party" by the trailing one
+const ORG_PATTERN = new RegExp(
+  `\\b((?:${NAME}\\s)?(?:Bank|Party|Ministry|Council|University|Association|Agency|Commission|Committee|Court|Department|Federation|Fund|Group|Police|Army|Parliament|Congress|Senate|Reserve|Union|Corporation|Company|Holdings|Inc|Ltd|plc|Plc|FC)(?:\\sof(?:\\sthe)?\\s${NAME})?)\\b`,
+  "gu"
+);
+const ACRONYM_PATTERN = /\b([A-Z]{2,6})\b/g;
+// "in Gaza", "from New Delhi"; only kept when not already a person or organisation
+const PLACE_PATTERN = new RegExp(`\\b(?:in|from|across|near|outside|to)\\s(${NAME})`, "gu");
+
+// Acronyms that name places rather than organisations
+const PLACE_ACRONYMS = { US: "United States", USA: "United States", UK: "United Kingdom", UAE: "United Arab Emirates" };
+const IGNORED_ACRONYMS = new Set(["AM", "PM", "TV", "CEO", "GMT", "BST", "EST", "AI", "OK", "II", "III", "SKIP", "MENU"]);
+const IGNORED_WORDS = new Set(["The", "A", "An", "This", "That", "It", "He", "She", "They", "We", "But", "And", "Watch", "Live", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday", "January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"]);
+
+function emptyEntities() {
+  return { people: [], organizations: [], places: [] };
+}
+
+// Normalizes, de-duplicates and caps every entity list; a one-word person
+// is dropped when a fuller name containing it was also found ("Trump" vs
+// "Donald Trump")
+function cleanEntities(raw = {}) {
+  const entities = emptyEntities();
+  const seen = new Set();
+
+  for (const type of Object.keys(ENTITY_TYPES)) {
+    for (const value of Array.isArray(raw[type]) ? raw[type] : []) {
+      const name = normalizeEntityName(value);
+      const key = entityKey(name);
+      if (!key || key.length < 2 || IGNORED_WORDS.has(name) || seen.has(key)) continue;
+      seen.add(key);
+      entities[type].push(name);
+    }
+  }
+
+  entities.people = entities.people.filter(
+    (name) =>
+      name.includes(" ") ||
+      !entities.people.some((other) => other !== name && other.split(" ").includes(name))
+  );
+  for (const type of Object.keys(ENTITY_TYPES)) {
+    entities[type] = entities[type].slice(0, MAX_PER_TYPE);
+  }
+  return entities;
+}
+
+// Cheap, offline extraction from titles, honorifics, organisation words and
+// prepositions; the fallback when the LLM is unavailable
+class RuleEntityExtractor {
+  constructor() {
+    this.name = "rules";
+  }
+
+  extractOne(article) {
+    const text = `${article.title}. ${article.summary || ""} ${(article.content || "").substring(0, ARTICLE_CHARS)}`;
+    const entities = emptyEntities();
+
+    // NYT categories list people as "Last, First"
+    for (const category of article.categories || []) {
+      if (INVERTED_NAME_PATTERN.test(category)) entities.people.push(category);
+    }
+    for (const match of text.matchAll(PERSON_PATTERN)) entities.people.push(match[1]);
+    for (const match of text.matchAll(ORG_PATTERN)) entities.organizations.push(match[1]);
+    for (const match of text.matchAll(ACRONYM_PATTERN)) {
+      if (IGNORED_ACRONYMS.has(match[1])) continue;
+      if (PLACE_ACRONYMS[match[1]]) entities.places.push(PLACE_ACRONYMS[match[1]]);
+      else entities.organizations.push(match[1]);
+    }
+
+    const known = new Set([...entities.people, ...entities.organizations].map(entityKey));
+    for (const match of text.matchAll(PLACE_PATTERN)) {
+      if (!known.has(entityKey(match[1]))) entities.places.push(match[1]);
+    }
+    return cleanEntities(entities);
+  }
+
+  async extract(articles) {
+    return articles.map((article) => this.extractOne(article));
+  }
+}
+
+// Asks the configured LLM for the entities of a batch of articles in one
+// call; articles it misses fall back to the rule-based extractor
+class LLMEntityExtractor {
+  constructor(fallback) {
+    this.name = "llm";
+    this.fallback = fallback;
+  }
+
+  async extract(articles) {
+    const list = articles
+      .map(
+        (article, i) =>
+          `[${i + 1}] ${article.title}\n${(article.content || article.summary || "").substring(0, ARTICLE_CHARS)}`
+      )
+      .join("\n\n");
+    const prompt = `Extract the named entities from each news article below: people, organizations (companies, parties, agencies, teams, ...) and places (countries, cities, regions).
+Use full names as written in the article. Leave out generic words, dates and the publishing outlet itself.
+Respond with a JSON array only, one entry per article, like [{"id": 1, "people": ["Keir Starmer"], "organizations": ["Bank of England"], "places": ["London"]}].
+
+${list}`;
+
+    const results = new Array(articles.length).fill(null);
+    try {
+      const output = await llm.generate(prompt, { temperature: 0 });
+      const json = output.match(/\[[\s\S]*\]/);
+      if (!json) throw new Error("no JSON array in entity extractor output");
+
+      for (const entry of JSON.parse(json[0])) {
+        const index = Number(entry.id) - 1;
+        if (index >= 0 && index < articles.length) results[index] = cleanEntities(entry);
+      }
+    } catch (error) {
+      console.error("⚠️ LLM entity extraction failed, using rules:", error.message);
+    }
+
+    return Promise.all(
+      results.map(async (entities, i) =>
+        entities || (await this.fallback.extract([articles[i]]))[0]
+      )
+    );
+  }
+}
+
+const ruleExtractor = new RuleEntityExtractor();
+const extractors = {
+  rules: ruleExtractor,
+  llm: new LLMEntityExtractor(ruleExtractor),
+};
+
+// Drops the entities that name one of the `outlets` (entity keys)
+function withoutOutlets(entities, outlets) {
+  return Object.fromEntries(
+    Object.entries(entities).map(([type, names]) => [
+      type,
+      names.filter((name) => !outlets.has(entityKey(name))),
+    ])
+  );
+}
+
+/**
+ * Extracts people, organizations and places for every article, in batches
+ * of ENTITY_BATCH_SIZE per LLM call. The outlets the articles come from
+ * ("BBC News", "BBC", "New York Times") are left out. Resolves to one
+ * `{ people, organizations, places }` object per article, in order.
+ */
+async function extractEntities(articles, extractorName = DEFAULT_EXTRACTOR) {
+  const extractor = extractors[extractorName] || ruleExtractor;
+  const results = [];
+  for (let i = 0; i < articles.length; i += BATCH_SIZE) {
+    results.push(...(await extractor.extract(articles.slice(i, i + BATCH_SIZE))));
+  }
+
+  const outlets = outletEntityKeys([...new Set(articles.map((a) => a.source).filter(Boolean))]);
+  return results.map((entities) => withoutOutlets(entities, outlets));
+}
+
+// Flat list of entity keys stored on every point for filtering
+function entityKeys(entities) {
+  return [
+    ...new Set(Object.keys(ENTITY_TYPES).flatMap((type) => (entities?.[type] || []).map(entityKey))),
+  ];
+}
+
+module.exports = {
+  extractors,
+  extractEntities,
+  entityKeys,
+};
@@ -0,0 +1,73 @@
+// services/entityNames.js
+
+const ENTITY_TYPES = {
+  people: 'person',
+  organizations: 'organization',
+  places: 'place'
+};
+
+// "Netanyahu, Benjamin" or "Biden, Joseph R Jr"
+const INVERTED_NAME_PATTERN = /^([\p{Lu}][\p{L}'’-]+), ((?:[\p{Lu}][\p{L}'’.-]*)(?: [\p{Lu}][\p{L}'’.-]*){0,2})$/u;
+
+/**
+ * Canonical display form of an entity name: whitespace collapsed, a
+ * trailing possessive dropped and "Last, First" (as in NYT feed
+ * categories) turned into "First Last".
+ */
+function normalizeEntityName(name) {
+  let text = String(name || '')
+    .replace(/\s+/g, ' ')
+    .replace(/[’']s$/, '')
+    .replace(/^(the|The) /, '')
+    .replace(/^["'“‘]+|["'”’.,;:]+$/g, '')
+    .trim();
+
+  const inverted = text.match(INVERTED_NAME_PATTERN);
+  if (inverted) text = `${inverted[2]} ${inverted[1]}`;
+  return text;
+}
+
+// Lowercase, accent-free key used in payload filters and API paths
+function entityKey(name) {
+  return normalizeEntityName(name)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[’']/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+// How people refer to outlets whose feed titles differ from their names
+const OUTLET_ALIASES = {
+  'new york times': 'nyt',
+  'ny times': 'nyt',
+  toi: 'times of india'
+};
+
+// Lowercase names a source is referred to by: the feed title, the part
+// before " > " or " - ", and a leading acronym ("BBC News" → "bbc")
+function outletKeys(sourceName) {
+  const head = sourceName.split(/ > | - |\.com/)[0].trim();
+  const acronym = head.match(/^[A-Z]{2,}\b/)?.[0];
+  return [sourceName, head, acronym].filter(Boolean).map((k) => k.toLowerCase());
+}
+
+// Entity keys of every name the given sources go by, aliases included
+function outletEntityKeys(sourceNames) {
+  const keys = new Set(sourceNames.flatMap(outletKeys));
+  for (const [alias, key] of Object.entries(OUTLET_ALIASES)) {
+    if (keys.has(key)) keys.add(alias);
+  }
+  return new Set([...keys].map(entityKey));
+}
+
+module.exports = {
+  ENTITY_TYPES,
+  INVERTED_NAME_PATTERN,
+  OUTLET_ALIASES,
+  normalizeEntityName,
+  entityKey,
+  outletKeys,
+  outletEntityKeys
+};
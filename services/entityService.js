@@ -0,0 +1,91 @@
+// services/entityService.js
+const vectorStore = require("../config/vectorStore");
+const { ENTITY_TYPES, entityKey } = require("./entityNames");
+
+const CACHE_MS = 5 * 60 * 1000;
+const SCROLL_PAGE_SIZE = 256;
+const ARTICLE_FIELDS = ["articleId", "title", "summary", "url", "source", "publishedAt", "storyId"];
+
+/**
+ * Entities tagged at ingestion, aggregated over one point per article (its
+ * first passage) into `{ key, name, type, articleCount, lastSeen }`.
+ * The aggregate is cached for a few minutes.
+ */
+class EntityService {
+  constructor() {
+    this.cached = null;
+    this.cachedAt = 0;
+  }
+
+  async scrollArticles(filters, fields) {
+    const points = [];
+    let offset = null;
+    do {
+      const page = await vectorStore.scroll({
+        filters: { ...filters, equals: { passageIndex: 0 } },
+        limit: SCROLL_PAGE_SIZE,
+        offset,
+        fields,
+      });
+      points.push(...page.points);
+      offset = page.nextOffset;
+    } while (offset !== null);
+    return points;
+  }
+
+  async getEntityIndex() {
+    if (this.cached && Date.now() - this.cachedAt < CACHE_MS) return this.cached;
+
+    const entities = new Map();
+    const points = await this.scrollArticles(null, [...Object.keys(ENTITY_TYPES), "publishedAt"]);
+    for (const { payload } of points) {
+      for (const [field, type] of Object.entries(ENTITY_TYPES)) {
+        for (const name of payload[field] || []) {
+          const key = entityKey(name);
+          if (!entities.has(key)) {
+            entities.set(key, { key, name, type, articleCount: 0, lastSeen: null });
+          }
+          const entity = entities.get(key);
+          entity.articleCount++;
+          if (payload.publishedAt && (!entity.lastSeen || payload.publishedAt > entity.lastSeen)) {
+            entity.lastSeen = payload.publishedAt;
+          }
+        }
+      }
+    }
+
+    this.cached = [...entities.values()].sort(
+      (a, b) => b.articleCount - a.articleCount || a.name.localeCompare(b.name)
+    );
+    this.cachedAt = Date.now();
+    return this.cached;
+  }
+
+  // Most mentioned entities first, optionally of one type or matching `q`
+  async listEntities({ type, q, limit = 50, offset = 0 } = {}) {
+    const query = q ? entityKey(q) : null;
+    const entities = (await this.getEntityIndex())
+      .filter((e) => !type || e.type === type)
+      .filter((e) => !query || e.key.includes(query));
+    return { total: entities.length, entities: entities.slice(offset, offset + limit) };
+  }
+
+  async getEntity(name) {
+    const key = entityKey(name);
+    return (await this.getEntityIndex()).find((e) => e.key === key) || null;
+  }
+
+  // Articles mentioning the entity, newest first
+  async getArticles(name, { limit = 20, offset = 0, filters = null } = {}) {
+    const points = await this.scrollArticles(
+      { ...filters, entities: [entityKey(name)] },
+      ARTICLE_FIELDS
+    );
+    const articles = points
+      .map(({ id, payload }) => ({ ...payload, articleId: payload.articleId || id }))
+      .sort((a, b) => (b.publishedAt || "").localeCompare(a.publishedAt || ""));
+    return { total: articles.length, articles: articles.slice(offset, offset + limit) };
+  }
+}
+
+module.exports = new EntityService();
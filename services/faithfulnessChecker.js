@@ -0,0 +1,219 @@
+// services/faithfulnessChecker.js
+const { llm } = require("../config/llm");
+const lexicalIndex = require("./lexicalIndex");
+const { extractClaims } = require("./citationService");
+
+const DEFAULT_CHECKER = process.env.FAITHFULNESS_CHECKER || "llm";
+const DEFAULT_POLICY = process.env.FAITHFULNESS_POLICY || "annotate";
+const DEFAULT_THRESHOLD = process.env.FAITHFULNESS_THRESHOLD !== undefined
+  ? Math.min(1, Math.max(0, parseFloat(process.env.FAITHFULNESS_THRESHOLD) || 0))
+  : 0.5;
+const POLICIES = ["annotate", "rewrite", "refuse"];
+const LABELS = ["supported", "unsupported", "contradicted"];
+// Share of a claim's terms that must appear in one passage to count as supported
+const LEXICAL_SUPPORT_RATIO = 0.6;
+// Claims shorter than this (in terms) carry no checkable facts
+const MIN_CLAIM_TERMS = 3;
+
+const REFUSAL_ANSWER =
+  "I couldn’t verify an answer to this question against the retrieved news articles.";
+
+// Passages a claim is checked against: the articles it cites, or all of them
+function evidenceFor(claim, articles) {
+  const cited = claim.sourceIndices.map((i) => articles[i]).filter(Boolean);
+  return (cited.length > 0 ? cited : articles).flatMap((a) =>
+    a.passages.map((p) => `${a.title}\n${p.text}`)
+  );
+}
+
+// Labels a claim supported when most of its terms (and every number it
+// states) appear in one passage. Cannot detect contradictions.
+class LexicalFaithfulnessChecker {
+  constructor() {
+    this.name = "lexical";
+  }
+
+  async check(claims, articles) {
+    return claims.map((claim) => {
+      const terms = [...new Set(lexicalIndex.tokenize(claim.text))];
+      const numbers = claim.text.match(/\d+(?:[.,]\d+)?/g) || [];
+
+      const support = Math.max(
+        0,
+        ...evidenceFor(claim, articles).map((passage) => {
+          if (numbers.some((n) => !passage.includes(n))) return 0;
+          const passageTerms = new Set(lexicalIndex.tokenize(passage));
+          return terms.filter((t) => passageTerms.has(t)).length / terms.length;
+        })
+      );
+
+      return {
+        label: support >= LEXICAL_SUPPORT_RATIO ? "supported" : "unsupported",
+      };
+    });
+  }
+}
+
+// Asks the configured LLM to label every claim in a single call. Falls back
+// to lexical checking when the model fails or returns unusable output.
+class LLMFaithfulnessChecker {
+  constructor(fallback) {
+    this.name = "llm";
+    this.fallback = fallback;
+  }
+
+  async check(claims, articles, context) {
+    const numbered = claims.map((c, i) => `[${i}] ${c.text}`).join("\n");
+    const prompt = `You are checking a news assistant's answer against its source articles.
+For each claim decide whether the articles support it, say nothing about it, or contradict it.
+Respond with a JSON array only, one entry per claim, like [{"id": 0, "label": "supported", "reason": "short reason"}].
+Labels: "supported", "unsupported", "contradicted".
+
+--- ARTICLES ---
+${context}
+----------------
+
+Claims:
+${numbered}`;
+
+    try {
+      const output = await llm.generate(prompt, { temperature: 0 });
+      const json = output.match(/\[[\s\S]*\]/);
+      if (!json) throw new Error("no JSON array in verifier output");
+
+      const results = new Array(claims.length).fill(null);
+      for (const entry of JSON.parse(json[0])) {
+        if (
+          Number.isInteger(entry.id) &&
+          entry.id >= 0 &&
+          entry.id < claims.length &&
+          LABELS.includes(entry.label)
+        ) {
+          results[entry.id] = {
+            label: entry.label,
+            ...(entry.reason && { reason: String(entry.reason) }),
+          };
+        }
+      }
+      if (results.some((r) => r === null)) {
+        throw new Error("verifier output did not label every claim");
+      }
+      return results;
+    } catch (error) {
+      console.error(`⚠️ LLM faithfulness check failed, using ${this.fallback.name}:`, error.message);
+      return this.fallback.check(claims, articles, context);
+    }
+  }
+}
+
+const lexicalChecker = new LexicalFaithfulnessChecker();
+const checkers = {
+  lexical: lexicalChecker,
+  llm: new LLMFaithfulnessChecker(lexicalChecker),
+};
+
+/**
+ * Validates the optional `faithfulness` request option: `false` to skip
+ * verification, or `{ policy, checker, threshold }`.
+ * Returns `{ faithfulness }` or `{ error }`.
+ */
+function parseFaithfulnessOptions(raw) {
+  if (raw === undefined || raw === null) return { faithfulness: null };
+  if (typeof raw === "boolean") return { faithfulness: { enabled: raw } };
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    return { error: "faithfulness must be a boolean or an object" };
+  }
+
+  if (raw.policy !== undefined && !POLICIES.includes(raw.policy)) {
+    return { error: `faithfulness.policy must be one of: ${POLICIES.join(", ")}` };
+  }
+  const names = Object.keys(checkers);
+  if (raw.checker !== undefined && !names.includes(raw.checker)) {
+    return { error: `faithfulness.checker must be one of: ${names.join(", ")}` };
+  }
+  if (
+    raw.threshold !== undefined &&
+    (typeof raw.threshold !== "number" || raw.threshold < 0 || raw.threshold > 1)
+  ) {
+    return { error: "faithfulness.threshold must be a number between 0 and 1" };
+  }
+
+  return {
+    faithfulness: { policy: raw.policy, checker: raw.checker, threshold: raw.threshold },
+  };
+}
+
+function resolveFaithfulnessOptions(faithfulness = null) {
+  return {
+    policy: faithfulness?.policy || DEFAULT_POLICY,
+    checker: faithfulness?.checker || DEFAULT_CHECKER,
+    threshold: faithfulness?.threshold ?? DEFAULT_THRESHOLD,
+  };
+}
+
+// Removes the given claims' sentences from the answer text
+function dropClaims(answer, claims) {
+  let text = answer;
+  for (const claim of [...claims].sort((a, b) => b.start - a.start)) {
+    text = text.slice(0, claim.start) + text.slice(claim.end);
+  }
+  return text.replace(/[ \t]{2,}/g, " ").replace(/\n{3,}/g, "\n\n").trim();
+}
+
+/**
+ * Splits the answer into claims, labels each one against the retrieved
+ * articles and applies the policy:
+ * - `annotate` keeps the answer and only reports the labels
+ * - `rewrite` drops unsupported and contradicted claims
+ * - `refuse` replaces the answer when groundedness is below the threshold
+ * Groundedness is the share of checked claims that are supported.
+ */
+async function verifyAnswer(answer, articles, context, options = {}) {
+  const { policy, checker: checkerName, threshold } = resolveFaithfulnessOptions(options);
+  const checker = checkers[checkerName] || lexicalChecker;
+
+  const claims = extractClaims(answer).filter(
+    (c) => lexicalIndex.tokenize(c.text).length >= MIN_CLAIM_TERMS
+  );
+  const results = claims.length > 0 ? await checker.check(claims, articles, context) : [];
+  const labeled = claims.map((claim, i) => ({ ...claim, ...results[i] }));
+
+  const supported = labeled.filter((c) => c.label === "supported").length;
+  const groundedness = labeled.length > 0 ? supported / labeled.length : 1;
+
+  let finalAnswer = answer;
+  let action = "none";
+  const ungrounded = labeled.filter((c) => c.label !== "supported");
+
+  if (policy === "rewrite" && ungrounded.length > 0) {
+    finalAnswer = dropClaims(answer, ungrounded) || REFUSAL_ANSWER;
+    action = finalAnswer === REFUSAL_ANSWER ? "refused" : "rewritten";
+  } else if (policy === "refuse" && groundedness < threshold) {
+    finalAnswer = REFUSAL_ANSWER;
+    action = "refused";
+  }
+
+  return {
+    answer: finalAnswer,
+    faithfulness: {
+      groundedness,
+      policy,
+      threshold,
+      checker: checker.name,
+      action,
+      claims: labeled.map(({ text, label, reason, sourceIndices }) => ({
+        text,
+        label,
+        sourceIndices,
+        ...(reason && { reason }),
+      })),
+    },
+  };
+}
+
+module.exports = {
+  checkers,
+  parseFaithfulnessOptions,
+  resolveFaithfulnessOptions,
+  verifyAnswer,
+};
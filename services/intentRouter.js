@@ -0,0 +1,147 @@
+// services/intentRouter.js
+const { llm } = require("../config/llm");
+const coverageService = require("./coverageService");
+
+const DEFAULT_CLASSIFIER = process.env.INTENT_CLASSIFIER || "rules";
+const INTENTS = ["greeting", "meta", "out_of_scope", "news", "follow_up"];
+
+const GREETING_PATTERN =
+  /^(hi|hii+|hello|hey|hey there|yo|good (morning|afternoon|evening)|thanks?|thank you|thx|cheers|ok(ay)?|cool|great|bye|goodbye|see you)\b[\s!.,]*(there|so much|a lot|bot)?[\s!.]*$/i;
+const THANKS_PATTERN = /^(thanks?|thank you|thx|cheers)/i;
+const GOODBYE_PATTERN = /^(bye|goodbye|see you)/i;
+// Only questions about the assistant's own sources and coverage; "Which
+// outlets covered the state visit?" is a news question
+const SOURCES_PATTERN =
+  /\b(which|what) (news )?(sources|outlets|publications|feeds|sites) (do|did|does|can) you\b|\b(what are|list|show me) your (news )?(sources|outlets|publications|feeds|sites)\b|\bwhere (do|does) (you|your) (news|information|data) come from\b|\b(how (recent|up to date|current) (is|are) your (news|data|articles|archive|coverage)|your (archive'?s? )?(date range|coverage)|when were you last updated)\b/i;
+const HELP_PATTERN =
+  /^(help|\?)$|\bwhat (can|do) you do\b|\bhow (do|can) (i|you) use\b|\bwho are you\b|\bwhat are you\b|\bhow does this work\b/i;
+const OUT_OF_SCOPE_PATTERN =
+  /\b(write|generate|compose) (me )?(a |an |some )?(poem|song|story|essay|code|script|function|program|email|letter)\b|\b(solve|calculate|compute)\b|^\s*[\d\s+\-*/().^=]+\s*$|\b(recipe|translate|homework|debug)\b|\b(tell|give) me a joke\b/i;
+// What keeps a message about the news even when it also matches
+// OUT_OF_SCOPE_PATTERN: news topics and roles ("How did analysts calculate
+// the cost of the protests?"), reporting verbs and time cues ("Did police
+// solve the robbery reported this week?"). A name alone doesn't count, so
+// "Write a poem about Nepal" stays out of scope.
+const NEWS_TOPIC_PATTERN =
+  /\b(news|headlines?|analysts?|economists?|officials?|government|minister|president|parliament|police|court|election|protests?|war|ceasefire|peace|talks|sanctions|economy|inflation|deficit|budget|tariffs?|crisis|deal|strike|attack|outage|robbery|heist|summit|state visit)\b/i;
+const NEWS_CUE_PATTERN =
+  /\b(reports?|reported|reporting|covered|according to|announced|confirmed|said|says|happened|breaking|latest|recent(ly)?|today|tonight|yesterday|last (night|week|month)|this (morning|week|month|year))\b/i;
+// Short questions leaning on earlier turns ("what about him?", "and then?")
+const FOLLOW_UP_PATTERN =
+  /^(and|but|so|also|what about|how about|why|what else|more)\b|\b(he|she|it|they|him|her|them|his|their|that|this|those|these)\b/i;
+
+const GREETING_REPLIES = {
+  hello: "Hi! I can answer questions about recent news from the articles I’ve collected. What would you like to know?",
+  thanks: "You’re welcome! Ask me anything else about the news.",
+  goodbye: "Goodbye! Come back any time for the latest news.",
+};
+const HELP_REPLY = `I’m a news assistant. I answer questions using articles collected from news RSS feeds and cite the articles I use, like [1].
+
+You can:
+- ask about current events ("What happened in Nepal this week?")
+- ask follow-ups ("What did the government say about it?")
+- narrow results by source, category, author or date with request filters
+- ask "which sources do you use?" to see what I cover`;
+const OUT_OF_SCOPE_REPLY =
+  "Sorry, I can only help with questions about the news articles I’ve collected. Try asking about a recent event, person or place in the news.";
+
+function hasNewsSignal(text) {
+  return NEWS_TOPIC_PATTERN.test(text) || NEWS_CUE_PATTERN.test(text);
+}
+
+// Rule-based classification; cheap, deterministic and the LLM fallback.
+// Out-of-scope words only count when nothing points at the news.
+function classifyWithRules(query, history = []) {
+  const text = (query || "").trim();
+
+  if (GREETING_PATTERN.test(text)) return "greeting";
+  if (SOURCES_PATTERN.test(text) || HELP_PATTERN.test(text)) return "meta";
+  if (OUT_OF_SCOPE_PATTERN.test(text) && !hasNewsSignal(text)) return "out_of_scope";
+  if (history.length > 0 && FOLLOW_UP_PATTERN.test(text) && text.split(/\s+/).length <= 12) {
+    return "follow_up";
+  }
+  return "news";
+}
+
+async function classifyWithLLM(query, history = []) {
+  const lastTurn = history.length > 0 ? history[history.length - 1].content.substring(0, 300) : "";
+  const prompt = `Classify the user's message to a news question-answering assistant.
+Labels:
+- greeting: hello, thanks, goodbye or small talk
+- meta: questions about the assistant itself, its news sources or date coverage
+- out_of_scope: requests unrelated to news (coding, math, writing, recipes, ...)
+- follow_up: a question that only makes sense with the previous turn
+- news: a question about news events, people or places
+Respond with the label only.
+${lastTurn ? `\nPrevious turn: "${lastTurn}"\n` : ""}
+Message: "${query}"
+
+Label:`;
+
+  try {
+    const output = await llm.generate(prompt, { temperature: 0, maxTokens: 10 });
+    const label = output.trim().toLowerCase().replace(/[^a-z_]/g, "");
+    if (INTENTS.includes(label)) return label;
+    throw new Error(`unknown intent label "${label}"`);
+  } catch (error) {
+    console.error("⚠️ LLM intent classification failed, using rules:", error.message);
+    return classifyWithRules(query, history);
+  }
+}
+
+/**
+ * Classifies a chat message as greeting, meta, out_of_scope, follow_up or
+ * news. Rules handle the obvious cases first; with the `llm` classifier
+ * only messages the rules would send to retrieval go to the model.
+ */
+async function classifyIntent(query, history = [], classifier = DEFAULT_CLASSIFIER) {
+  const intent = classifyWithRules(query, history);
+  if (classifier !== "llm" || (intent !== "news" && intent !== "follow_up")) {
+    return intent;
+  }
+  return classifyWithLLM(query, history);
+}
+
+function formatDate(iso) {
+  return iso ? new Date(iso).toISOString().split("T")[0] : "unknown";
+}
+
+async function coverageReply() {
+  const { totalArticles, sources, dateRange, lastIngestion } = await coverageService.getCoverage();
+  if (totalArticles === 0) {
+    return "I don’t have any news articles stored yet, so I can’t answer news questions until the next ingestion run.";
+  }
+
+  const sourceList = sources.map((s) => `- ${s.name} (${s.articles} articles)`).join("\n");
+  return `I answer from ${totalArticles} news articles from these sources:
+${sourceList}
+
+They were published between ${formatDate(dateRange.oldest)} and ${formatDate(dateRange.newest)}.${
+    lastIngestion ? ` The archive was last updated on ${formatDate(lastIngestion)}.` : ""
+  }`;
+}
+
+/**
+ * Replies to intents that don't need retrieval. Returns null for news and
+ * follow-up questions, which go through the RAG pipeline.
+ */
+async function handleIntent(intent, query) {
+  const text = (query || "").trim();
+
+  if (intent === "greeting") {
+    if (THANKS_PATTERN.test(text)) return GREETING_REPLIES.thanks;
+    if (GOODBYE_PATTERN.test(text)) return GREETING_REPLIES.goodbye;
+    return GREETING_REPLIES.hello;
+  }
+  if (intent === "meta") {
+    return SOURCES_PATTERN.test(text) ? coverageReply() : HELP_REPLY;
+  }
+  if (intent === "out_of_scope") return OUT_OF_SCOPE_REPLY;
+  return null;
+}
+
+module.exports = {
+  INTENTS,
+  classifyIntent,
+  handleIntent,
+};
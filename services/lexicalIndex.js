@@ -0,0 +1,159 @@
+// services/lexicalIndex.js
+const fs = require('fs');
+const path = require('path');
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'did', 'do', 'does',
+  'for', 'from', 'had', 'has', 'have', 'he', 'her', 'his', 'how', 'i', 'if',
+  'in', 'into', 'is', 'it', 'its', 'me', 'of', 'on', 'or', 'our', 'she',
+  'so', 'than', 'that', 'the', 'their', 'them', 'there', 'these', 'they',
+  'this', 'to', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who',
+  'why', 'will', 'with', 'you', 'your', 'about', 'after', 'said', 'says'
+]);
+
+/**
+ * BM25 keyword index over article passages. It is built by the ingestion
+ * scripts and persisted as JSON so the API server can load it without
+ * re-reading every point from Qdrant.
+ */
+class LexicalIndex {
+  constructor() {
+    this.indexPath = process.env.LEXICAL_INDEX_PATH ||
+      path.join(__dirname, '..', 'data', 'lexical_index.json');
+    this.k1 = 1.2;
+    this.b = 0.75;
+    this.reset();
+  }
+
+  reset() {
+    this.docs = new Map(); // passage id -> { articleId, length, tf }
+    this.postings = new Map(); // term -> Set of passage ids
+    this.totalLength = 0;
+    this.loadedMtime = null;
+  }
+
+  tokenize(text) {
+    if (!text) return [];
+    return text
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(token => token.length > 1 && !STOPWORDS.has(token));
+  }
+
+  // Jaccard overlap of two texts' terms, e.g. to spot near-identical headlines
+  overlap(a, b) {
+    const termsA = new Set(this.tokenize(a));
+    const termsB = new Set(this.tokenize(b));
+    if (termsA.size === 0 || termsB.size === 0) return 0;
+    const shared = [...termsA].filter(t => termsB.has(t)).length;
+    return shared / (termsA.size + termsB.size - shared);
+  }
+
+  addDocument(id, articleId, text) {
+    if (this.docs.has(id)) this.removeDocument(id);
+
+    const tokens = this.tokenize(text);
+    const tf = {};
+    for (const token of tokens) {
+      tf[token] = (tf[token] || 0) + 1;
+    }
+
+    this.docs.set(id, { articleId, length: tokens.length, tf });
+    this.totalLength += tokens.length;
+    for (const term of Object.keys(tf)) {
+      if (!this.postings.has(term)) this.postings.set(term, new Set());
+      this.postings.get(term).add(id);
+    }
+  }
+
+  removeDocument(id) {
+    const doc = this.docs.get(id);
+    if (!doc) return;
+
+    for (const term of Object.keys(doc.tf)) {
+      const ids = this.postings.get(term);
+      ids.delete(id);
+      if (ids.size === 0) this.postings.delete(term);
+    }
+    this.totalLength -= doc.length;
+    this.docs.delete(id);
+  }
+
+  search(query, limit = 20) {
+    const terms = [...new Set(this.tokenize(query))];
+    const docCount = this.docs.size;
+    if (terms.length === 0 || docCount === 0) return [];
+
+    const avgLength = this.totalLength / docCount;
+    const scores = new Map();
+
+    for (const term of terms) {
+      const ids = this.postings.get(term);
+      if (!ids) continue;
+
+      const idf = Math.log(1 + (docCount - ids.size + 0.5) / (ids.size + 0.5));
+      for (const id of ids) {
+        const doc = this.docs.get(id);
+        const freq = doc.tf[term];
+        const norm = freq * (this.k1 + 1) /
+          (freq + this.k1 * (1 - this.b + this.b * doc.length / avgLength));
+        scores.set(id, (scores.get(id) || 0) + idf * norm);
+      }
+    }
+
+    return [...scores.entries()]
+      .map(([id, score]) => ({ id, articleId: this.docs.get(id).articleId, score }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  load() {
+    this.reset();
+    if (!fs.existsSync(this.indexPath)) return this;
+
+    const data = JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+    for (const [id, doc] of Object.entries(data.docs || {})) {
+      this.docs.set(id, doc);
+      this.totalLength += doc.length;
+      for (const term of Object.keys(doc.tf)) {
+        if (!this.postings.has(term)) this.postings.set(term, new Set());
+        this.postings.get(term).add(id);
+      }
+    }
+    this.loadedMtime = fs.statSync(this.indexPath).mtimeMs;
+    return this;
+  }
+
+  // Reloads the index when an ingestion run has rewritten the file
+  ensureFresh() {
+    try {
+      const mtime = fs.existsSync(this.indexPath) ? fs.statSync(this.indexPath).mtimeMs : null;
+      if (mtime !== this.loadedMtime) this.load();
+    } catch (error) {
+      console.error('❌ Could not load lexical index:', error.message);
+    }
+    return this;
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.indexPath), { recursive: true });
+    const data = {
+      updatedAt: new Date().toISOString(),
+      docCount: this.docs.size,
+      docs: Object.fromEntries(this.docs)
+    };
+    fs.writeFileSync(this.indexPath, JSON.stringify(data));
+    this.loadedMtime = fs.statSync(this.indexPath).mtimeMs;
+  }
+
+  clear() {
+    this.reset();
+    if (fs.existsSync(this.indexPath)) {
+      fs.unlinkSync(this.indexPath);
+    }
+  }
+}
+
+module.exports = new LexicalIndex();
@@ -0,0 +1,87 @@
+// services/promptBuilder.js
+
+const HISTORY_TOKEN_BUDGET = parseInt(process.env.HISTORY_TOKEN_BUDGET) || 800;
+
+// Rough token estimate (~4 characters per token for English text)
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4);
+}
+
+/**
+ * Formats the most recent turns that fit in the token budget, oldest first.
+ * A turn that would overflow the budget ends the walk back through history.
+ */
+function formatHistory(history = [], tokenBudget = HISTORY_TOKEN_BUDGET) {
+  const lines = [];
+  let used = 0;
+
+  for (let i = history.length - 1; i >= 0; i--) {
+    const speaker = history[i].role === "assistant" ? "Assistant" : "User";
+    const line = `${speaker}: ${history[i].content}`;
+    const tokens = estimateTokens(line);
+    if (used + tokens > tokenBudget) break;
+    lines.unshift(line);
+    used += tokens;
+  }
+
+  return lines.join("\n");
+}
+
+function conversationBlock(history) {
+  const conversation = formatHistory(history);
+  return conversation
+    ? `--- EARLIER CONVERSATION ---
+${conversation}
+------------------------------------
+
+`
+    : "";
+}
+
+function buildRAGPrompt({ query, context, history = [] }) {
+  return `You are a helpful news assistant. Based on the following news articles, provide a concise answer to the user's question.
+If the articles don't contain the answer, say that you couldn't find relevant information.
+Use the earlier conversation only to understand what the question refers to; facts must come from the articles.
+Cite the article(s) supporting each statement with their number in square brackets, e.g. [1] or [2][3].
+Only cite the numbered articles below.
+
+${conversationBlock(history)}--- CONTEXT FROM NEWS ARTICLES ---
+${context}
+------------------------------------
+
+User's Question: "${query}"
+
+Answer:`;
+}
+
+// Asks for a per-outlet comparison; `outlets` lists the outlets in context
+// order and `missing` the requested ones without matching coverage
+function buildComparisonPrompt({ query, context, outlets, missing = [], history = [] }) {
+  const missingNote = missing.length
+    ? `No coverage of this topic was found from: ${missing.join(", ")}. Say so briefly.\n`
+    : "";
+
+  return `You are a news analyst comparing how different outlets covered the same topic.
+The articles below are grouped by outlet (${outlets.join(", ")}). For each outlet write a section:
+### <outlet name>
+- **Emphasis:** what the coverage focuses on and how it frames the story
+- **Facts reported:** the key facts it reports
+- **Omissions:** notable facts other outlets report that this one does not
+Finish with a "### Key differences" section of 2-3 bullets.
+Only use facts from the articles. Cite the article(s) supporting each statement with their number in square brackets, e.g. [1]; in an outlet's section only cite that outlet's articles.
+${missingNote}
+${conversationBlock(history)}--- CONTEXT FROM NEWS ARTICLES ---
+${context}
+------------------------------------
+
+User's Request: "${query}"
+
+Comparison:`;
+}
+
+module.exports = {
+  estimateTokens,
+  formatHistory,
+  buildRAGPrompt,
+  buildComparisonPrompt,
+};
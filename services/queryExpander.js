@@ -0,0 +1,132 @@
+// services/queryExpander.js
+const { llm } = require("../config/llm");
+
+const MODES = ["off", "short", "always"];
+const DEFAULT_MODE = MODES.includes(process.env.QUERY_EXPANSION)
+  ? process.env.QUERY_EXPANSION
+  : "off";
+const DEFAULT_PARAPHRASES = parseInt(process.env.QUERY_EXPANSION_PARAPHRASES) || 3;
+const DEFAULT_HYDE = process.env.QUERY_EXPANSION_HYDE !== "false";
+// In "short" mode only queries up to this many words are expanded
+const SHORT_QUERY_WORDS = parseInt(process.env.QUERY_EXPANSION_MAX_WORDS) || 6;
+const MAX_PARAPHRASES = 5;
+const MAX_HYPOTHETICAL_CHARS = 1000;
+
+/**
+ * Validates the per-request `expansion` option: a boolean (always / off) or
+ * `{ mode, paraphrases, hyde }`. Returns `{ expansion }` or `{ error }`.
+ */
+function parseExpansionOptions(raw) {
+  if (raw === undefined || raw === null) return { expansion: null };
+  if (typeof raw === "boolean") return { expansion: { mode: raw ? "always" : "off" } };
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    return { error: "expansion must be a boolean or an object" };
+  }
+
+  if (raw.mode !== undefined && !MODES.includes(raw.mode)) {
+    return { error: `expansion.mode must be one of: ${MODES.join(", ")}` };
+  }
+  if (
+    raw.paraphrases !== undefined &&
+    (!Number.isInteger(raw.paraphrases) ||
+      raw.paraphrases < 0 ||
+      raw.paraphrases > MAX_PARAPHRASES)
+  ) {
+    return { error: `expansion.paraphrases must be an integer between 0 and ${MAX_PARAPHRASES}` };
+  }
+  if (raw.hyde !== undefined && typeof raw.hyde !== "boolean") {
+    return { error: "expansion.hyde must be a boolean" };
+  }
+
+  return {
+    expansion: { mode: raw.mode || "always", paraphrases: raw.paraphrases, hyde: raw.hyde },
+  };
+}
+
+function resolveExpansionOptions(expansion = null) {
+  return {
+    mode: expansion?.mode || DEFAULT_MODE,
+    paraphrases: Math.min(expansion?.paraphrases ?? DEFAULT_PARAPHRASES, MAX_PARAPHRASES),
+    hyde: expansion?.hyde ?? DEFAULT_HYDE,
+  };
+}
+
+// Whether a query should be expanded under the resolved options
+function shouldExpand(query, { mode, paraphrases, hyde }) {
+  if (mode === "off" || (paraphrases === 0 && !hyde)) return false;
+  if (mode === "short") return query.trim().split(/\s+/).length <= SHORT_QUERY_WORDS;
+  return true;
+}
+
+async function generateParaphrases(query, count) {
+  const prompt = `Write ${count} alternative search queries for a news archive that ask for the same information as the question below.
+Use different wording, names and related terms. Respond with one query per line, no numbering or explanation.
+
+Question: "${query}"
+
+Queries:`;
+
+  try {
+    const output = await llm.generate(prompt, { temperature: 0.7 });
+    const seen = new Set([query.trim().toLowerCase()]);
+    return output
+      .split("\n")
+      .map((line) => line.replace(/^\s*(\d+[.)]|[-*•])\s*/, "").replace(/^["']|["']$/g, "").trim())
+      .filter((line) => {
+        const key = line.toLowerCase();
+        if (!line || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, count);
+  } catch (error) {
+    console.error("⚠️ Query paraphrasing failed:", error.message);
+    return [];
+  }
+}
+
+// HyDE: a plausible answer passage embeds closer to real articles than a
+// short question does. It is only used for search, never shown as an answer.
+async function generateHypotheticalAnswer(query) {
+  const prompt = `Write a short news article passage (2-3 sentences) that would answer the question below.
+Write it as a news report would; details may be invented. Respond with the passage only.
+
+Question: "${query}"
+
+Passage:`;
+
+  try {
+    const output = await llm.generate(prompt, { temperature: 0.7 });
+    return output.trim().substring(0, MAX_HYPOTHETICAL_CHARS) || null;
+  } catch (error) {
+    console.error("⚠️ Hypothetical answer generation failed:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Generates paraphrases and a hypothetical answer passage for a search
+ * query. Costs at most two LLM calls (one per kind, run in parallel);
+ * failures just leave that kind out.
+ */
+async function expandQuery(query, options = {}) {
+  const { paraphrases: count, hyde } = resolveExpansionOptions(options);
+
+  const [paraphrases, hypotheticalAnswer] = await Promise.all([
+    count > 0 ? generateParaphrases(query, count) : [],
+    hyde ? generateHypotheticalAnswer(query) : null,
+  ]);
+
+  return {
+    paraphrases,
+    hypotheticalAnswer,
+    llmCalls: (count > 0 ? 1 : 0) + (hyde ? 1 : 0),
+  };
+}
+
+module.exports = {
+  parseExpansionOptions,
+  resolveExpansionOptions,
+  shouldExpand,
+  expandQuery,
+};
@@ -0,0 +1,143 @@
+// services/queryFilters.js
+const { entityKey } = require('./entityNames');
+
+// Request filter key -> article payload field
+const LIST_FILTERS = {
+  sources: 'source',
+  categories: 'categories',
+  authors: 'author',
+  entities: 'entities'
+};
+const DATE_FILTERS = ['from', 'to'];
+
+/**
+ * Validates the optional `filters` object sent with a chat request.
+ * Returns `{ filters }` with normalized values, or `{ error }` describing
+ * the first invalid value.
+ */
+function parseFilters(raw) {
+  if (raw === undefined || raw === null) return { filters: null };
+
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'filters must be an object' };
+  }
+
+  const allowed = [...Object.keys(LIST_FILTERS), ...DATE_FILTERS];
+  const unknown = Object.keys(raw).filter(key => !allowed.includes(key));
+  if (unknown.length > 0) {
+    return { error: `Unknown filter "${unknown[0]}". Supported filters: ${allowed.join(', ')}` };
+  }
+
+  const filters = {};
+
+  for (const key of Object.keys(LIST_FILTERS)) {
+    if (raw[key] === undefined) continue;
+    const values = typeof raw[key] === 'string' ? [raw[key]] : raw[key];
+    if (!Array.isArray(values) || values.length === 0 ||
+        values.some(v => typeof v !== 'string' || v.trim().length === 0)) {
+      return { error: `filters.${key} must be a non-empty array of strings` };
+    }
+    // Entities are matched by their normalized key ("Netanyahu, Benjamin" → "benjamin netanyahu")
+    filters[key] = key === 'entities' ? values.map(entityKey) : values.map(v => v.trim());
+  }
+
+  for (const key of DATE_FILTERS) {
+    if (raw[key] === undefined) continue;
+    const date = typeof raw[key] === 'string' ? new Date(raw[key]) : null;
+    if (!date || isNaN(date.getTime())) {
+      return { error: `filters.${key} must be an ISO 8601 date string` };
+    }
+    filters[key] = date.toISOString();
+  }
+
+  if (filters.from && filters.to && filters.from > filters.to) {
+    return { error: 'filters.from must be before filters.to' };
+  }
+
+  return { filters: Object.keys(filters).length > 0 ? filters : null };
+}
+
+// Translates parsed filters into a Qdrant payload filter. Besides the client
+// filters, internal callers may pass `equals: { field: value }` exact matches
+// (e.g. `{ passageIndex: 0 }` to select one point per article) and
+// `exclude: { field: [values] }` to drop points matching any of the values
+// and `text: { field: "words" }` to keep points whose field contains every
+// word (Qdrant full-text match).
+function toQdrantFilter(filters) {
+  if (!filters) return undefined;
+
+  const must = [];
+  const mustNot = Object.entries(filters.exclude || {})
+    .filter(([, values]) => values.length > 0)
+    .map(([field, values]) => ({ key: field, match: { any: values } }));
+  for (const [key, field] of Object.entries(LIST_FILTERS)) {
+    if (filters[key]) {
+      must.push({ key: field, match: { any: filters[key] } });
+    }
+  }
+  for (const [field, value] of Object.entries(filters.equals || {})) {
+    must.push({ key: field, match: { value } });
+  }
+  for (const [field, text] of Object.entries(filters.text || {})) {
+    must.push({ key: field, match: { text } });
+  }
+  if (filters.from || filters.to) {
+    must.push({
+      key: 'publishedAt',
+      range: {
+        ...(filters.from && { gte: filters.from }),
+        ...(filters.to && { lte: filters.to })
+      }
+    });
+  }
+
+  if (must.length === 0 && mustNot.length === 0) return undefined;
+  return {
+    ...(must.length > 0 && { must }),
+    ...(mustNot.length > 0 && { must_not: mustNot })
+  };
+}
+
+// Lowercase words, split like Qdrant's word tokenizer
+function textWords(value) {
+  return String(value || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// Same semantics as toQdrantFilter, for hits that did not come from Qdrant search
+function matchesFilters(payload, filters) {
+  if (!filters) return true;
+  if (!payload) return false;
+
+  for (const [key, field] of Object.entries(LIST_FILTERS)) {
+    if (!filters[key]) continue;
+    const values = Array.isArray(payload[field]) ? payload[field] : [payload[field]];
+    if (!values.some(v => filters[key].includes(v))) return false;
+  }
+
+  for (const [field, value] of Object.entries(filters.equals || {})) {
+    const values = Array.isArray(payload[field]) ? payload[field] : [payload[field]];
+    if (!values.includes(value)) return false;
+  }
+
+  for (const [field, text] of Object.entries(filters.text || {})) {
+    const words = new Set(textWords(payload[field]));
+    if (!textWords(text).every(word => words.has(word))) return false;
+  }
+
+  for (const [field, excluded] of Object.entries(filters.exclude || {})) {
+    const values = Array.isArray(payload[field]) ? payload[field] : [payload[field]];
+    if (values.some(v => excluded.includes(v))) return false;
+  }
+
+  const publishedAt = payload.publishedAt ? new Date(payload.publishedAt).toISOString() : null;
+  if (filters.from && (!publishedAt || publishedAt < filters.from)) return false;
+  if (filters.to && (!publishedAt || publishedAt > filters.to)) return false;
+
+  return true;
+}
+
+module.exports = {
+  parseFilters,
+  toQdrantFilter,
+  matchesFilters
+};
@@ -0,0 +1,65 @@
+// services/queryRewriter.js
+const { llm } = require("../config/llm");
+const { formatHistory } = require("./promptBuilder");
+
+const REWRITE_HISTORY_TURNS = 6;
+const REWRITE_TOKEN_BUDGET = 600;
+
+/**
+ * Turns a follow-up question into a standalone search query using the
+ * recent conversation. Without history the query is returned unchanged,
+ * and any LLM failure falls back to the original query.
+ */
+async function rewriteQuery(query, history = []) {
+  const recent = history.slice(-REWRITE_HISTORY_TURNS);
+  if (recent.length === 0) {
+    return { query, rewritten: false };
+  }
+
+  const prompt = `Rewrite the user's latest question as a standalone search query for a news archive.
+Resolve pronouns and references ("he", "that", "the deal") using the conversation.
+If the question is already standalone, return it unchanged.
+Respond with the query only, no quotes or explanation.
+
+--- CONVERSATION ---
+${formatHistory(recent, REWRITE_TOKEN_BUDGET)}
+--------------------
+
+Latest question: "${query}"
+
+Standalone query:`;
+
+  try {
+    const output = await llm.generate(prompt, { temperature: 0 });
+    const rewrittenQuery = output
+      .trim()
+      .split("\n")[0]
+      .replace(/^["']|["']$/g, "")
+      .trim();
+
+    if (!rewrittenQuery) return { query, rewritten: false };
+
+    console.log(`✏️ Rewrote query: "${query}" → "${rewrittenQuery}"`);
+    return {
+      query: rewrittenQuery,
+      rewritten: rewrittenQuery.toLowerCase() !== query.trim().toLowerCase(),
+    };
+  } catch (error) {
+    console.error("⚠️ Query rewrite failed, using original query:", error.message);
+    return { query, rewritten: false };
+  }
+}
+
+// Drops the trailing user turn when it is the question being answered
+function withoutCurrentQuery(history, query) {
+  const last = history[history.length - 1];
+  if (last && last.role === "user" && last.content.trim() === query.trim()) {
+    return history.slice(0, -1);
+  }
+  return history;
+}
+
+module.exports = {
+  rewriteQuery,
+  withoutCurrentQuery,
+};
@@ -1,67 +1,473 @@
 // services/ragService.js
-const qdrant = require("../config/qdrant");
-const gemini = require("../config/gemini");
-const embeddings = require("../config/embeddings"); 
+const embeddings = require("../config/embeddings");
+const { llm } = require("../config/llm");
+const { FALLBACK_ANSWER } = require("../providers/llm/baseProvider");
+const { getRecentMessages } = require("./sessionService");
+const retrievalService = require("./retrievalService");
+const { rewriteQuery, withoutCurrentQuery } = require("./queryRewriter");
+const { resolveRerankOptions, rerank } = require("./rerankers");
+const { resolveRecencyOptions, applyRecencyDecay } = require("./recencyScorer");
+const { selectArticles } = require("./diversity");
+const { buildRAGPrompt, buildComparisonPrompt } = require("./promptBuilder");
+const { processCitations } = require("./citationService");
+const { verifyAnswer, resolveFaithfulnessOptions } = require("./faithfulnessChecker");
+const { assessConfidence, applyConfidence } = require("./confidenceScorer");
 const cacheService = require("./cacheService");
+const { classifyIntent, handleIntent } = require("./intentRouter");
+const { resolveExpansionOptions, shouldExpand, expandQuery } = require("./queryExpander");
+const timelineService = require("./timelineService");
+const { retrieveBySource, formatComparisonContext } = require("./comparisonService");
+const { parseChatOptions } = require("./chatOptions");
+
+const STAGE_ORDER = [
+  "route",
+  "rewrite",
+  "timeline",
+  "embed",
+  "cacheLookup",
+  "expand",
+  "retrieve",
+  "rerank",
+  "compare",
+  "buildPrompt",
+  "generate",
+  "verify",
+  "assess",
+  "postProcess",
+  "cacheStore",
+];
+
+// Options that don't change the answer and so don't split the cache
+const UNCACHED_OPTION_KEYS = ["sessionId", "route", "cacheLookup", "cacheStore"];
+
+// What a chat request with no options runs with
+const DEFAULT_OPTIONS = parseChatOptions({}).options;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// `value` with unset and default settings left out and keys sorted, or
+// undefined when nothing differs from `defaults`
+function withoutDefaults(value, defaults) {
+  if (value === undefined || JSON.stringify(value) === JSON.stringify(defaults)) {
+    return undefined;
+  }
+  if (!isPlainObject(value)) return value;
+
+  const entries = Object.keys(value)
+    .sort()
+    .map((key) => [key, withoutDefaults(value[key], defaults?.[key])])
+    .filter(([, setting]) => setting !== undefined);
+  return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+}
+
+// Answers are only shared between requests made with the same options.
+// Defaults are left out, so a request that spells one out and one that
+// leaves it unset share a signature.
+function optionsSignature(options = {}) {
+  const cached = Object.fromEntries(
+    Object.entries(options).filter(([key]) => !UNCACHED_OPTION_KEYS.includes(key))
+  );
+  return JSON.stringify(withoutDefaults(cached, DEFAULT_OPTIONS) || {});
+}
+
+// Follow-ups are answered with the conversation in the prompt, so only
+// standalone questions are served from or written to the cache
+function isCacheable(ctx) {
+  return ctx.history.length === 0 && Array.isArray(ctx.queryVector);
+}
+
+// Recent conversation for the session, minus the message being answered
+async function loadHistory(ctx) {
+  if (ctx.historyLoaded) return;
+  ctx.history = ctx.sessionId
+    ? withoutCurrentQuery(await getRecentMessages(ctx.sessionId), ctx.query)
+    : [];
+  ctx.historyLoaded = true;
+}
+
+const NO_CONTEXT_ANSWER =
+  "I couldn’t find any relevant information from the stored news articles.";
+
+// Sends generated text to the client and remembers what it has been shown
+function streamText(ctx, hooks, text) {
+  ctx.streamedText = (ctx.streamedText || "") + text;
+  hooks.onToken(text);
+}
+
+// Tokens are streamed as they are generated only under the annotate policy
+// (or with verification off). Rewrite and refuse can swap the answer after
+// generation, so it is held back and sent once post-processing is done.
+function streamsLive(ctx) {
+  const verify = ctx.options.verify || {};
+  return verify.enabled === false || resolveFaithfulnessOptions(verify).policy === "annotate";
+}
+
+/**
+ * Default pipeline stages. Each stage receives the shared pipeline context,
+ * its own options (`options[stageName]`) and the run hooks, and records its
+ * output on the context for the stages after it.
+ */
+const defaultStages = {
+  // Classifies the message; greetings, questions about the assistant and
+  // out-of-scope requests are answered here without retrieval
+  async route(ctx, options, hooks) {
+    await loadHistory(ctx);
+    ctx.intent = await classifyIntent(ctx.query, ctx.history, options.classifier);
+
+    const answer = await handleIntent(ctx.intent, ctx.query);
+    if (answer === null) return;
+
+    console.log(`🧭 Intent "${ctx.intent}" answered without retrieval`);
+    ctx.response = {
+      answer,
+      sources: [],
+      citations: processCitations(answer, 0).citations,
+      faithfulness: null,
+      confidence: null,
+      rewrittenQuery: ctx.query,
+      intent: ctx.intent,
+    };
+    if (hooks.onToken) hooks.onToken(answer);
+    ctx.done = true;
+  },
+
+  // Turns follow-up questions into a standalone search query
+  async rewrite(ctx) {
+    await loadHistory(ctx);
+    const { query } = await rewriteQuery(ctx.query, ctx.history);
+    ctx.searchQuery = query;
+  },
+
+  // Timeline mode: answers with a dated event list for the story instead of
+  // a generated answer. Only runs when the request asked for it.
+  async timeline(ctx, options, hooks) {
+    if (!options.enabled) return;
+
+    const timeline = await timelineService.buildTimeline(ctx.searchQuery, {
+      filters: options.filters,
+      limit: options.limit,
+    });
+    const { answer, citations } = processCitations(
+      timelineService.formatTimeline(timeline),
+      timeline.sources.length
+    );
+    ctx.response = {
+      answer,
+      sources: timeline.sources,
+      citations,
+      timeline: timeline.events,
+      faithfulness: null,
+      confidence: null,
+      rewrittenQuery: ctx.searchQuery,
+      intent: ctx.intent || "news",
+    };
+    if (hooks.onToken) hooks.onToken(answer);
+    ctx.done = true;
+  },
+
+  async embed(ctx) {
+    ctx.queryVector = await embeddings.embedSingle(ctx.searchQuery);
+  },
+
+  // Serves a previous answer to a semantically equivalent question, if one
+  // was cached after the last ingestion, and ends the pipeline.
+  // `recordStats: false` keeps the lookup out of the cache stats.
+  async cacheLookup(ctx, options, hooks) {
+    if (!isCacheable(ctx)) return;
+
+    const match = await cacheService.findSemanticMatch(
+      ctx.queryVector,
+      optionsSignature(ctx.options),
+      { recordStats: options.recordStats !== false }
+    );
+    if (!match) return;
+
+    console.log(
+      `💾 Semantic cache hit (${match.similarity.toFixed(3)}): "${match.query}"`
+    );
+    ctx.response = {
+      ...match.result,
+      rewrittenQuery: ctx.searchQuery,
+      intent: ctx.intent || "news",
+      fromCache: true,
+      cachedAt: match.cachedAt,
+      cachedQuery: match.query,
+      cacheSimilarity: match.similarity,
+    };
+    if (hooks.onToken) hooks.onToken(ctx.response.answer);
+    ctx.done = true;
+  },
+
+  // Generates paraphrases and a hypothetical answer for the search query
+  // and embeds them in one batch, so retrieval can search with each
+  async expand(ctx, options) {
+    const expansion = resolveExpansionOptions(options);
+    if (!shouldExpand(ctx.searchQuery, expansion)) return;
+
+    const { paraphrases, hypotheticalAnswer, llmCalls } = await expandQuery(
+      ctx.searchQuery,
+      expansion
+    );
+    const variants = [
+      ...paraphrases.map((text) => ({ kind: "paraphrase", text })),
+      ...(hypotheticalAnswer ? [{ kind: "hyde", text: hypotheticalAnswer }] : []),
+    ];
+    ctx.expansion = { paraphrases, hypotheticalAnswer, llmCalls };
+    if (variants.length === 0) return;
+
+    const vectors = await embeddings.embed(variants.map((v) => v.text));
+    ctx.queryVariants = [
+      { kind: "query", text: ctx.searchQuery, vector: ctx.queryVector },
+      ...variants.map((v, i) => ({ ...v, vector: vectors[i] })),
+    ];
+    console.log(
+      `🪄 Expanded query into ${paraphrases.length} paraphrases${hypotheticalAnswer ? " and a hypothetical answer" : ""}`
+    );
+  },
+
+  // Over-fetches candidate passages with hybrid keyword + vector search,
+  // once per query variant when the query was expanded
+  async retrieve(ctx, options) {
+    const { candidates } = resolveRerankOptions({ candidates: options.candidates });
+    const searchOptions = {
+      lexicalWeight: options.lexicalWeight,
+      filters: options.filters,
+      limit: candidates,
+      withVectors: true,
+    };
+    ctx.candidates = ctx.queryVariants
+      ? await retrievalService.multiQuerySearch(ctx.queryVariants, searchOptions)
+      : await retrievalService.hybridSearch(ctx.searchQuery, ctx.queryVector, searchOptions);
+  },
+
+  // Reranks candidates, re-scores for recency, groups passages by article
+  // and picks a diverse set of `topK` articles
+  async rerank(ctx, options) {
+    const { reranker } = resolveRerankOptions({ reranker: options.reranker });
+    const passageHits = applyRecencyDecay(
+      await rerank(ctx.searchQuery, ctx.candidates, reranker),
+      resolveRecencyOptions(ctx.searchQuery, options.recency)
+    );
+    ctx.articles = selectArticles(
+      retrievalService.groupByArticle(passageHits, { maxArticles: Infinity }),
+      options.topK || 3,
+      options.diversity
+    );
+    ctx.sources = retrievalService.toSources(ctx.articles);
+
+    console.log(
+      `📊 Found ${passageHits.length} relevant passages, using ${ctx.articles.length} articles.`
+    );
+  },
+
+  // Comparison mode: replaces the selection with each outlet's top articles
+  // so every outlet is represented. Only runs when the request asked for it.
+  async compare(ctx, options) {
+    if (!options.enabled) return;
+
+    const { groups, missing } = await retrieveBySource(ctx.searchQuery, ctx.queryVector, {
+      sources: options.sources,
+      perSource: options.perSource,
+      reranker: options.reranker,
+      lexicalWeight: options.lexicalWeight,
+      filters: options.filters,
+      candidates: ctx.candidates,
+    });
+    ctx.articles = groups.flatMap((g) => g.articles);
+    ctx.sources = retrievalService.toSources(ctx.articles);
+
+    let next = 0;
+    ctx.comparison = {
+      outlets: groups.map((g) => ({
+        source: g.source,
+        sourceIndices: g.articles.map(() => next++),
+      })),
+      missing,
+    };
+    ctx.comparisonContext = formatComparisonContext(groups);
+    console.log(
+      `⚖️ Comparing ${groups.length} outlets (${ctx.articles.length} articles)${missing.length ? `, no coverage from ${missing.join(", ")}` : ""}`
+    );
+  },
+
+  async buildPrompt(ctx) {
+    ctx.context = retrievalService.formatContext(ctx.articles);
+    if (ctx.comparison) {
+      ctx.prompt = buildComparisonPrompt({
+        query: ctx.query,
+        context: ctx.comparisonContext,
+        outlets: ctx.comparison.outlets.map((o) => o.source),
+        missing: ctx.comparison.missing,
+        history: ctx.history,
+      });
+      return;
+    }
+    ctx.prompt = buildRAGPrompt({
+      query: ctx.query,
+      context: ctx.context,
+      history: ctx.history,
+    });
+  },
+
+  // Streams tokens through `hooks.onToken` when given and the faithfulness
+  // policy allows it, otherwise generates the whole answer at once
+  async generate(ctx, options, hooks) {
+    const live = hooks.onToken && streamsLive(ctx);
+    if (ctx.articles.length === 0) {
+      ctx.rawAnswer = NO_CONTEXT_ANSWER;
+      if (live) streamText(ctx, hooks, ctx.rawAnswer);
+      return;
+    }
+
+    console.log(`🧠 Generating response with ${llm.name} (${llm.model})...`);
+    if (!live) {
+      ctx.rawAnswer = await llm.safeGenerate(ctx.prompt);
+      return;
+    }
+
+    ctx.rawAnswer = "";
+    for await (const chunkText of llm.stream(ctx.prompt)) {
+      ctx.rawAnswer += chunkText;
+      streamText(ctx, hooks, chunkText);
+    }
+  },
+
+  // Checks the answer's claims against the retrieved passages and applies
+  // the faithfulness policy (annotate, rewrite or refuse)
+  async verify(ctx, options) {
+    if (ctx.articles.length === 0 || ctx.rawAnswer === FALLBACK_ANSWER) return;
+
+    const { answer, faithfulness } = await verifyAnswer(
+      ctx.rawAnswer,
+      ctx.articles,
+      ctx.context,
+      options
+    );
+    ctx.rawAnswer = answer;
+    ctx.faithfulness = faithfulness;
+    console.log(
+      `🔍 Groundedness ${faithfulness.groundedness.toFixed(2)} over ${faithfulness.claims.length} claims (${faithfulness.action})`
+    );
+  },
+
+  // Scores confidence in the answer and, below the thresholds, adds a caveat
+  // or swaps the answer for a clarifying question
+  async assess(ctx) {
+    ctx.confidence = assessConfidence({
+      articles: ctx.articles,
+      answer: ctx.rawAnswer,
+      faithfulness: ctx.faithfulness,
+      failed: ctx.rawAnswer === FALLBACK_ANSWER,
+    });
+    ctx.rawAnswer = applyConfidence(ctx.rawAnswer, ctx.confidence, ctx);
+    console.log(
+      `🎯 Confidence ${ctx.confidence.score.toFixed(2)} → ${ctx.confidence.action}`
+    );
+  },
+
+  // Validates [n] citation markers and assembles the response. Citation
+  // spans refer to this final answer: a held-back answer is streamed now,
+  // and when it differs from the streamed draft (stripped markers,
+  // annotations, confidence) the client is sent the replacement through
+  // `hooks.onReplace`
+  async postProcess(ctx, options, hooks) {
+    const { answer, citations } = processCitations(ctx.rawAnswer, ctx.sources.length);
+    if (hooks.onToken && ctx.streamedText === undefined) {
+      streamText(ctx, hooks, answer);
+    } else if (ctx.streamedText !== undefined && ctx.streamedText.trimEnd() !== answer && hooks.onReplace) {
+      hooks.onReplace(answer);
+    }
+    ctx.response = {
+      answer,
+      sources: ctx.sources,
+      citations,
+      faithfulness: ctx.faithfulness || null,
+      confidence: ctx.confidence || null,
+      rewrittenQuery: ctx.searchQuery,
+      intent: ctx.intent || "news",
+      ...(ctx.comparison && { comparison: ctx.comparison }),
+      ...(ctx.expansion && { debug: { expansion: ctx.expansion } }),
+    };
+  },
+
+  // Failed generations are not cached so the next request can retry
+  async cacheStore(ctx) {
+    if (!isCacheable(ctx) || ctx.rawAnswer === FALLBACK_ANSWER) return;
+
+    const { rewrittenQuery, intent, debug, ...result } = ctx.response;
+    await cacheService.cacheSemanticResult(
+      ctx.searchQuery,
+      ctx.queryVector,
+      optionsSignature(ctx.options),
+      result
+    );
+  },
+};
 
 class RagService {
-  constructor() {
-    this.collectionName = qdrant.collectionName || "news_articles";
+  constructor(stages = defaultStages) {
+    this.stages = { ...stages };
   }
-  async embedQuery(query) {
-    try {
-      return await embeddings.generateEmbedding(query); 
-    } catch (err) {
-      console.error("❌ Error generating query embedding:", err.message);
-      throw new Error("Embedding generation failed");
+
+  // Replaces a named stage, e.g. to plug in a different reranker or generator
+  useStage(name, handler) {
+    if (!STAGE_ORDER.includes(name)) {
+      throw new Error(`Unknown pipeline stage "${name}"`);
     }
+    this.stages[name] = handler;
+    return this;
   }
-  async retrieveRelevantDocs(queryEmbedding, k = 5) {
-    try {
-      const results = await qdrant.client.search(this.collectionName, {
-        vector: queryEmbedding,
-        limit: k,
-        with_payload: true,
-      });
-      console.log(`🔍 Retrieved ${results.length} docs from Qdrant`);
-      return results;
-    } catch (err) {
-      console.error("❌ Error retrieving from Qdrant:", err.message);
-      return [];
+
+  /**
+   * Runs the given stages in pipeline order. `options` holds the session id
+   * plus per-stage options keyed by stage name; a stage whose options set
+   * `enabled: false` is skipped. `hooks.onStageComplete(name, ctx)` is called
+   * after every stage, and a stage can end the run early by setting
+   * `ctx.done` (e.g. on a cache hit). Returns the pipeline context.
+   */
+  async runStages(names, query, options = {}, hooks = {}) {
+    const ctx = {
+      query,
+      options,
+      sessionId: options.sessionId,
+      searchQuery: query,
+      history: [],
+      candidates: [],
+      articles: [],
+      sources: [],
+    };
+
+    for (const name of STAGE_ORDER.filter((stage) => names.includes(stage))) {
+      const stageOptions = options[name] || {};
+      if (stageOptions.enabled === false) continue;
+      await this.stages[name](ctx, stageOptions, hooks);
+      if (hooks.onStageComplete) hooks.onStageComplete(name, ctx);
+      if (ctx.done) break;
     }
+
+    return ctx;
   }
-  formatContext(results) {
-    if (!results || results.length === 0) return "";
-    return results
-      .map((doc, idx) => {
-        const payload = doc.payload || {};
-        return `Document ${idx + 1} [${payload.source || "unknown"}]:\n${
-          payload.content || ""
-        }`;
-      })
-      .join("\n\n");
+
+  // Full question answering: route → rewrite → timeline (when requested) →
+  // embed → cache lookup → expand → retrieve → rerank → compare (when
+  // requested) → build prompt → generate → verify → assess → post-process →
+  // cache store
+  async answer(query, options = {}, hooks = {}) {
+    console.log(`\n🔎 Processing RAG query: "${query}"`);
+    const ctx = await this.runStages(STAGE_ORDER, query, options, hooks);
+    return ctx.response;
   }
-  async answerQuery(sessionId, query) {
-    try {
-      const cached = await cacheService.getCachedResponse(sessionId, query);
-      if (cached) {
-        console.log("⚡ Cache hit");
-        return cached;
-      }
-      const queryEmbedding = await this.embedQuery(query);
-      const results = await this.retrieveRelevantDocs(queryEmbedding, 5);
-      if (!results || results.length === 0) {
-        return "I couldn't find relevant information in the provided news.";
-      }
-      const context = this.formatContext(results);
-      const prompt = `You are a news assistant. Use the following retrieved articles to answer the question.\n\nContext:\n${context}\n\nQuestion: ${query}\nAnswer:`;
-      const answer = await gemini.generateAnswer(prompt);
-      await cacheService.cacheResponse(sessionId, query, answer);
-      return answer || "I couldn't find relevant information in the provided news.";
-    } catch (err) {
-      console.error("❌ RAG pipeline error:", err.message);
-      return "Something went wrong while processing your query.";
-    }
+
+  // Retrieval only (embed → expand → retrieve → rerank); returns the
+  // selected articles
+  async retrieve(query, options = {}) {
+    const ctx = await this.runStages(["embed", "expand", "retrieve", "rerank"], query, options);
+    return ctx.articles;
   }
 }
+
 module.exports = new RagService();
+module.exports.RagService = RagService;
+module.exports.STAGE_ORDER = STAGE_ORDER;
+module.exports.optionsSignature = optionsSignature;
@@ -0,0 +1,105 @@
+// services/recencyScorer.js
+
+const DEFAULT_HALF_LIFE_HOURS = parseFloat(process.env.RECENCY_HALF_LIFE_HOURS) || 72;
+const DEFAULT_WEIGHT = process.env.RECENCY_WEIGHT !== undefined
+  ? Math.min(1, Math.max(0, parseFloat(process.env.RECENCY_WEIGHT) || 0))
+  : 0.3;
+
+// Questions about background or the past should not favour fresh articles
+const HISTORICAL_PATTERNS = [
+  /\bhistor(y|ical|ically)\b/i,
+  /\bbackground\b/i,
+  /\borigins?\b/i,
+  /\bhow (did|does) (it|this|that|the \w+) (start|begin)\b/i,
+  /\b(back in|in|since|during) (19|20)\d{2}\b/i,
+  /\b(years?|decades?) ago\b/i,
+];
+
+function isHistoricalQuery(query) {
+  return HISTORICAL_PATTERNS.some((pattern) => pattern.test(query || ""));
+}
+
+/**
+ * Validates the optional `recency` request option. Accepts a boolean or
+ * `{ enabled, halfLifeHours, weight }`. Returns `{ recency }` or `{ error }`.
+ */
+function parseRecencyOptions(raw) {
+  if (raw === undefined || raw === null) return { recency: null };
+  if (typeof raw === "boolean") return { recency: { enabled: raw } };
+
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    return { error: "recency must be a boolean or an object" };
+  }
+
+  const recency = {};
+  if (raw.enabled !== undefined) {
+    if (typeof raw.enabled !== "boolean") {
+      return { error: "recency.enabled must be a boolean" };
+    }
+    recency.enabled = raw.enabled;
+  }
+  if (raw.halfLifeHours !== undefined) {
+    if (typeof raw.halfLifeHours !== "number" || !(raw.halfLifeHours > 0)) {
+      return { error: "recency.halfLifeHours must be a positive number" };
+    }
+    recency.halfLifeHours = raw.halfLifeHours;
+  }
+  if (raw.weight !== undefined) {
+    if (typeof raw.weight !== "number" || raw.weight < 0 || raw.weight > 1) {
+      return { error: "recency.weight must be a number between 0 and 1" };
+    }
+    recency.weight = raw.weight;
+  }
+
+  return { recency };
+}
+
+// Merges request options with defaults; decay is skipped for historical questions
+// unless the request explicitly enables it.
+function resolveRecencyOptions(query, recency = null) {
+  const enabled = recency?.enabled ?? !isHistoricalQuery(query);
+  return {
+    enabled,
+    halfLifeHours: recency?.halfLifeHours || DEFAULT_HALF_LIFE_HOURS,
+    weight: recency?.weight ?? DEFAULT_WEIGHT,
+  };
+}
+
+/**
+ * Re-scores hits by blending relevance with exponential time decay on
+ * `publishedAt`. Relevance is the hit score normalized against the best hit,
+ * so it works for both cosine and fused rank scores. Hits without a date get
+ * no recency boost.
+ */
+function applyRecencyDecay(hits, options, now = Date.now()) {
+  if (hits.length === 0) return hits;
+
+  const topScore = Math.max(...hits.map((h) => h.score)) || 1;
+
+  return hits
+    .map((hit) => {
+      const relevanceScore = hit.score / topScore;
+      const publishedAt = Date.parse(hit.payload?.publishedAt);
+      const ageHours = Number.isNaN(publishedAt)
+        ? Infinity
+        : Math.max(0, now - publishedAt) / 3600000;
+      const recencyScore = Math.pow(0.5, ageHours / options.halfLifeHours);
+
+      return {
+        ...hit,
+        relevanceScore,
+        recencyScore,
+        score: options.enabled
+          ? (1 - options.weight) * relevanceScore + options.weight * recencyScore
+          : relevanceScore,
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  isHistoricalQuery,
+  parseRecencyOptions,
+  resolveRecencyOptions,
+  applyRecencyDecay,
+};
@@ -0,0 +1,168 @@
+// services/rerankers.js
+const { llm } = require("../config/llm");
+const lexicalIndex = require("./lexicalIndex");
+
+const DEFAULT_RERANKER = process.env.RERANKER || "lexical";
+const DEFAULT_CANDIDATES = parseInt(process.env.RERANK_CANDIDATES) || 30;
+const MAX_CANDIDATES = 100;
+const RETRIEVAL_SCORE_SHARE = 0.2;
+
+// Scores passages by how many query terms (and adjacent term pairs) they
+// contain. Cheap, deterministic and works offline.
+class LexicalOverlapReranker {
+  constructor() {
+    this.name = "lexical";
+  }
+
+  async score(query, hits) {
+    const queryTerms = [...new Set(lexicalIndex.tokenize(query))];
+    if (queryTerms.length === 0) return hits.map(() => 0);
+    const queryBigrams = this.bigrams(lexicalIndex.tokenize(query));
+
+    return hits.map((hit) => {
+      const tokens = lexicalIndex.tokenize(
+        `${hit.payload?.title || ""} ${hit.payload?.text || hit.payload?.summary || ""}`
+      );
+      const terms = new Set(tokens);
+      const termOverlap =
+        queryTerms.filter((t) => terms.has(t)).length / queryTerms.length;
+
+      if (queryBigrams.size === 0) return termOverlap;
+      const bigrams = this.bigrams(tokens);
+      const bigramOverlap =
+        [...queryBigrams].filter((b) => bigrams.has(b)).length / queryBigrams.size;
+      return 0.7 * termOverlap + 0.3 * bigramOverlap;
+    });
+  }
+
+  bigrams(tokens) {
+    const pairs = new Set();
+    for (let i = 0; i < tokens.length - 1; i++) {
+      pairs.add(`${tokens[i]} ${tokens[i + 1]}`);
+    }
+    return pairs;
+  }
+}
+
+// Asks the configured LLM to grade every candidate in a single call. Falls back
+// to lexical overlap when the model fails or returns unusable output.
+class LLMReranker {
+  constructor(fallback) {
+    this.name = "llm";
+    this.fallback = fallback;
+    this.maxPassageChars = 500;
+  }
+
+  async score(query, hits) {
+    const candidates = hits
+      .map((hit, i) => {
+        const text = (hit.payload?.text || hit.payload?.summary || "").substring(
+          0,
+          this.maxPassageChars
+        );
+        return `[${i}] ${hit.payload?.title || "Untitled"}\n${text}`;
+      })
+      .join("\n\n");
+
+    const prompt = `Rate how relevant each news passage is to the search query on a scale from 0 (unrelated) to 10 (directly answers it).
+Respond with a JSON array only, one entry per passage, like [{"id": 0, "score": 7}].
+
+Query: "${query}"
+
+Passages:
+${candidates}`;
+
+    try {
+      const output = await llm.generate(prompt, { temperature: 0 });
+      const json = output.match(/\[[\s\S]*\]/);
+      if (!json) throw new Error("no JSON array in reranker output");
+
+      const scores = new Array(hits.length).fill(null);
+      for (const entry of JSON.parse(json[0])) {
+        if (Number.isInteger(entry.id) && entry.id >= 0 && entry.id < hits.length) {
+          scores[entry.id] = Math.min(10, Math.max(0, Number(entry.score) || 0)) / 10;
+        }
+      }
+      if (scores.some((s) => s === null)) {
+        throw new Error("reranker output did not score every passage");
+      }
+      return scores;
+    } catch (error) {
+      console.error(`⚠️ LLM reranking failed, using ${this.fallback.name}:`, error.message);
+      return this.fallback.score(query, hits);
+    }
+  }
+}
+
+const lexicalReranker = new LexicalOverlapReranker();
+const rerankers = {
+  lexical: lexicalReranker,
+  llm: new LLMReranker(lexicalReranker),
+};
+
+/**
+ * Validates the optional `rerank` request option:
+ * `{ reranker: "llm" | "lexical" | "none", candidates }`.
+ * Returns `{ rerank }` or `{ error }`.
+ */
+function parseRerankOptions(raw) {
+  if (raw === undefined || raw === null) return { rerank: null };
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    return { error: "rerank must be an object" };
+  }
+
+  const names = [...Object.keys(rerankers), "none"];
+  if (raw.reranker !== undefined && !names.includes(raw.reranker)) {
+    return { error: `rerank.reranker must be one of: ${names.join(", ")}` };
+  }
+  if (
+    raw.candidates !== undefined &&
+    (!Number.isInteger(raw.candidates) ||
+      raw.candidates < 1 ||
+      raw.candidates > MAX_CANDIDATES)
+  ) {
+    return { error: `rerank.candidates must be an integer between 1 and ${MAX_CANDIDATES}` };
+  }
+
+  return { rerank: { reranker: raw.reranker, candidates: raw.candidates } };
+}
+
+function resolveRerankOptions(rerank = null) {
+  return {
+    reranker: rerank?.reranker || DEFAULT_RERANKER,
+    candidates: rerank?.candidates || DEFAULT_CANDIDATES,
+  };
+}
+
+/**
+ * Re-orders candidate hits with the named reranker. Each hit keeps its
+ * retrieval score as `retrievalScore` and gets `rerankScore` in [0, 1]. The
+ * new `score` is mostly the reranker's, with a share of the normalized
+ * retrieval score so semantic matches without shared terms aren't zeroed.
+ */
+async function rerank(query, hits, rerankerName = DEFAULT_RERANKER) {
+  const reranker = rerankers[rerankerName];
+  if (!reranker || hits.length === 0) return hits;
+
+  const scores = await reranker.score(query, hits);
+  const topScore = Math.max(...hits.map((h) => h.score)) || 1;
+
+  return hits
+    .map((hit, i) => ({
+      ...hit,
+      retrievalScore: hit.score,
+      rerankScore: scores[i],
+      reranker: reranker.name,
+      score:
+        (1 - RETRIEVAL_SCORE_SHARE) * scores[i] +
+        RETRIEVAL_SCORE_SHARE * (hit.score / topScore),
+    }))
+    .sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  rerankers,
+  parseRerankOptions,
+  resolveRerankOptions,
+  rerank,
+};
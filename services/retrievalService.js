@@ -0,0 +1,246 @@
+// services/retrievalService.js
+const vectorStore = require("../config/vectorStore");
+const lexicalIndex = require("./lexicalIndex");
+const { matchesFilters } = require("./queryFilters");
+
+class RetrievalService {
+  constructor() {
+    this.passageLimit = parseInt(process.env.PASSAGE_SEARCH_LIMIT) || 20;
+    this.scoreThreshold = 0.5; // relaxed for better recall
+    this.maxPassagesPerArticle = parseInt(process.env.MAX_PASSAGES_PER_ARTICLE) || 2;
+    this.lexicalWeight = this.resolveLexicalWeight(
+      parseFloat(process.env.HYBRID_LEXICAL_WEIGHT),
+      0.5
+    );
+    this.rrfK = 60; // standard reciprocal rank fusion constant
+  }
+
+  // Clamps a lexical weight to [0, 1]; 0 is vector-only, 1 is keyword-only
+  resolveLexicalWeight(weight, fallback = this.lexicalWeight) {
+    const value = Number(weight);
+    if (weight === undefined || weight === null || !Number.isFinite(value)) {
+      return fallback;
+    }
+    return Math.min(1, Math.max(0, value));
+  }
+
+  async searchPassages(queryVector, options = {}) {
+    return vectorStore.search(queryVector, {
+      limit: options.limit || this.passageLimit,
+      scoreThreshold: options.scoreThreshold ?? this.scoreThreshold,
+      filters: options.filters,
+      withVectors: options.withVectors,
+    });
+  }
+
+  async lexicalSearch(query, options = {}) {
+    const limit = options.limit || this.passageLimit;
+    // Filters are applied after loading payloads, so over-fetch when filtering
+    const matches = lexicalIndex
+      .ensureFresh()
+      .search(query, options.filters ? limit * 5 : limit);
+    if (matches.length === 0) return [];
+
+    // The keyword index only stores term statistics; payloads live in the vector store
+    const points = await vectorStore.retrieve(
+      matches.map((m) => m.id),
+      { withVectors: options.withVectors }
+    );
+    const pointsById = new Map(points.map((p) => [String(p.id), p]));
+
+    return matches
+      .filter((m) => pointsById.has(m.id))
+      .filter((m) => matchesFilters(pointsById.get(m.id).payload, options.filters))
+      .slice(0, limit)
+      .map((m) => ({
+        id: m.id,
+        score: m.score,
+        payload: pointsById.get(m.id).payload,
+        vector: pointsById.get(m.id).vector,
+      }));
+  }
+
+  /**
+   * Runs vector and keyword search side by side and merges both rankings
+   * with weighted reciprocal rank fusion. Every hit records which
+   * retrievers surfaced it.
+   */
+  async hybridSearch(query, queryVector, options = {}) {
+    const lexicalWeight = this.resolveLexicalWeight(options.lexicalWeight);
+
+    const [vectorHits, lexicalHits] = await Promise.all([
+      lexicalWeight < 1 ? this.searchPassages(queryVector, options) : [],
+      lexicalWeight > 0 ? this.lexicalSearch(query, options) : [],
+    ]);
+
+    return this.fuseRankings(
+      { vector: vectorHits, lexical: lexicalHits },
+      { vector: 1 - lexicalWeight, lexical: lexicalWeight }
+    );
+  }
+
+  /**
+   * Runs hybrid search once per query variant (`{ kind, text, vector }`,
+   * e.g. the search query plus its expansions) and merges the rankings with
+   * reciprocal rank fusion, so passages found by several variants rise to
+   * the top. Every hit records the variant kinds that surfaced it.
+   */
+  async multiQuerySearch(variants, options = {}) {
+    const rankings = await Promise.all(
+      variants.map((v) => this.hybridSearch(v.text, v.vector, options))
+    );
+    const fused = new Map();
+
+    rankings.forEach((hits, i) => {
+      hits.forEach((hit, rank) => {
+        const id = String(hit.id);
+        if (!fused.has(id)) {
+          fused.set(id, { ...hit, score: 0, retrievers: [], retrieverScores: {}, queries: [] });
+        }
+        const entry = fused.get(id);
+        entry.score += 1 / (this.rrfK + rank + 1);
+        for (const retriever of hit.retrievers) {
+          if (!entry.retrievers.includes(retriever)) entry.retrievers.push(retriever);
+        }
+        for (const [retriever, score] of Object.entries(hit.retrieverScores)) {
+          entry.retrieverScores[retriever] = Math.max(
+            entry.retrieverScores[retriever] ?? -Infinity,
+            score
+          );
+        }
+        if (!entry.queries.includes(variants[i].kind)) entry.queries.push(variants[i].kind);
+      });
+    });
+
+    return [...fused.values()]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, options.limit || this.passageLimit);
+  }
+
+  fuseRankings(rankings, weights = {}) {
+    const fused = new Map();
+
+    for (const [retriever, hits] of Object.entries(rankings)) {
+      const weight = weights[retriever] ?? 1;
+      hits.forEach((hit, rank) => {
+        const id = String(hit.id);
+        if (!fused.has(id)) {
+          fused.set(id, {
+            id: hit.id,
+            payload: hit.payload,
+            vector: hit.vector,
+            score: 0,
+            retrievers: [],
+            retrieverScores: {},
+          });
+        }
+        const entry = fused.get(id);
+        entry.score += weight / (this.rrfK + rank + 1);
+        entry.retrievers.push(retriever);
+        entry.retrieverScores[retriever] = hit.score;
+      });
+    }
+
+    return [...fused.values()].sort((a, b) => b.score - a.score);
+  }
+
+  // Source metadata returned to clients; sources[n - 1] is cited as [n]
+  toSources(articles) {
+    return articles.map((a) => ({
+      title: a.title,
+      url: a.url,
+      source: a.source,
+      publishedAt: a.publishedAt,
+      score: a.score,
+      retrievers: a.retrievers,
+      ...(a.reranker && { reranker: a.reranker, rerankScore: a.rerankScore }),
+    }));
+  }
+
+  // Formats grouped articles as prompt context, one numbered block per
+  // article; the numbers are what the model cites as [n]
+  formatContext(articles) {
+    return articles
+      .map(
+        (a, i) =>
+          `[${i + 1}] ${a.title}\nContent: ${a.passages
+            .map((p) => p.text)
+            .join("\n...\n")}`
+      )
+      .join("\n\n---\n\n");
+  }
+
+  /**
+   * Groups passage hits by their parent article. Articles are ordered by
+   * their best passage score; each keeps its best passages in reading order.
+   * `vectorScore` is the best raw cosine similarity of its passages, for
+   * callers that need an absolute relevance rather than a ranking score.
+   * Points written before passage chunking are treated as single-passage
+   * articles.
+   */
+  groupByArticle(hits, options = {}) {
+    const maxArticles = options.maxArticles || 3;
+    const maxPassages = options.maxPassagesPerArticle || this.maxPassagesPerArticle;
+    const articles = new Map();
+
+    for (const hit of hits) {
+      const payload = hit.payload || {};
+      const articleId = payload.articleId || hit.id;
+
+      if (!articles.has(articleId)) {
+        articles.set(articleId, {
+          articleId,
+          title: payload.title,
+          url: payload.url,
+          source: payload.source,
+          publishedAt: payload.publishedAt,
+          score: hit.score,
+          rerankScore: hit.rerankScore,
+          reranker: hit.reranker,
+          vectorScore: hit.retrieverScores?.vector,
+          vector: hit.vector,
+          retrievers: [],
+          passages: [],
+        });
+      }
+
+      const article = articles.get(articleId);
+      if (hit.score > article.score) {
+        // The best passage represents the article for diversity selection
+        article.score = hit.score;
+        article.vector = hit.vector;
+      }
+      if (hit.rerankScore !== undefined) {
+        article.rerankScore = Math.max(article.rerankScore ?? 0, hit.rerankScore);
+      }
+      if (hit.retrieverScores?.vector !== undefined) {
+        article.vectorScore = Math.max(article.vectorScore ?? -1, hit.retrieverScores.vector);
+      }
+      for (const retriever of hit.retrievers || ["vector"]) {
+        if (!article.retrievers.includes(retriever)) {
+          article.retrievers.push(retriever);
+        }
+      }
+      article.passages.push({
+        id: hit.id,
+        index: payload.passageIndex ?? 0,
+        offset: payload.passageOffset ?? 0,
+        text: payload.text || payload.summary || "",
+        score: hit.score,
+      });
+    }
+
+    return [...articles.values()]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, maxArticles)
+      .map((article) => ({
+        ...article,
+        passages: article.passages
+          .sort((a, b) => b.score - a.score)
+          .slice(0, maxPassages)
+          .sort((a, b) => a.offset - b.offset),
+      }));
+  }
+}
+
+module.exports = new RetrievalService();
@@ -0,0 +1,102 @@
+// services/sessionService.js
+const { v4: uuidv4 } = require('uuid');
+const redisClient = require('../config/redis');
+
+const SESSION_TTL = parseInt(process.env.SESSION_TTL) || 86400; // 24 hours
+
+const sessionKey = sessionId => `session:${sessionId}`;
+
+/**
+ * Chat sessions stored in Redis as `{ id, createdAt, lastActivity,
+ * messageCount, messages }`. Shared by the session routes, the chat entry
+ * points and the RAG pipeline, which reads the history of follow-ups.
+ */
+async function createSession() {
+  const session = {
+    id: uuidv4(),
+    createdAt: new Date().toISOString(),
+    lastActivity: new Date().toISOString(),
+    messageCount: 0,
+    messages: []
+  };
+  await saveSession(session);
+  return session;
+}
+
+// The stored session, or null when it does not exist or has expired
+async function getSession(sessionId) {
+  const sessionData = await redisClient.get(sessionKey(sessionId));
+  return sessionData ? JSON.parse(sessionData) : null;
+}
+
+// Writes the session and restarts its TTL
+async function saveSession(session) {
+  await redisClient.setEx(sessionKey(session.id), SESSION_TTL, JSON.stringify(session));
+}
+
+// Update session activity
+async function updateSessionActivity(sessionId, userMessage, botResponse) {
+  try {
+    const session = await getSession(sessionId);
+    if (!session) return false;
+
+    if (userMessage) {
+      session.messages.push({
+        id: uuidv4(),
+        type: 'user',
+        content: userMessage,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (botResponse) {
+      session.messages.push({
+        id: uuidv4(),
+        type: 'bot',
+        content: botResponse,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    session.messageCount = session.messages.length;
+    session.lastActivity = new Date().toISOString();
+    await saveSession(session);
+
+    return true;
+  } catch (error) {
+    console.error('Error updating session:', error);
+    return false;
+  }
+}
+
+// Get the most recent conversation turns as { role, content } pairs
+async function getRecentMessages(sessionId, limit = 10) {
+  try {
+    const session = await getSession(sessionId);
+    if (!session) return [];
+
+    return session.messages
+      .map(message => ({
+        role: message.type === 'bot' ? 'assistant' : 'user',
+        // Bot messages store the full response object; older sessions may
+        // still hold the answer text that /stream used to store
+        content: typeof message.content === 'string'
+          ? message.content
+          : message.content?.answer || ''
+      }))
+      .filter(message => message.content)
+      .slice(-limit);
+  } catch (error) {
+    console.error('Error reading session history:', error);
+    return [];
+  }
+}
+
+module.exports = {
+  SESSION_TTL,
+  createSession,
+  getSession,
+  saveSession,
+  updateSessionActivity,
+  getRecentMessages
+};
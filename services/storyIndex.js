@@ -0,0 +1,235 @@
+// services/storyIndex.js
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const lexicalIndex = require('./lexicalIndex');
+const { cosineSimilarity } = require('./diversity');
+
+const SIMILARITY_THRESHOLD = parseFloat(process.env.STORY_SIMILARITY_THRESHOLD) || 0.82;
+// A weaker embedding match still joins when the titles overlap this much
+const TITLE_SIMILARITY_THRESHOLD = 0.7;
+const TITLE_OVERLAP_THRESHOLD = 0.3;
+const WINDOW_HOURS = parseInt(process.env.STORY_WINDOW_HOURS) || 72;
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map(v => round(v / norm));
+}
+
+/**
+ * Groups articles that cover the same event, across sources, into stories.
+ * Ingestion assigns every new article to the closest story (embedding
+ * similarity to the story centroid, title overlap and a time window) or
+ * starts a new one, so story ids stay stable between runs. Persisted as
+ * JSON next to the keyword index.
+ */
+class StoryIndex {
+  constructor() {
+    this.indexPath = process.env.STORY_INDEX_PATH ||
+      path.join(__dirname, '..', 'data', 'story_index.json');
+    this.windowMs = WINDOW_HOURS * 60 * 60 * 1000;
+    this.reset();
+  }
+
+  reset() {
+    this.stories = new Map(); // story id -> story
+    this.loadedMtime = null;
+  }
+
+  // Best matching story for an article, or null
+  findStory(article) {
+    const publishedAt = new Date(article.publishedAt).getTime();
+    let best = null;
+
+    for (const story of this.stories.values()) {
+      const first = new Date(story.firstSeen).getTime() - this.windowMs;
+      const last = new Date(story.lastSeen).getTime() + this.windowMs;
+      if (publishedAt < first || publishedAt > last) continue;
+
+      const similarity = cosineSimilarity(article.embedding, story.centroid);
+      const matches = similarity >= SIMILARITY_THRESHOLD ||
+        (similarity >= TITLE_SIMILARITY_THRESHOLD &&
+          lexicalIndex.overlap(article.title, story.title) >= TITLE_OVERLAP_THRESHOLD);
+      if (matches && (!best || similarity > best.similarity)) {
+        best = { story, similarity };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Adds an article (with its `embedding`) to its story, creating the story
+   * if none matches, and returns the story id. Re-ingesting the same URL
+   * first takes the earlier member out of its story, so an article whose
+   * content changed can move to another story. `previousEmbedding` is the
+   * embedding the earlier copy joined with; without it the new one is used.
+   */
+  assign(article, { previousEmbedding = null } = {}) {
+    const previousId = this.removeMember(article.url, previousEmbedding || article.embedding);
+    const match = this.findStory(article);
+    // A lone article that still matches nothing keeps its story id
+    const story = match
+      ? match.story
+      : this.createStory(article, previousId && !this.stories.has(previousId) ? previousId : uuidv4());
+    const similarity = match ? match.similarity : 1;
+
+    story.members.push({
+      articleId: article.id,
+      title: article.title,
+      url: article.url,
+      source: article.source,
+      publishedAt: article.publishedAt,
+      similarity: Math.round(similarity * 1000) / 1000
+    });
+
+    // Running mean of the members' unit embeddings. It is left unnormalized
+    // (similarity ignores length) so removeMember() can take one out again.
+    const count = story.members.length;
+    const vector = normalize(article.embedding);
+    story.centroid = story.centroid.map((v, i) => round(v + (vector[i] - v) / count));
+    this.refreshStory(story);
+    return story.id;
+  }
+
+  // The story listing `url` as a member and that member, or null
+  findMember(url) {
+    if (!url) return null;
+    for (const story of this.stories.values()) {
+      const member = story.members.find(m => m.url === url);
+      if (member) return { story, member };
+    }
+    return null;
+  }
+
+  /**
+   * Takes the member with `url` out of its story and `embedding` (the one
+   * it joined with) out of the story's centroid. A story left without
+   * members is deleted. Returns the story's id, or null.
+   */
+  removeMember(url, embedding) {
+    const story = this.findMember(url)?.story;
+    if (!story) return null;
+
+    story.members = story.members.filter(m => m.url !== url);
+    const count = story.members.length;
+    if (count === 0) {
+      this.stories.delete(story.id);
+      return story.id;
+    }
+
+    // Inverse of the running mean in assign()
+    const vector = normalize(embedding);
+    story.centroid = story.centroid.map((v, i) => round(v + (v - vector[i]) / count));
+    this.refreshStory(story);
+    return story.id;
+  }
+
+  // Recomputes what a story derives from its members
+  refreshStory(story) {
+    story.members.sort((a, b) => a.publishedAt.localeCompare(b.publishedAt));
+    story.title = this.representativeTitle(story.members);
+    story.sources = [...new Set(story.members.map(m => m.source))];
+    story.firstSeen = story.members[0].publishedAt;
+    story.lastSeen = story.members[story.members.length - 1].publishedAt;
+    story.updatedAt = new Date().toISOString();
+  }
+
+  // The most typical headline: the one sharing the most terms with the rest
+  representativeTitle(members) {
+    if (members.length <= 2) return members[0].title;
+    let best = null;
+    for (const member of members) {
+      const overlap = members.reduce((sum, m) => sum + (m === member ? 0 : lexicalIndex.overlap(member.title, m.title)), 0);
+      if (!best || overlap > best.overlap) best = { title: member.title, overlap };
+    }
+    return best.title;
+  }
+
+  createStory(article, id = uuidv4()) {
+    const story = {
+      id,
+      title: article.title,
+      centroid: normalize(article.embedding),
+      members: [],
+      sources: [],
+      firstSeen: article.publishedAt,
+      lastSeen: article.publishedAt,
+      createdAt: new Date().toISOString()
+    };
+    this.stories.set(story.id, story);
+    return story;
+  }
+
+  // Story without its centroid, as returned by the API
+  toSummary(story, { withMembers = false } = {}) {
+    const { centroid, members, ...summary } = story;
+    return {
+      ...summary,
+      articleCount: members.length,
+      ...(withMembers && { members })
+    };
+  }
+
+  get(id) {
+    const story = this.ensureFresh().stories.get(id);
+    return story ? this.toSummary(story, { withMembers: true }) : null;
+  }
+
+  // Stories seen most recently first; `minSources` keeps cross-source ones
+  list({ limit = 20, offset = 0, minSources = 1, since } = {}) {
+    const stories = [...this.ensureFresh().stories.values()]
+      .filter(s => s.sources.length >= minSources)
+      .filter(s => !since || s.lastSeen >= since)
+      .sort((a, b) => b.lastSeen.localeCompare(a.lastSeen));
+
+    return {
+      total: stories.length,
+      stories: stories.slice(offset, offset + limit).map(s => this.toSummary(s))
+    };
+  }
+
+  load() {
+    this.reset();
+    if (!fs.existsSync(this.indexPath)) return this;
+
+    const data = JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+    for (const story of data.stories || []) {
+      this.stories.set(story.id, story);
+    }
+    this.loadedMtime = fs.statSync(this.indexPath).mtimeMs;
+    return this;
+  }
+
+  // Reloads the index when an ingestion run has rewritten the file
+  ensureFresh() {
+    try {
+      const mtime = fs.existsSync(this.indexPath) ? fs.statSync(this.indexPath).mtimeMs : null;
+      if (mtime !== this.loadedMtime) this.load();
+    } catch (error) {
+      console.error('❌ Could not load story index:', error.message);
+    }
+    return this;
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.indexPath), { recursive: true });
+    const data = {
+      updatedAt: new Date().toISOString(),
+      storyCount: this.stories.size,
+      stories: [...this.stories.values()]
+    };
+    fs.writeFileSync(this.indexPath, JSON.stringify(data));
+    this.loadedMtime = fs.statSync(this.indexPath).mtimeMs;
+  }
+
+  clear() {
+    this.reset();
+    if (fs.existsSync(this.indexPath)) {
+      fs.unlinkSync(this.indexPath);
+    }
+  }
+}
+
+module.exports = new StoryIndex();
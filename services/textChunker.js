@@ -0,0 +1,129 @@
+// services/textChunker.js
+
+class TextChunker {
+  constructor() {
+    this.chunkSize = parseInt(process.env.CHUNK_SIZE) || 1000; // characters
+    this.chunkOverlap = parseInt(process.env.CHUNK_OVERLAP) || 200; // characters
+  }
+
+  /**
+   * Splits text into overlapping passages that respect paragraph and
+   * sentence boundaries. Each passage is `{ index, offset, text }`, where
+   * `offset` is the character position of the passage in the original text.
+   */
+  chunk(text, options = {}) {
+    const size = options.chunkSize || this.chunkSize;
+    const overlap = Math.min(
+      options.chunkOverlap ?? this.chunkOverlap,
+      Math.floor(size / 2)
+    );
+
+    if (!text || text.trim().length === 0) return [];
+
+    const sentences = this.splitSentences(text, size);
+    const passages = [];
+    let current = [];
+    let added = 0; // sentences in `current` that aren't carried overlap
+
+    // Length of the passage `list` would make, paragraph breaks included
+    const span = (list) => {
+      if (list.length === 0) return 0;
+      const last = list[list.length - 1];
+      return text.substring(list[0].offset, last.offset + last.text.length).trim().length;
+    };
+
+    const flush = () => {
+      if (added === 0) return;
+      const start = current[0].offset;
+      const last = current[current.length - 1];
+      passages.push({
+        index: passages.length,
+        offset: start,
+        text: text.substring(start, last.offset + last.text.length).trim()
+      });
+    };
+
+    for (const sentence of sentences) {
+      const full = span([...current, sentence]) > size;
+      const startsNewParagraph = sentence.paragraphStart && span(current) >= size / 2;
+
+      if (added > 0 && (full || startsNewParagraph)) {
+        flush();
+
+        // Carry trailing sentences forward so neighbouring passages overlap,
+        // across paragraph breaks too
+        let carried = [];
+        for (let i = current.length - 1; i >= 0; i--) {
+          if (span(current.slice(i)) > overlap) break;
+          carried = current.slice(i);
+        }
+        current = carried;
+        added = 0;
+      }
+
+      // Drop carried sentences that would push the passage past the size
+      while (current.length > 0 && span([...current, sentence]) > size) {
+        current.shift();
+      }
+
+      current.push(sentence);
+      added++;
+    }
+
+    flush();
+    return passages;
+  }
+
+  // Returns `{ text, offset, paragraphStart }` for every sentence. Sentences
+  // longer than `maxLength` are hard-split on whitespace.
+  splitSentences(text, maxLength) {
+    const sentences = [];
+    const paragraphPattern = /[^\n]+(?:\n(?!\s*\n)[^\n]*)*/g;
+    let paragraph;
+
+    while ((paragraph = paragraphPattern.exec(text)) !== null) {
+      const sentencePattern = /[^.!?]+(?:[.!?]+["'”’)\]]*|$)\s*/g;
+      let sentence;
+      let first = true;
+
+      while ((sentence = sentencePattern.exec(paragraph[0])) !== null) {
+        if (sentence[0].length === 0) {
+          sentencePattern.lastIndex++;
+          continue;
+        }
+        const offset = paragraph.index + sentence.index;
+        for (const piece of this.hardSplit(sentence[0], maxLength)) {
+          if (piece.text.trim().length > 0) {
+            sentences.push({
+              text: piece.text,
+              offset: offset + piece.offset,
+              paragraphStart: first
+            });
+            first = false;
+          }
+        }
+      }
+    }
+
+    return sentences;
+  }
+
+  hardSplit(sentence, maxLength) {
+    if (sentence.length <= maxLength) return [{ text: sentence, offset: 0 }];
+
+    const pieces = [];
+    let start = 0;
+    while (start < sentence.length) {
+      let end = Math.min(start + maxLength, sentence.length);
+      if (end < sentence.length) {
+        const lastSpace = sentence.lastIndexOf(' ', end);
+        if (lastSpace > start) end = lastSpace + 1;
+      }
+      pieces.push({ text: sentence.substring(start, end), offset: start });
+      start = end;
+    }
+    return pieces;
+  }
+}
+
+module.exports = new TextChunker();
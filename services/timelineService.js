@@ -0,0 +1,145 @@
+// services/timelineService.js
+const embeddings = require("../config/embeddings");
+const { llm } = require("../config/llm");
+const retrievalService = require("./retrievalService");
+const { rerank } = require("./rerankers");
+const { cosineSimilarity } = require("./diversity");
+const lexicalIndex = require("./lexicalIndex");
+
+const DEFAULT_MAX_ARTICLES = parseInt(process.env.TIMELINE_MAX_ARTICLES) || 20;
+const MAX_ARTICLES = 50;
+// Lexical rerank score an article needs to count as part of the story
+const MIN_RELEVANCE = parseFloat(process.env.TIMELINE_MIN_RELEVANCE) || 0.3;
+// Same-day articles this similar are reports of the same event
+const DUPLICATE_SIMILARITY = 0.8;
+const DUPLICATE_TITLE_OVERLAP = 0.5;
+const SUMMARY_PASSAGE_CHARS = 400;
+const MAX_SUMMARY_CHARS = 200;
+
+const dayOf = (iso) => new Date(iso).toISOString().split("T")[0];
+
+function isSameEvent(event, article) {
+  return event.articles.some(
+    (a) =>
+      cosineSimilarity(a.vector, article.vector) >= DUPLICATE_SIMILARITY ||
+      lexicalIndex.overlap(a.title, article.title) >= DUPLICATE_TITLE_OVERLAP
+  );
+}
+
+// First sentence of the lead article, used when the LLM summary is missing
+function fallbackSummary(event) {
+  const lead = event.articles[0];
+  const text = (lead.passages[0]?.text || "").replace(/\s+/g, " ").trim();
+  const summary = text.match(/^.+?[.!?](\s|$)/)?.[0].trim() || text || lead.title;
+  if (summary.length <= MAX_SUMMARY_CHARS) return summary;
+  const cut = summary.substring(0, MAX_SUMMARY_CHARS);
+  return `${cut.substring(0, cut.lastIndexOf(" ")) || cut}…`;
+}
+
+/**
+ * Builds a dated event list for a story: retrieves every article about it
+ * across dates, orders them by `publishedAt`, merges same-day reports of
+ * the same event and writes a one-line summary per event. Sources are
+ * numbered in timeline order and each event lists the ones it cites.
+ */
+class TimelineService {
+  async buildTimeline(query, options = {}) {
+    const maxArticles = Math.min(options.limit || DEFAULT_MAX_ARTICLES, MAX_ARTICLES);
+    console.log(`🗓️ Building timeline for "${query}"`);
+
+    const queryVector = await embeddings.embedSingle(query);
+    const candidates = await retrievalService.hybridSearch(query, queryVector, {
+      filters: options.filters,
+      limit: maxArticles * 4,
+      withVectors: true,
+    });
+
+    // The lexical reranker's scores are comparable across queries, so they
+    // decide which articles belong to the story
+    const hits = (await rerank(query, candidates, "lexical")).filter(
+      (hit) => hit.rerankScore >= MIN_RELEVANCE
+    );
+    const articles = retrievalService
+      .groupByArticle(hits, { maxArticles, maxPassagesPerArticle: 1 })
+      .filter((a) => a.publishedAt && !isNaN(new Date(a.publishedAt).getTime()))
+      .sort((a, b) => new Date(a.publishedAt) - new Date(b.publishedAt));
+
+    const events = [];
+    for (const article of articles) {
+      const date = dayOf(article.publishedAt);
+      const event = events.find((e) => e.date === date && isSameEvent(e, article));
+      if (event) event.articles.push(article);
+      else events.push({ date, articles: [article] });
+    }
+
+    const summaries = await this.summarizeEvents(query, events);
+    const sources = [];
+    const timeline = events.map((event, i) => {
+      const sourceIndices = event.articles.map((a) => sources.push(a) - 1);
+      return {
+        date: event.date,
+        title: event.articles[0].title,
+        summary: summaries[i] || fallbackSummary(event),
+        sourceIndices,
+      };
+    });
+
+    return {
+      query,
+      events: timeline,
+      sources: retrievalService.toSources(sources),
+    };
+  }
+
+  // One LLM call for all events; events it misses get a fallback summary
+  async summarizeEvents(query, events) {
+    if (events.length === 0) return [];
+
+    const list = events
+      .map((event, i) => {
+        const lead = event.articles[0];
+        const text = (lead.passages[0]?.text || "").substring(0, SUMMARY_PASSAGE_CHARS);
+        return `${i + 1}. (${event.date}) ${lead.title}\n${text}`;
+      })
+      .join("\n\n");
+    const prompt = `Below are dated news events about "${query}".
+For each event write a one-line summary (max 25 words) of what happened, using only the given text.
+Respond with one line per event in the form "<number>. <summary>".
+
+${list}
+
+Summaries:`;
+
+    const summaries = new Array(events.length).fill(null);
+    try {
+      const output = await llm.generate(prompt, { temperature: 0 });
+      for (const line of output.split("\n")) {
+        const match = line.match(/^\s*\[?(\d+)[\].):]\s*(.+)$/);
+        const index = match ? parseInt(match[1]) - 1 : -1;
+        if (index >= 0 && index < events.length && !summaries[index]) {
+          summaries[index] = match[2].trim().substring(0, MAX_SUMMARY_CHARS);
+        }
+      }
+    } catch (error) {
+      console.error("⚠️ Timeline summaries failed, using article text:", error.message);
+    }
+    return summaries;
+  }
+
+  // Markdown rendering used for chat answers; [n] cites sources[n - 1]
+  formatTimeline(timeline) {
+    if (timeline.events.length === 0) {
+      return `I couldn’t find enough dated coverage of "${timeline.query}" to build a timeline.`;
+    }
+    return timeline.events
+      .map(
+        (event) =>
+          `- **${event.date}**: ${event.summary} ${event.sourceIndices
+            .map((i) => `[${i + 1}]`)
+            .join("")}`
+      )
+      .join("\n");
+  }
+}
+
+module.exports = new TimelineService();
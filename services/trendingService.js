@@ -0,0 +1,208 @@
+const redisClient = require('../config/redis');
+const storyIndex = require('./storyIndex');
+const { ENTITY_TYPES, entityKey } = require('./entityNames');
+
+const HOUR_MS = 3600 * 1000;
+const MAX_WINDOW_HOURS = 7 * 24;
+// The baseline is the average count over this many windows before the current one
+const BASELINE_WINDOWS = parseInt(process.env.TRENDING_BASELINE_WINDOWS) || 3;
+const MIN_COUNT = parseInt(process.env.TRENDING_MIN_COUNT) || 2;
+const EXAMPLES_PER_ITEM = 3;
+// Hourly buckets are kept long enough for the widest window and its baseline
+const BUCKET_TTL = MAX_WINDOW_HOURS * (BASELINE_WINDOWS + 1) * 3600;
+const WINDOW_PATTERN = /^(\d+)([hd])$/;
+const TYPES = ['entities', 'categories', 'stories'];
+
+// "2025-09-18T07" for the hour an article was published in
+const hourKey = (time) => new Date(time).toISOString().substring(0, 13);
+
+/**
+ * Validates a window like "6h" or "7d" (1 hour to 7 days).
+ * Returns `{ hours }` or `{ error }`.
+ */
+function parseWindow(window = '24h') {
+  const match = String(window).match(WINDOW_PATTERN);
+  const hours = match ? parseInt(match[1]) * (match[2] === 'd' ? 24 : 1) : NaN;
+  if (!hours || hours > MAX_WINDOW_HOURS) {
+    return { error: 'window must be between 1h and 7d, like 24h or 3d' };
+  }
+  return { hours };
+}
+
+// Counter fields ("entities:keir starmer") with display names for an article
+function articleItems(article) {
+  const items = new Map();
+  for (const field of Object.keys(ENTITY_TYPES)) {
+    for (const name of article.entities?.[field] || []) {
+      items.set(`entities:${entityKey(name)}`, name);
+    }
+  }
+  for (const category of article.categories || []) {
+    items.set(`categories:${category}`, category);
+  }
+  if (article.storyId) {
+    items.set(`stories:${article.storyId}`, storyIndex.get(article.storyId)?.title || article.title);
+  }
+  return items;
+}
+
+/**
+ * Rising entities, categories and stories. Every ingestion run adds its
+ * articles to hourly Redis counters (bucketed by `publishedAt`), so a
+ * request only reads the buckets of the current window and its baseline
+ * instead of scanning the collection. Items are scored by how far the
+ * current count exceeds the baseline average.
+ */
+class TrendingService {
+  // Called by the ingestion scripts with the articles just stored
+  async recordArticles(articles) {
+    const now = Date.now();
+    const buckets = new Map();
+
+    for (const article of articles) {
+      const published = new Date(article.publishedAt).getTime();
+      // Undated or future-dated articles count as published now
+      const hour = hourKey(published <= now ? published : now);
+      const isNew = await redisClient.sAdd(`trending:seen:${hour}`, article.url || article.id);
+      await redisClient.expire(`trending:seen:${hour}`, BUCKET_TTL);
+      if (!isNew) continue;
+
+      if (!buckets.has(hour)) buckets.set(hour, []);
+      buckets.get(hour).push(article);
+    }
+
+    for (const [hour, hourArticles] of buckets) {
+      const countsKey = `trending:counts:${hour}`;
+      const examplesKey = `trending:examples:${hour}`;
+      const examples = await redisClient.hGetAll(examplesKey);
+
+      for (const article of hourArticles) {
+        for (const [field, name] of articleItems(article)) {
+          await redisClient.hIncrBy(countsKey, field, 1);
+          const entry = examples[field] ? JSON.parse(examples[field]) : { name, articles: [] };
+          if (entry.articles.length < EXAMPLES_PER_ITEM) {
+            entry.articles.push({
+              title: article.title,
+              url: article.url,
+              source: article.source,
+              publishedAt: article.publishedAt
+            });
+          }
+          entry.name = name;
+          examples[field] = JSON.stringify(entry);
+        }
+      }
+
+      for (const [field, entry] of Object.entries(examples)) {
+        await redisClient.hSet(examplesKey, field, entry);
+      }
+      await redisClient.expire(countsKey, BUCKET_TTL);
+      await redisClient.expire(examplesKey, BUCKET_TTL);
+    }
+
+    const counted = [...buckets.values()].reduce((sum, list) => sum + list.length, 0);
+    console.log(`📈 Trending counters updated for ${counted} new articles`);
+    return counted;
+  }
+
+  // Sums the counters of `hours` hourly buckets ending before `end`
+  async sumBuckets(end, hours) {
+    const keys = Array.from({ length: hours }, (_, i) => `trending:counts:${hourKey(end - (i + 1) * HOUR_MS)}`);
+    const totals = new Map();
+    for (const counts of await Promise.all(keys.map((key) => redisClient.hGetAll(key)))) {
+      for (const [field, count] of Object.entries(counts)) {
+        totals.set(field, (totals.get(field) || 0) + parseInt(count));
+      }
+    }
+    return totals;
+  }
+
+  // Example articles and display names from the current window's buckets
+  async loadExamples(end, hours, fields) {
+    const keys = Array.from({ length: hours }, (_, i) => `trending:examples:${hourKey(end - (i + 1) * HOUR_MS)}`);
+    const examples = new Map();
+    for (const bucket of await Promise.all(keys.map((key) => redisClient.hGetAll(key)))) {
+      for (const field of fields) {
+        if (!bucket[field]) continue;
+        const entry = JSON.parse(bucket[field]);
+        const current = examples.get(field) || { name: entry.name, articles: [] };
+        current.articles.push(...entry.articles);
+        examples.set(field, current);
+      }
+    }
+    for (const entry of examples.values()) {
+      entry.articles = entry.articles
+        .sort((a, b) => (b.publishedAt || '').localeCompare(a.publishedAt || ''))
+        .slice(0, EXAMPLES_PER_ITEM);
+    }
+    return examples;
+  }
+
+  /**
+   * Resolves to `{ window, from, to, entities, categories, stories }` where
+   * each list holds up to `limit` rising items as
+   * `{ key, name, count, baseline, score, examples }`, highest score first.
+   */
+  async getTrending({ hours = 24, limit = 10 } = {}) {
+    // Buckets are whole hours, so the window ends after the current one
+    const end = new Date(hourKey(Date.now()) + ':00:00Z').getTime() + HOUR_MS;
+    const [current, baseline] = await Promise.all([
+      this.sumBuckets(end, hours),
+      this.sumBuckets(end - hours * HOUR_MS, hours * BASELINE_WINDOWS)
+    ]);
+
+    const ranked = Object.fromEntries(TYPES.map((type) => [type, []]));
+    for (const [field, count] of current) {
+      const average = (baseline.get(field) || 0) / BASELINE_WINDOWS;
+      if (count < MIN_COUNT || count <= average) continue;
+
+      const separator = field.indexOf(':');
+      ranked[field.substring(0, separator)]?.push({
+        field,
+        key: field.substring(separator + 1),
+        count,
+        baseline: Math.round(average * 100) / 100,
+        score: Math.round(((count - average) / Math.sqrt(average + 1)) * 100) / 100
+      });
+    }
+
+    const top = TYPES.flatMap((type) =>
+      (ranked[type] = ranked[type].sort((a, b) => b.score - a.score || b.count - a.count).slice(0, limit))
+    );
+    const examples = await this.loadExamples(end, hours, top.map((item) => item.field));
+
+    const result = {
+      window: `${hours}h`,
+      from: new Date(end - hours * HOUR_MS).toISOString(),
+      to: new Date(end).toISOString()
+    };
+    for (const type of TYPES) {
+      result[type] = ranked[type].map(({ field, key, ...counts }) => ({
+        key,
+        name: examples.get(field)?.name || key,
+        ...counts,
+        examples: examples.get(field)?.articles || []
+      }));
+    }
+    return result;
+  }
+
+  // Queries for CacheService.warmCache: the top stories' titles, then the top entities
+  async getWarmQueries({ hours = 24, limit = 10 } = {}) {
+    const { stories, entities } = await this.getTrending({ hours, limit });
+    const queries = [
+      ...stories.map((story) => story.name),
+      ...entities.map((entity) => `Latest news about ${entity.name}`)
+    ];
+    return [...new Set(queries)].slice(0, limit);
+  }
+
+  async clear() {
+    const keys = await redisClient.keys('trending:*');
+    if (keys.length > 0) await redisClient.del(keys);
+    return keys.length;
+  }
+}
+
+module.exports = new TrendingService();
+module.exports.parseWindow = parseWindow;
@@ -0,0 +1,95 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { scratch } = require('./helpers/env');
+const embeddings = require('../config/embeddings');
+const vectorStore = require('../config/vectorStore');
+const articleService = require('../services/articleService');
+const { decodeCursor } = require('../services/articleService');
+
+// Three of the five articles share a timestamp, so pages split inside it
+const PUBLISHED = [
+  '2025-09-10T08:00:00Z',
+  '2025-09-11T08:00:00Z',
+  '2025-09-11T08:00:00Z',
+  '2025-09-11T08:00:00Z',
+  '2025-09-12T08:00:00Z',
+];
+
+before(async () => {
+  await vectorStore.initialize();
+  const vector = await embeddings.embedSingle('news');
+  await vectorStore.upsert(
+    PUBLISHED.map((publishedAt, i) => {
+      const id = `00000000-0000-4000-8000-00000000000${i}`;
+      return {
+        id,
+        vector,
+        payload: { articleId: id, title: `Article ${i}`, source: 'BBC News', publishedAt, passageIndex: 0 },
+      };
+    })
+  );
+});
+
+after(() => {
+  fs.rmSync(scratch('vectors'), { force: true });
+});
+
+// Follows nextCursor to the end; the page cap turns a cursor that never
+// advances into a failure instead of a hang
+async function allPages(order, limit) {
+  const pages = [];
+  let cursor = null;
+  do {
+    assert.ok(pages.length < PUBLISHED.length, 'cursor did not advance');
+    const page = await articleService.listArticles({ order, limit, cursor });
+    pages.push(page.articles.map((a) => a.title));
+    cursor = page.nextCursor && decodeCursor(page.nextCursor).cursor;
+  } while (cursor);
+  return pages;
+}
+
+test('cursors page through ties without repeating or skipping articles', async () => {
+  const pages = await allPages('desc', 2);
+
+  assert.deepEqual(pages.map((p) => p.length), [2, 2, 1]);
+  assert.equal(new Set(pages.flat()).size, PUBLISHED.length);
+  assert.equal(pages[0][0], 'Article 4');
+  assert.equal(pages[2][0], 'Article 0');
+});
+
+test('ascending order pages the other way', async () => {
+  const pages = await allPages('asc', 3);
+
+  assert.deepEqual(pages.map((p) => p.length), [3, 2]);
+  assert.equal(pages[0][0], 'Article 0');
+  assert.equal(pages[1][1], 'Article 4');
+});
+
+test('a cursor carries the timestamp and the ids already seen at it', async () => {
+  const { articles, nextCursor, total } = await articleService.listArticles({ limit: 2 });
+  const { cursor } = decodeCursor(nextCursor);
+
+  assert.equal(total, PUBLISHED.length);
+  assert.equal(cursor.publishedAt, '2025-09-11T08:00:00Z');
+  assert.deepEqual(cursor.seen, [articles[1].articleId]);
+});
+
+test('the last page has no cursor', async () => {
+  const { nextCursor } = await articleService.listArticles({ limit: PUBLISHED.length });
+  assert.equal(nextCursor, null);
+});
+
+test('decodeCursor rejects malformed cursors', () => {
+  assert.deepEqual(decodeCursor(undefined), { cursor: null });
+  const encode = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+  for (const value of [
+    'not-a-cursor',
+    '',
+    encode({ seen: [] }),
+    encode({ publishedAt: '2025-09-11T08:00:00Z', seen: [1, {}] }),
+    encode(null),
+  ]) {
+    assert.deepEqual(decodeCursor(value), { error: 'cursor is invalid' }, value);
+  }
+});
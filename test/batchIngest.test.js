@@ -0,0 +1,56 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+process.env.ENTITY_EXTRACTOR = 'rules';
+const { scratch } = require('./helpers/env');
+const vectorStore = require('../config/vectorStore');
+const BatchIngestionService = require('../scripts/batchIngest');
+
+const content = (topic) =>
+  `${topic} dominated the day. Officials gave an update on ${topic} in the afternoon. ` +
+  `Reporters followed ${topic} closely as the situation developed through the evening.`;
+
+const ARTICLES = [
+  { title: 'Karki sworn in as Nepal interim leader', topic: 'the swearing in of Nepal interim leader Sushila Karki' },
+  { title: 'Louvre jewels stolen in daylight heist', topic: 'the Louvre jewel heist in Paris' },
+  { title: 'Karki sworn in as Nepal interim leader', topic: 'the swearing in of Nepal interim leader Sushila Karki' },
+].map(({ title, topic }, i) => ({
+  id: `00000000-0000-4000-8000-00000000001${i}`,
+  title,
+  content: content(topic),
+  summary: title,
+  url: `https://example.com/${i}`,
+  publishedAt: `2025-09-12T0${i}:00:00Z`,
+  source: i === 2 ? 'Reuters' : 'BBC News',
+}));
+
+// Feeds, progress files and backups stay out of the test
+class OfflineBatchIngestion extends BatchIngestionService {
+  async ingestFromRSSFeeds() { return ARTICLES.map((article) => ({ ...article })); }
+  async saveProgress() {}
+  async saveToFile() {}
+}
+
+after(() => {
+  for (const name of ['vectors', 'lexical', 'stories']) fs.rmSync(scratch(name), { force: true });
+});
+
+test('batch-ingested points carry the storyId of their story', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  // Clustering reads earlier vectors first; give that read a remote store's latency
+  const retrieve = vectorStore.retrieve.bind(vectorStore);
+  t.mock.method(vectorStore, 'retrieve', async (...args) => {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    return retrieve(...args);
+  });
+  await new OfflineBatchIngestion({ batchSize: 2, delayBetweenBatches: 1 }).runBatchIngestion();
+
+  const { points } = await vectorStore.scroll({ limit: 100, fields: ['articleId', 'storyId'] });
+  assert.ok(points.length >= ARTICLES.length);
+  assert.ok(points.every((point) => point.payload.storyId), 'a point was stored without a storyId');
+
+  const storyOf = (i) => points.find((p) => p.payload.articleId === ARTICLES[i].id).payload.storyId;
+  // The same report in a later batch joins the earlier batch's story
+  assert.equal(storyOf(2), storyOf(0));
+  assert.notEqual(storyOf(1), storyOf(0));
+});
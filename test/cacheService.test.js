@@ -0,0 +1,83 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { redis } = require('./helpers/env');
+const cacheService = require('../services/cacheService');
+const { optionsSignature } = require('../services/ragService');
+const { parseChatOptions } = require('../services/chatOptions');
+
+beforeEach(() => redis.flushAll());
+
+test('options left at their defaults do not change the signature', () => {
+  const unset = optionsSignature(parseChatOptions({}).options);
+
+  assert.equal(unset, '{}');
+  assert.equal(optionsSignature({}), unset);
+  assert.equal(optionsSignature(parseChatOptions({ topK: 3, mode: 'answer' }).options), unset);
+  assert.equal(optionsSignature({ ...parseChatOptions({}).options, sessionId: 'abc' }), unset);
+  assert.notEqual(optionsSignature(parseChatOptions({ topK: 5 }).options), unset);
+});
+
+test('signatures do not depend on key order', () => {
+  const a = { rerank: { topK: 5, reranker: 'llm' } };
+  const b = { rerank: { reranker: 'llm', topK: 5 } };
+  assert.equal(optionsSignature(a), optionsSignature(b));
+});
+
+test('entries are stored and looked up per signature', async () => {
+  const vector = [1, 0, 0];
+  await cacheService.cacheSemanticResult('gaza ceasefire', vector, '{}', { answer: 'default' });
+  await cacheService.cacheSemanticResult('gaza ceasefire', vector, '{"topK":5}', { answer: 'top 5' });
+
+  assert.equal((await redis.keys('semcache:entries:*')).length, 2);
+  assert.equal((await cacheService.findSemanticMatch(vector, '{}')).result.answer, 'default');
+  assert.equal((await cacheService.findSemanticMatch(vector, '{"topK":5}')).result.answer, 'top 5');
+  assert.equal(await cacheService.findSemanticMatch(vector, '{"topK":7}'), null);
+
+  const stats = await cacheService.getSemanticCacheStats();
+  assert.equal(stats.entries, 2);
+  assert.equal(stats.signatures, 2);
+  assert.equal(stats.hits, 2);
+  assert.equal(stats.misses, 1);
+});
+
+test('eviction only trims the signature that grew', async () => {
+  const max = cacheService.maxSemanticEntries;
+  cacheService.maxSemanticEntries = 1;
+  try {
+    await cacheService.cacheSemanticResult('first', [1, 0], '{}', { answer: 'first' });
+    await cacheService.cacheSemanticResult('other', [1, 0], '{"topK":5}', { answer: 'other' });
+    await cacheService.cacheSemanticResult('second', [0, 1], '{}', { answer: 'second' });
+
+    assert.equal(await cacheService.findSemanticMatch([1, 0], '{}'), null);
+    assert.equal((await cacheService.findSemanticMatch([0, 1], '{}')).result.answer, 'second');
+    assert.equal((await cacheService.findSemanticMatch([1, 0], '{"topK":5}')).result.answer, 'other');
+  } finally {
+    cacheService.maxSemanticEntries = max;
+  }
+});
+
+test('a stale best match is dropped and the next fresh match above the threshold is served', async () => {
+  const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+  await cacheService.cacheSemanticResult('gaza ceasefire', [1, 0, 0], '{}', { answer: 'before ingestion' });
+  await tick();
+  await cacheService.recordIngestion();
+  await tick();
+  await cacheService.cacheSemanticResult('ceasefire in gaza', [0.98, 0.2, 0], '{}', { answer: 'after ingestion' });
+
+  const match = await cacheService.findSemanticMatch([1, 0, 0], '{}');
+  assert.equal(match.result.answer, 'after ingestion');
+  assert.equal(match.query, 'ceasefire in gaza');
+
+  const stats = await cacheService.getSemanticCacheStats();
+  assert.equal(stats.entries, 1);
+  assert.equal(stats.hits, 1);
+  assert.equal(stats.stale, 0);
+});
+
+test('a lookup with only stale matches counts as stale', async () => {
+  await cacheService.cacheSemanticResult('gaza ceasefire', [1, 0, 0], '{}', { answer: 'before ingestion' });
+  await cacheService.recordIngestion(new Date(Date.now() + 1000).toISOString());
+
+  assert.equal(await cacheService.findSemanticMatch([1, 0, 0], '{}'), null);
+  assert.equal((await cacheService.getSemanticCacheStats()).stale, 1);
+});
@@ -0,0 +1,57 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const express = require('express');
+const { scratch } = require('./helpers/env');
+const sessionService = require('../services/sessionService');
+const chatRoutes = require('../routes/chat');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/chat', chatRoutes);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/chat`;
+});
+
+after(() => {
+  server.close();
+  for (const name of ['vectors', 'lexical']) fs.rmSync(scratch(name), { force: true });
+});
+
+const post = (path, body) =>
+  fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+async function lastBotMessage(sessionId) {
+  const { messages } = await sessionService.getSession(sessionId);
+  return messages.filter((m) => m.type === 'bot').pop().content;
+}
+
+test('/stream stores the same response object in the session as /message', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { id: plain } = await sessionService.createSession();
+  const { response } = await (await post('/message', {
+    message: 'What happened in Nepal this week?',
+    sessionId: plain,
+  })).json();
+
+  // A different question, so the answer isn't served from the cache
+  const { id: streamed } = await sessionService.createSession();
+  const body = await (await post('/stream', {
+    message: 'Who won the election in Japan?',
+    sessionId: streamed,
+  })).text();
+  const metadata = JSON.parse(body.split('\u001e')[1]);
+
+  assert.deepEqual(await lastBotMessage(plain), response);
+  assert.deepEqual(await lastBotMessage(streamed), metadata);
+  assert.deepEqual(Object.keys(metadata).sort(), Object.keys(response).sort());
+});
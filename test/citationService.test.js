@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/env');
+const { processCitations, extractClaims } = require('../services/citationService');
+const { RagService } = require('../services/ragService');
+
+test('maps sentence spans to 0-based source indices', () => {
+  const { answer, citations } = processCitations('Karki was sworn in [1]. Protests ended [1, 2].', 2);
+
+  assert.equal(answer, 'Karki was sworn in [1]. Protests ended [1, 2].');
+  assert.deepEqual(
+    citations.spans.map((s) => [s.text, s.sourceIndices]),
+    [['Karki was sworn in [1].', [0]], ['Protests ended [1, 2].', [0, 1]]]
+  );
+  for (const span of citations.spans) {
+    assert.equal(answer.slice(span.start, span.end), span.text);
+  }
+  assert.deepEqual(citations.uncitedSourceIndices, []);
+});
+
+test('strips markers without a matching source and reports them', () => {
+  const { answer, citations } = processCitations('Karki was sworn in [4]. Curfew lifted [1, 3].', 2, 'strip');
+
+  assert.equal(answer, 'Karki was sworn in. Curfew lifted [1].');
+  assert.deepEqual(citations.invalidMarkers, [3, 4]);
+  assert.deepEqual(citations.spans.map((s) => s.text), ['Curfew lifted [1].']);
+  assert.deepEqual(citations.uncitedSourceIndices, [1]);
+});
+
+test('flag policy keeps invalid markers in the text', () => {
+  const { answer, citations } = processCitations('Karki was sworn in [4].', 1, 'flag');
+
+  assert.equal(answer, 'Karki was sworn in [4].');
+  assert.deepEqual(citations.invalidMarkers, [4]);
+  assert.deepEqual(citations.spans, []);
+});
+
+test('markers after the closing punctuation belong to that sentence', () => {
+  const { citations } = processCitations('First point. [1] Second point [2].', 2);
+  assert.deepEqual(citations.spans.map((s) => s.text), ['First point. [1]', 'Second point [2].']);
+});
+
+test('extractClaims returns marker-free claim text with cited sources', () => {
+  const claims = extractClaims('Oil rose 5% [1]. Analysts expect more cuts.');
+  assert.deepEqual(
+    claims.map((c) => [c.text, c.sourceIndices]),
+    [['Oil rose 5%.', [0]], ['Analysts expect more cuts.', []]]
+  );
+});
+
+// Runs generation and post-processing on a fixed completion, streaming it
+function streamAnswer(completion, sourceCount) {
+  const rag = new RagService()
+    .useStage('rerank', async (ctx) => {
+      ctx.articles = Array.from({ length: sourceCount }, (_, i) => ({ title: `Article ${i + 1}`, passages: [] }));
+      ctx.sources = ctx.articles.map((a) => ({ title: a.title }));
+    })
+    // The stub LLM answers with the last quoted string of the prompt
+    .useStage('buildPrompt', async (ctx) => {
+      ctx.prompt = `Repeat "${completion}"`;
+    });
+
+  const frames = { streamed: '', replacement: null };
+  return rag
+    .runStages(['rerank', 'buildPrompt', 'generate', 'postProcess'], 'question', {}, {
+      onToken: (text) => (frames.streamed += text),
+      onReplace: (answer) => (frames.replacement = answer),
+    })
+    .then((ctx) => ({ ...frames, response: ctx.response }));
+}
+
+test('streaming sends the citation-processed answer when markers were stripped', async () => {
+  const { streamed, replacement, response } = await streamAnswer('Karki was sworn in [1] [7].', 1);
+
+  assert.equal(streamed.trim(), 'Karki was sworn in [1] [7].');
+  assert.equal(replacement, 'Karki was sworn in [1].');
+  assert.equal(response.answer, replacement);
+  const [span] = response.citations.spans;
+  assert.equal(replacement.slice(span.start, span.end), span.text);
+});
+
+test('streaming sends no replacement when the answer is unchanged', async () => {
+  const { replacement, response } = await streamAnswer('Karki was sworn in [1].', 1);
+
+  assert.equal(replacement, null);
+  assert.equal(response.answer, 'Karki was sworn in [1].');
+});
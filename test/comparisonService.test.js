@@ -0,0 +1,50 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/env');
+const coverageService = require('../services/coverageService');
+const { resolveCompareSources, outletsInQuery } = require('../services/comparisonService');
+const { resolveChatOptions } = require('../services/chatOptions');
+
+const KNOWN = ['BBC News', 'NYT > World News', 'Times of India', 'CNN.com - RSS Channel'];
+const getCoverage = coverageService.getCoverage;
+
+before(() => {
+  coverageService.getCoverage = async () => ({ sources: KNOWN.map((name) => ({ name, articles: 1 })) });
+});
+after(() => {
+  coverageService.getCoverage = getCoverage;
+});
+
+test('requested sources resolve through aliases, case-insensitively', async () => {
+  const { sources } = await resolveCompareSources(['bbc', 'New York Times', 'TOI', 'cnn', 'bbc news']);
+  assert.deepEqual(sources, ['BBC News', 'NYT > World News', 'Times of India', 'CNN.com - RSS Channel']);
+});
+
+test('unknown sources are rejected with the known outlets', async () => {
+  const { sources, error } = await resolveCompareSources(['BBC', 'Daily Planet']);
+
+  assert.equal(sources, undefined);
+  assert.match(error, /Unknown compare.sources: Daily Planet/);
+  assert.match(error, /Known outlets: BBC News, NYT > World News, Times of India, CNN.com - RSS Channel/);
+});
+
+test('chat options carry the stored source names', async () => {
+  const { options } = await resolveChatOptions({ mode: 'compare', compare: { sources: ['nyt', 'bbc'] } });
+  assert.deepEqual(options.compare.sources, ['NYT > World News', 'BBC News']);
+
+  const { error } = await resolveChatOptions({ mode: 'compare', compare: { sources: ['Fox'] } });
+  assert.match(error, /Unknown compare.sources: Fox/);
+});
+
+test('sources are only resolved in comparison mode', async () => {
+  const { options, error } = await resolveChatOptions({ compare: { sources: ['Fox'] } });
+  assert.equal(error, undefined);
+  assert.equal(options.compare.enabled, false);
+});
+
+test('outlets named in the query are found by name, acronym or alias', () => {
+  assert.deepEqual(
+    outletsInQuery('compare how the BBC and the New York Times covered it', KNOWN),
+    ['BBC News', 'NYT > World News']
+  );
+});
@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/env');
+const { assessConfidence, applyConfidence } = require('../services/confidenceScorer');
+const retrievalService = require('../services/retrievalService');
+
+const article = (fields) => ({ source: 'BBC News', vector: [1, 0], ...fields });
+
+test('retrieval signal uses raw cosine, not the normalized ranking score', () => {
+  const { signals } = assessConfidence({
+    articles: [article({ score: 1, vectorScore: 0.4, rerankScore: 0.9, reranker: 'lexical' })],
+    answer: 'Protests continued [1].',
+  });
+  assert.equal(signals.retrieval, 0.4);
+});
+
+test('retrieval signal prefers the LLM reranker grade when it ran', () => {
+  const { signals } = assessConfidence({
+    articles: [article({ score: 1, vectorScore: 0.4, rerankScore: 0.7, reranker: 'llm' })],
+    answer: 'Protests continued [1].',
+  });
+  assert.equal(signals.retrieval, 0.7);
+});
+
+test('weak matches are not rescued by being the best of a weak set', () => {
+  const confidence = assessConfidence({
+    articles: [
+      article({ score: 1, vectorScore: 0.2 }),
+      article({ score: 0.95, vectorScore: 0.15 }),
+    ],
+    answer: 'Protests continued [1]. Curfew was lifted [2].',
+  });
+  // 0.6 × best + 0.4 × mean of the raw scores
+  assert.ok(Math.abs(confidence.signals.retrieval - 0.19) < 1e-9);
+  assert.ok(confidence.score <= confidence.signals.retrieval + 0.25);
+  assert.notEqual(confidence.action, 'answer');
+});
+
+test('strong, agreeing, cited coverage is answered as is', () => {
+  const confidence = assessConfidence({
+    articles: [article({ vectorScore: 0.9 }), article({ vectorScore: 0.9, source: 'Reuters' })],
+    answer: 'Protests continued [1]. Curfew was lifted [2].',
+  });
+
+  assert.equal(confidence.action, 'answer');
+  assert.equal(confidence.level, 'high');
+  assert.equal(confidence.signals.agreement, 1);
+  assert.equal(applyConfidence('Protests continued [1].', confidence, { query: 'q' }), 'Protests continued [1].');
+});
+
+test('a partial match is answered with a caveat', () => {
+  const confidence = assessConfidence({ articles: [article({ vectorScore: 0.3 })], answer: 'Protests continued [1].' });
+
+  // Capped at retrieval + 0.25, between the caveat (0.35) and answer (0.6) thresholds
+  assert.ok(Math.abs(confidence.score - 0.55) < 1e-9);
+  assert.equal(confidence.action, 'caveat');
+  assert.match(applyConfidence('Protests continued [1].', confidence, { query: 'q' }), /^I’m not fully certain[^]*\n\nProtests continued \[1\]\.$/);
+});
+
+test('a weak, uncited answer becomes a clarifying question naming the closest stories', () => {
+  const articles = [article({ vectorScore: 0.05, title: 'Floods in Nepal' })];
+  const confidence = assessConfidence({ articles, answer: 'Something happened.' });
+
+  assert.equal(confidence.action, 'clarify');
+  assert.equal(confidence.level, 'low');
+  assert.match(
+    applyConfidence('Something happened.', confidence, { query: 'Nepal news', articles }),
+    /for "Nepal news"\. Are you asking about "Floods in Nepal"\?/
+  );
+});
+
+test('no articles ask for details, and failed generation keeps the error', () => {
+  const empty = assessConfidence({ articles: [], answer: '' });
+  assert.equal(empty.action, 'clarify');
+  assert.match(applyConfidence('', empty, { query: 'Nepal news' }), /couldn’t find coverage of "Nepal news"/);
+
+  const failed = assessConfidence({ articles: [article({ vectorScore: 0.9 })], answer: 'Sorry', failed: true });
+  assert.equal(failed.action, 'unavailable');
+  assert.equal(applyConfidence('Sorry', failed, { query: 'q' }), 'Sorry');
+});
+
+test('groupByArticle keeps the best raw vector score of an article', () => {
+  const hit = (id, passageIndex, score, vector) => ({
+    id,
+    score,
+    payload: { articleId: 'a', title: 'Nepal', passageIndex, text: `passage ${passageIndex}` },
+    retrieverScores: vector === undefined ? { lexical: 4.2 } : { vector },
+  });
+  const [grouped] = retrievalService.groupByArticle([
+    hit('a', 0, 0.03, 0.61),
+    hit('a#1', 1, 0.02, 0.74),
+    hit('a#2', 2, 0.01),
+  ]);
+
+  assert.equal(grouped.score, 0.03);
+  assert.equal(grouped.vectorScore, 0.74);
+});
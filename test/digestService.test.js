@@ -0,0 +1,101 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { scratch, redis } = require('./helpers/env');
+const embeddings = require('../config/embeddings');
+const vectorStore = require('../config/vectorStore');
+const { llm } = require('../config/llm');
+const cacheService = require('../services/cacheService');
+const digestService = require('../services/digestService');
+const { parseDigestParams } = require('../services/digestService');
+
+const DAY = '2025-09-12';
+// [storyId, source, title, hour]; articles without a storyId predate story clustering
+const ARTICLES = [
+  ['karki', 'BBC News', 'Karki sworn in as Nepal interim leader', 9],
+  ['karki', 'Reuters', 'Nepal gets its first woman prime minister', 14],
+  ['louvre', 'BBC News', 'Louvre closed after jewel theft', 8],
+  ['louvre', 'BBC News', 'Police hunt Louvre jewel thieves', 11],
+  ['louvre', 'BBC News', 'What was taken from the Louvre', 16],
+  [null, 'The Guardian', 'Floods hit western Nepal villages', 7],
+  [null, 'The Guardian', 'Floods hit western Nepal villages again', 18],
+];
+
+before(async () => {
+  redis.flushAll();
+  await vectorStore.initialize();
+  const vectors = await embeddings.embed(ARTICLES.map(([, , title]) => title));
+  const points = ARTICLES.map(([storyId, source, title, hour], i) => ({
+    id: `00000000-0000-4000-8000-00000000030${i}`,
+    vector: vectors[i],
+    payload: {
+      articleId: `00000000-0000-4000-8000-00000000030${i}`,
+      title,
+      summary: `${title}.`,
+      source,
+      url: `https://example.com/${i}`,
+      publishedAt: `${DAY}T${String(hour).padStart(2, '0')}:00:00Z`,
+      passageIndex: 0,
+      ...(storyId && { storyId }),
+    },
+  }));
+  await vectorStore.upsert([
+    ...points,
+    // Later passages and other days stay out of the digest
+    { ...points[0], id: '00000000-0000-4000-8000-000000000310', payload: { ...points[0].payload, passageIndex: 1 } },
+    { ...points[2], id: '00000000-0000-4000-8000-000000000311', payload: { ...points[2].payload, publishedAt: '2025-09-11T12:00:00Z' } },
+  ]);
+});
+
+after(() => {
+  fs.rmSync(scratch('vectors'), { force: true });
+});
+
+test('stories are ranked by outlets, then article count', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(llm, 'generate', async () => '[{"id": 1, "headline": "Nepal swears in Karki", "summary": "Sushila Karki took office."}]');
+
+  const digest = await digestService.getDigest({ date: DAY, category: null, source: null }, { useCache: false });
+
+  assert.equal(digest.articleCount, 7);
+  assert.equal(digest.storyCount, 3);
+  assert.deepEqual(digest.stories.map((s) => [s.storyId, s.articleCount]), [['karki', 2], ['louvre', 3], [null, 2]]);
+  assert.deepEqual(digest.stories[0].sources.map((s) => s.source), ['BBC News', 'Reuters']);
+
+  // Stories the model skipped keep their earliest article's title and summary
+  assert.equal(digest.stories[0].headline, 'Nepal swears in Karki');
+  assert.equal(digest.stories[1].headline, 'Louvre closed after jewel theft');
+  assert.equal(digest.stories[2].summary, 'Floods hit western Nepal villages.');
+});
+
+test('a source filter only digests that outlet', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(llm, 'generate', async () => '[]');
+
+  const digest = await digestService.getDigest({ date: DAY, category: null, source: 'Reuters' }, { useCache: false });
+  assert.deepEqual(digest.stories.map((s) => s.sources.map((a) => a.title)), [['Nepal gets its first woman prime minister']]);
+});
+
+test('digests are served from the cache until the next ingestion', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const generate = t.mock.method(llm, 'generate', async () => '[]');
+  const params = { date: DAY, category: null, source: 'BBC News' };
+
+  const first = await digestService.getDigest(params);
+  const { fromCache, cachedAt, ...cached } = await digestService.getDigest(params);
+  assert.equal(fromCache, true);
+  assert.deepEqual(cached, first);
+  assert.equal(generate.mock.callCount(), 1);
+
+  await cacheService.recordIngestion(new Date(Date.now() + 1000).toISOString());
+  assert.equal((await digestService.getDigest(params)).fromCache, undefined);
+  assert.equal(generate.mock.callCount(), 2);
+});
+
+test('digest parameters are validated', () => {
+  assert.deepEqual(parseDigestParams({ date: DAY, source: ' BBC News ' }), {
+    params: { date: DAY, category: null, source: 'BBC News' },
+  });
+  assert.match(parseDigestParams({ date: '12/09/2025' }).error, /YYYY-MM-DD/);
+  assert.match(parseDigestParams({ date: DAY, category: ' ' }).error, /category must be a non-empty string/);
+});
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { selectArticles, parseDiversityOptions, resolveDiversityOptions } = require('../services/diversity');
+
+const article = (id, score, vector, source) => ({ id, score, vector, source });
+const BBC = article('bbc', 1, [1, 0], 'BBC News');
+const REUTERS = article('reuters', 0.95, [0.99, 0.1], 'Reuters');
+const CNN = article('cnn', 0.8, [0, 1], 'CNN');
+const ids = (articles) => articles.map((a) => a.id);
+
+test('mmr skips a near-duplicate of an article already picked', () => {
+  assert.deepEqual(ids(selectArticles([BBC, REUTERS, CNN], 2, { mode: 'mmr', lambda: 0.7 })), ['bbc', 'cnn']);
+});
+
+test('mmr with lambda 1 is plain relevance order', () => {
+  assert.deepEqual(ids(selectArticles([CNN, REUTERS, BBC], 3, { mode: 'mmr', lambda: 1 })), ['bbc', 'reuters', 'cnn']);
+});
+
+test('corroborate anchors on the best article and adds the same story from other outlets', () => {
+  assert.deepEqual(ids(selectArticles([BBC, REUTERS, CNN], 2, { mode: 'corroborate', lambda: 0.7 })), ['bbc', 'reuters']);
+
+  // Another BBC copy is closer to the anchor, but a new outlet comes first
+  const bbcCopy = article('bbc-copy', 0.9, [1, 0], 'BBC News');
+  const reuters = { ...REUTERS, score: 0.6 };
+  assert.deepEqual(
+    ids(selectArticles([BBC, bbcCopy, reuters], 3, { mode: 'corroborate', lambda: 0.7 })),
+    ['bbc', 'reuters', 'bbc-copy']
+  );
+});
+
+test('"none" keeps the top articles by score', () => {
+  assert.deepEqual(ids(selectArticles([CNN, REUTERS, BBC], 2, { mode: 'none' })), ['bbc', 'reuters']);
+  assert.deepEqual(selectArticles([], 3, { mode: 'corroborate' }), []);
+});
+
+test('diversity options are validated and defaulted', () => {
+  assert.deepEqual(parseDiversityOptions({ mode: 'corroborate', lambda: 0.5 }), {
+    diversity: { mode: 'corroborate', lambda: 0.5 },
+  });
+  assert.match(parseDiversityOptions({ mode: 'random' }).error, /one of: mmr, corroborate, none/);
+  assert.match(parseDiversityOptions({ lambda: 1.5 }).error, /between 0 and 1/);
+  assert.deepEqual(resolveDiversityOptions({ lambda: 0 }), { mode: 'mmr', lambda: 0 });
+});
@@ -0,0 +1,58 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { scratch } = require('./helpers/env');
+const embeddings = require('../config/embeddings');
+const { createEmbeddingProvider } = require('../config/embeddings');
+const { cosineSimilarity } = require('../services/diversity');
+const FileVectorStore = require('../providers/vectorStore/fileVectorStore');
+
+after(() => fs.rmSync(scratch('google-vectors'), { force: true }));
+
+const norm = (vector) => Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+
+test('the hashed provider is the active one in offline mode', () => {
+  assert.deepEqual(embeddings.describe(), { provider: 'hashed', model: 'hashed-ngram-v1-384', dimensions: 384 });
+});
+
+test('hashed embeddings are deterministic unit vectors of the configured size', async () => {
+  const provider = createEmbeddingProvider({ provider: 'hashed', dimensions: 64 });
+  const [a, b] = await provider.embed(['Nepal protests', 'Nepal protests']);
+
+  assert.equal(a.length, 64);
+  assert.deepEqual(a, b);
+  assert.ok(Math.abs(norm(a) - 1) < 1e-9);
+  assert.equal(provider.modelName, 'hashed-ngram-v1-64');
+});
+
+test('texts sharing words are closer than unrelated ones', async () => {
+  const [query, related, unrelated] = await embeddings.embed([
+    'interim prime minister of Nepal',
+    'Nepal swears in an interim prime minister',
+    'Louvre jewels stolen in Paris',
+  ]);
+
+  assert.ok(cosineSimilarity(query, related) > cosineSimilarity(query, unrelated) + 0.3);
+});
+
+test('case and accents do not change the embedding', async () => {
+  assert.deepEqual(await embeddings.embedSingle('Café in São Paulo'), await embeddings.embedSingle('cafe in sao paulo'));
+});
+
+test('empty text embeds to a zero vector', async () => {
+  const vector = await embeddings.embedSingle('');
+  assert.equal(vector.length, 384);
+  assert.ok(vector.every((v) => v === 0));
+});
+
+test('unknown providers are rejected', () => {
+  assert.throws(() => createEmbeddingProvider({ provider: 'word2vec' }), /Unknown EMBEDDING_PROVIDER "word2vec"/);
+});
+
+test('a vector store built with another embedding model is refused', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const filePath = scratch('google-vectors');
+  fs.writeFileSync(filePath, JSON.stringify({ embeddingModel: 'text-embedding-004', dimensions: 768, points: [] }));
+
+  await assert.rejects(new FileVectorStore('news_articles', filePath).initialize(), /built with text-embedding-004 \(768 dims\)/);
+});
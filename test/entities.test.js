@@ -0,0 +1,84 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const express = require('express');
+const { scratch } = require('./helpers/env');
+const embeddings = require('../config/embeddings');
+const vectorStore = require('../config/vectorStore');
+const { entityKeys } = require('../services/entityExtractor');
+const entityRoutes = require('../routes/entities');
+
+const ARTICLES = [
+  ['2025-09-12T09:00:00Z', 'BBC News', { people: ['Sushila Karki'], organizations: [], places: ['Nepal', 'Kathmandu'] }],
+  ['2025-09-09T08:00:00Z', 'Reuters', { people: ['KP Sharma Oli'], organizations: ['Nepal Police'], places: ['Nepal'] }],
+  ['2025-09-13T10:00:00Z', 'Reuters', { people: ['Sushila Karki'], organizations: [], places: ['Nepal'] }],
+  ['2025-10-19T12:00:00Z', 'BBC News', { people: [], organizations: ['Louvre'], places: ['Paris'] }],
+];
+
+let server;
+let baseUrl;
+
+before(async () => {
+  await vectorStore.initialize();
+  const vector = await embeddings.embedSingle('news');
+  const points = ARTICLES.map(([publishedAt, source, entities], i) => {
+    const id = `00000000-0000-4000-8000-00000000040${i}`;
+    return {
+      id,
+      vector,
+      payload: { articleId: id, title: `Article ${i}`, source, publishedAt, passageIndex: 0, ...entities, entities: entityKeys(entities) },
+    };
+  });
+  // A later passage repeats its article's entities but is not counted again
+  await vectorStore.upsert([...points, { ...points[0], id: '00000000-0000-4000-8000-000000000410', payload: { ...points[0].payload, passageIndex: 1 } }]);
+
+  const app = express();
+  app.use('/api/entities', entityRoutes);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/entities`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(scratch('vectors'), { force: true });
+});
+
+const get = async (path) => {
+  const res = await fetch(`${baseUrl}${path}`);
+  return { status: res.status, body: await res.json() };
+};
+
+test('entities are listed by how many articles mention them', async () => {
+  const { body } = await get('/');
+
+  assert.equal(body.total, 7);
+  assert.deepEqual(body.entities.slice(0, 2), [
+    { key: 'nepal', name: 'Nepal', type: 'place', articleCount: 3, lastSeen: '2025-09-13T10:00:00Z' },
+    { key: 'sushila karki', name: 'Sushila Karki', type: 'person', articleCount: 2, lastSeen: '2025-09-13T10:00:00Z' },
+  ]);
+});
+
+test('the list can be narrowed by type and name and paged', async () => {
+  const { body: people } = await get('/?type=person');
+  assert.deepEqual(people.entities.map((e) => e.name), ['Sushila Karki', 'KP Sharma Oli']);
+
+  const { body: nepal } = await get('/?q=nepal&limit=1&offset=1');
+  assert.equal(nepal.total, 2);
+  assert.deepEqual(nepal.entities.map((e) => e.name), ['Nepal Police']);
+});
+
+test('articles mentioning an entity come newest first and can be filtered by source', async () => {
+  const { body } = await get('/sushila%20karki/articles');
+  assert.equal(body.entity.name, 'Sushila Karki');
+  assert.deepEqual(body.articles.map((a) => a.title), ['Article 2', 'Article 0']);
+
+  const { body: bbc } = await get('/Nepal/articles?source=BBC+News');
+  assert.deepEqual(bbc.articles.map((a) => a.title), ['Article 0']);
+});
+
+test('bad parameters are rejected and unknown entities are not found', async () => {
+  assert.equal((await get('/?type=animal')).status, 400);
+  assert.equal((await get('/?limit=0')).status, 400);
+  assert.equal((await get('/Atlantis/articles')).status, 404);
+});
@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/env');
+const { extractEntities, entityKeys } = require('../services/entityExtractor');
+const { outletEntityKeys } = require('../services/entityNames');
+
+const extract = async (article) => (await extractEntities([article], 'rules'))[0];
+
+test('rules find people, organisations, acronyms and places', async () => {
+  const entities = await extract({
+    title: 'President Trump meets Prime Minister Keir Starmer in London',
+    summary: 'The Bank of England and the IMF warned about tariffs in the US.',
+    source: 'Reuters',
+  });
+
+  assert.deepEqual(entities.people, ['Trump', 'Keir Starmer']);
+  assert.deepEqual(entities.organizations, ['Bank of England', 'IMF']);
+  assert.deepEqual(entities.places, ['United States', 'London']);
+});
+
+test('the outlet an article comes from is not indexed as an entity', async () => {
+  const entities = await extract({
+    title: 'BBC Verify checks claims about the strike in Gaza',
+    summary: 'The BBC has seen documents from the United Nations.',
+    source: 'BBC News',
+  });
+
+  assert.ok(!entityKeys(entities).includes('bbc'));
+  assert.deepEqual(entities.places, ['Gaza']);
+});
+
+test('outlets of other articles in the run are left out too', async () => {
+  const [first] = await extractEntities(
+    [
+      { title: 'CNN reports on the talks in Doha', source: 'BBC News' },
+      { title: 'Talks resume', source: 'CNN.com - RSS Channel' },
+    ],
+    'rules'
+  );
+  assert.deepEqual(first.organizations, []);
+});
+
+test('outlet keys cover feed titles, acronyms and aliases', () => {
+  const keys = outletEntityKeys(['BBC News', 'NYT > World News']);
+  for (const key of ['bbc news', 'bbc', 'nyt world news', 'nyt', 'new york times', 'ny times']) {
+    assert.ok(keys.has(key), key);
+  }
+  assert.ok(!keys.has('times of india'));
+});
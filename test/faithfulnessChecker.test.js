@@ -0,0 +1,109 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/env');
+const { llm } = require('../config/llm');
+const { verifyAnswer, parseFaithfulnessOptions } = require('../services/faithfulnessChecker');
+const { RagService } = require('../services/ragService');
+
+const articles = [
+  { title: 'Nepal', passages: [{ text: 'Sushila Karki was sworn in as interim prime minister of Nepal.' }] },
+];
+const ANSWER = 'Sushila Karki was sworn in as interim prime minister [1]. Parliament approved a budget of 900 billion rupees.';
+
+test('rewrite drops claims the passages do not support', async () => {
+  const { answer, faithfulness } = await verifyAnswer(ANSWER, articles, '', { policy: 'rewrite', checker: 'lexical' });
+
+  assert.equal(answer, 'Sushila Karki was sworn in as interim prime minister [1].');
+  assert.equal(faithfulness.action, 'rewritten');
+  assert.deepEqual(faithfulness.claims.map((c) => c.label), ['supported', 'unsupported']);
+  assert.equal(faithfulness.groundedness, 0.5);
+});
+
+test('annotate reports labels without changing the answer', async () => {
+  const { answer, faithfulness } = await verifyAnswer(ANSWER, articles, '', { policy: 'annotate', checker: 'lexical' });
+
+  assert.equal(answer, ANSWER);
+  assert.equal(faithfulness.action, 'none');
+});
+
+test('refuse replaces the answer only when groundedness is below the threshold', async () => {
+  const refused = await verifyAnswer(ANSWER, articles, '', { policy: 'refuse', checker: 'lexical', threshold: 0.6 });
+  assert.equal(refused.faithfulness.action, 'refused');
+  assert.match(refused.answer, /couldn’t verify an answer/);
+
+  const kept = await verifyAnswer(ANSWER, articles, '', { policy: 'refuse', checker: 'lexical', threshold: 0.5 });
+  assert.equal(kept.faithfulness.action, 'none');
+  assert.equal(kept.answer, ANSWER);
+});
+
+test('rewrite drops claims the llm checker labels contradicted', async (t) => {
+  t.mock.method(llm, 'generate', async () =>
+    '[{"id": 0, "label": "supported"}, {"id": 1, "label": "contradicted", "reason": "no budget was mentioned"}]'
+  );
+  const { answer, faithfulness } = await verifyAnswer(ANSWER, articles, 'context', { policy: 'rewrite', checker: 'llm' });
+
+  assert.equal(answer, 'Sushila Karki was sworn in as interim prime minister [1].');
+  assert.equal(faithfulness.checker, 'llm');
+  assert.deepEqual(faithfulness.claims[1], {
+    text: 'Parliament approved a budget of 900 billion rupees.',
+    label: 'contradicted',
+    sourceIndices: [],
+    reason: 'no budget was mentioned',
+  });
+});
+
+test('faithfulness options are validated', () => {
+  assert.deepEqual(parseFaithfulnessOptions(false), { faithfulness: { enabled: false } });
+  assert.match(parseFaithfulnessOptions({ policy: 'block' }).error, /one of: annotate, rewrite, refuse/);
+  assert.match(parseFaithfulnessOptions({ threshold: 2 }).error, /between 0 and 1/);
+});
+
+// Streams a fixed completion through generation, verification and post-processing
+async function streamAnswer(completion, faithfulness) {
+  const rag = new RagService()
+    .useStage('rerank', async (ctx) => {
+      ctx.articles = articles;
+      ctx.sources = articles.map((a) => ({ title: a.title }));
+    })
+    .useStage('buildPrompt', async (ctx) => {
+      ctx.prompt = `Repeat "${completion}"`;
+    });
+
+  const frames = { tokens: [], replacement: null };
+  const ctx = await rag.runStages(
+    ['rerank', 'buildPrompt', 'generate', 'verify', 'postProcess'],
+    'question',
+    { verify: { checker: 'lexical', ...faithfulness } },
+    {
+      onToken: (text) => frames.tokens.push(text),
+      onReplace: (answer) => (frames.replacement = answer),
+    }
+  );
+  return { ...frames, response: ctx.response };
+}
+
+test('streaming holds the answer back until a rewrite has been applied', async () => {
+  const { tokens, replacement, response } = await streamAnswer(ANSWER, { policy: 'rewrite' });
+
+  assert.deepEqual(tokens, ['Sushila Karki was sworn in as interim prime minister [1].']);
+  assert.equal(replacement, null);
+  assert.equal(response.answer, tokens[0]);
+});
+
+test('streaming under refuse never sends the refused draft', async () => {
+  const { tokens, response } = await streamAnswer(ANSWER, { policy: 'refuse', threshold: 0.9 });
+
+  assert.equal(tokens.length, 1);
+  assert.equal(tokens[0], response.answer);
+  assert.equal(response.faithfulness.action, 'refused');
+  assert.ok(!tokens[0].includes('budget'));
+});
+
+test('streaming under annotate sends tokens as they are generated', async () => {
+  const { tokens, replacement, response } = await streamAnswer(ANSWER, { policy: 'annotate' });
+
+  assert.ok(tokens.length > 1);
+  assert.equal(tokens.join('').trim(), ANSWER);
+  assert.equal(replacement, null);
+  assert.equal(response.answer, ANSWER);
+});
@@ -0,0 +1,15 @@
+// Offline configuration for tests that load the RAG pipeline: file-backed
+// vector store, hashed embeddings, the stub LLM and in-memory Redis
+const os = require('os');
+const path = require('path');
+
+const scratch = (name) => path.join(os.tmpdir(), `news-rag-test-${process.pid}-${name}.json`);
+
+process.env.VECTOR_STORE = 'file';
+process.env.VECTOR_STORE_PATH = scratch('vectors');
+process.env.LEXICAL_INDEX_PATH = scratch('lexical');
+process.env.STORY_INDEX_PATH = scratch('stories');
+process.env.EMBEDDING_PROVIDER = 'hashed';
+process.env.LLM_PROVIDER = 'stub';
+
+module.exports = { scratch, redis: require('./fakeRedis') };
@@ -0,0 +1,65 @@
+// In-memory stand-in for config/redis, covering the commands the services
+// use. Requiring this file before any service keeps tests off a real Redis.
+const path = require('path');
+
+const strings = new Map();
+const hashes = new Map();
+const sets = new Map();
+
+const hash = (key) => {
+  if (!hashes.has(key)) hashes.set(key, new Map());
+  return hashes.get(key);
+};
+const set = (key) => {
+  if (!sets.has(key)) sets.set(key, new Set());
+  return sets.get(key);
+};
+const globToRegExp = (pattern) =>
+  new RegExp(`^${pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`);
+
+const fakeRedis = {
+  isReady: true,
+  async ping() { return 'PONG'; },
+  async get(key) { return strings.has(key) ? strings.get(key) : null; },
+  async set(key, value) { strings.set(key, String(value)); return 'OK'; },
+  async setEx(key, ttl, value) { strings.set(key, String(value)); return 'OK'; },
+  async del(keys) {
+    let removed = 0;
+    for (const key of [].concat(keys)) {
+      removed += [strings, hashes, sets].filter((store) => store.delete(key)).length;
+    }
+    return removed;
+  },
+  async keys(pattern) {
+    const regExp = globToRegExp(pattern);
+    return [...new Set([...strings.keys(), ...hashes.keys(), ...sets.keys()])].filter((k) => regExp.test(k));
+  },
+  async expire() { return 1; },
+  async hGet(key, field) { return hash(key).has(field) ? hash(key).get(field) : null; },
+  async hGetAll(key) { return Object.fromEntries(hashes.get(key) || []); },
+  async hSet(key, field, value) { hash(key).set(field, String(value)); return 1; },
+  async hDel(key, field) { return hash(key).delete(field) ? 1 : 0; },
+  async hLen(key) { return hashes.get(key)?.size || 0; },
+  async hIncrBy(key, field, by) {
+    const value = (parseInt(hash(key).get(field)) || 0) + by;
+    hash(key).set(field, String(value));
+    return value;
+  },
+  async sAdd(key, member) {
+    if (set(key).has(member)) return 0;
+    set(key).add(member);
+    return 1;
+  },
+  async info() { return ''; },
+  async dbSize() { return strings.size + hashes.size + sets.size; },
+  flushAll() {
+    strings.clear();
+    hashes.clear();
+    sets.clear();
+  },
+};
+
+const modulePath = path.join(__dirname, '..', '..', 'config', 'redis.js');
+require.cache[modulePath] = { id: modulePath, filename: modulePath, loaded: true, exports: fakeRedis };
+
+module.exports = fakeRedis;
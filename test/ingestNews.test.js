@@ -0,0 +1,85 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { scratch } = require('./helpers/env');
+const vectorStore = require('../config/vectorStore');
+const lexicalIndex = require('../services/lexicalIndex');
+const NewsIngestionService = require('../scripts/ingestNews');
+
+const sentence = (n) => `Sentence number ${n} talks about the news of the day.`;
+const body = (sentences) => Array.from({ length: sentences }, (_, i) => sentence(i)).join(' ');
+
+function service() {
+  const ingestion = new NewsIngestionService();
+  ingestion.chunkSize = 200;
+  ingestion.chunkOverlap = 0;
+  return ingestion;
+}
+
+const article = (content) => ({
+  id: '00000000-0000-4000-8000-000000000101',
+  title: 'Karki sworn in as Nepal interim leader',
+  summary: 'Sushila Karki was sworn in.',
+  content,
+  url: 'https://example.com/nepal',
+  publishedAt: '2025-09-12T08:00:00Z',
+  source: 'BBC News',
+});
+
+async function ingest(ingestion, articles) {
+  ingestion.articles = articles;
+  return ingestion.storeInVectorDB(await ingestion.createEmbeddings());
+}
+
+beforeEach(async (t) => {
+  t.mock.method(console, 'log', () => {});
+  await vectorStore.clear();
+  lexicalIndex.load();
+});
+
+after(() => {
+  for (const name of ['vectors', 'lexical']) fs.rmSync(scratch(name), { force: true });
+});
+
+test('passage ids follow from the article id and position', () => {
+  const first = service().createPassages(article(body(12)));
+  const again = service().createPassages(article(body(12)));
+
+  assert.ok(first.length > 2);
+  assert.equal(first[0].id, article('').id);
+  assert.deepEqual(again.map((p) => p.id), first.map((p) => p.id));
+  assert.equal(new Set(first.map((p) => p.id)).size, first.length);
+});
+
+test('articles get the same id from the same URL', async () => {
+  const item = { title: 'Karki sworn in', link: 'https://example.com/nepal', 'content:encoded': body(6) };
+  const [a, b] = [await service().processRSSItem(item, 'BBC News'), await service().processRSSItem(item, 'BBC News')];
+  const other = await service().processRSSItem({ ...item, link: 'https://example.com/other' }, 'BBC News');
+
+  assert.equal(a.id, b.id);
+  assert.notEqual(other.id, a.id);
+});
+
+test('re-ingesting an article replaces its passages instead of adding to them', async () => {
+  await ingest(service(), [article(body(12))]);
+  const before = await vectorStore.count();
+
+  await ingest(service(), [article(body(12))]);
+  assert.equal(await vectorStore.count(), before);
+
+  // A shorter version drops the passages it no longer has
+  await ingest(service(), [article(body(3))]);
+  const passageCount = service().createPassages(article(body(3))).length;
+  assert.equal(await vectorStore.count(), passageCount);
+  assert.equal(lexicalIndex.docs.size, passageCount);
+});
+
+test('articles without content are labelled instead of reported as API errors', async () => {
+  const ingestion = service();
+  ingestion.articles = [article(''), article(body(3))];
+  const [empty, full] = await ingestion.createEmbeddings();
+
+  assert.equal(empty.embedding, null);
+  assert.equal(empty.embeddingError, 'Article has no content to embed.');
+  assert.ok(full.embedding);
+});
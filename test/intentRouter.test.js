@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/env');
+const { classifyIntent, handleIntent } = require('../services/intentRouter');
+
+const classify = (query, history) => classifyIntent(query, history, 'rules');
+
+test('greetings, thanks and goodbyes', async () => {
+  for (const query of ['hi', 'Hello there!', 'thanks so much', 'bye']) {
+    assert.equal(await classify(query), 'greeting', query);
+  }
+  assert.match(await handleIntent('greeting', 'thanks'), /welcome/);
+});
+
+test('questions about the assistant are meta', async () => {
+  for (const query of [
+    'What can you do?',
+    'Which sources do you use?',
+    'What are your sources?',
+    'Where does your news come from?',
+    'How recent is your data?',
+  ]) {
+    assert.equal(await classify(query), 'meta', query);
+  }
+});
+
+test('questions about which outlets covered a story are news', async () => {
+  for (const query of ['Which outlets covered the Trump state visit?', 'What sources reported the Louvre heist?']) {
+    assert.equal(await classify(query), 'news', query);
+  }
+});
+
+test('requests unrelated to the news are out of scope', async () => {
+  for (const query of [
+    'Write me a poem about autumn',
+    'Write a poem about Nepal',
+    'Compose a song for Maria in Paris',
+    '2 + 2 * 3',
+    'Solve x^2 - 4 = 0 for x',
+    'Translate good morning into French',
+    'Can you debug my JavaScript function?',
+    'give me a recipe for banana bread',
+  ]) {
+    assert.equal(await classify(query), 'out_of_scope', query);
+  }
+  assert.match(await handleIntent('out_of_scope', 'tell me a joke'), /only help with questions about the news/);
+});
+
+test('news questions using out-of-scope words still go to retrieval', async () => {
+  for (const query of [
+    'How did analysts calculate the cost of the Nepal protests?',
+    'Did the government translate the ceasefire deal into Arabic?',
+    'What figure did economists compute for the UK deficit?',
+    'Have police managed to solve the Louvre robbery?',
+    'Is there a recipe for peace in Gaza?',
+    'Did anyone debug the CrowdStrike outage?',
+  ]) {
+    assert.equal(await classify(query), 'news', query);
+  }
+});
+
+test('short pronoun questions with history are follow-ups', async () => {
+  const history = [{ role: 'user', content: 'Who is the new prime minister of Nepal?' }];
+
+  assert.equal(await classify('What did she say about the protests?', history), 'follow_up');
+  assert.equal(await classify('What did she say about the protests?'), 'news');
+  assert.equal(await handleIntent('follow_up', 'and then?'), null);
+});
@@ -0,0 +1,93 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+
+process.env.LEXICAL_INDEX_PATH = path.join(os.tmpdir(), `lexical-index-${process.pid}.json`);
+process.env.VECTOR_STORE = 'file';
+process.env.VECTOR_STORE_PATH = path.join(os.tmpdir(), `vector-store-${process.pid}.json`);
+process.env.EMBEDDING_PROVIDER = 'hashed';
+
+const lexicalIndex = require('../services/lexicalIndex');
+const retrievalService = require('../services/retrievalService');
+
+beforeEach(() => lexicalIndex.clear());
+
+test('tokenize lowercases, strips accents and drops stopwords', () => {
+  assert.deepEqual(lexicalIndex.tokenize('The Café in São Paulo is OPEN'), ['cafe', 'sao', 'paulo', 'open']);
+});
+
+test('overlap is the Jaccard share of terms', () => {
+  assert.equal(lexicalIndex.overlap('Nepal protests turn deadly', 'Deadly protests in Nepal'), 3 / 4);
+  assert.equal(lexicalIndex.overlap('', 'anything'), 0);
+});
+
+test('search ranks the passage with more matching terms first', () => {
+  lexicalIndex.addDocument('p1', 'a1', 'Nepal protests over social media ban');
+  lexicalIndex.addDocument('p2', 'a2', 'Protests in Paris over pensions');
+  lexicalIndex.addDocument('p3', 'a3', 'Football results from the weekend');
+
+  const hits = lexicalIndex.search('Nepal protests');
+  assert.deepEqual(hits.map((h) => h.id), ['p1', 'p2']);
+  assert.equal(hits[0].articleId, 'a1');
+  assert.ok(hits[0].score > hits[1].score);
+});
+
+test('rare terms weigh more than common ones', () => {
+  lexicalIndex.addDocument('p1', 'a1', 'election results election');
+  lexicalIndex.addDocument('p2', 'a2', 'election turnout');
+  lexicalIndex.addDocument('p3', 'a3', 'election recount kathmandu');
+
+  assert.equal(lexicalIndex.search('election kathmandu')[0].id, 'p3');
+});
+
+test('re-adding a document replaces its terms', () => {
+  lexicalIndex.addDocument('p1', 'a1', 'old headline about budgets');
+  lexicalIndex.addDocument('p1', 'a1', 'new headline about floods');
+
+  assert.deepEqual(lexicalIndex.search('budgets'), []);
+  assert.equal(lexicalIndex.search('floods')[0].id, 'p1');
+  assert.equal(lexicalIndex.docs.size, 1);
+});
+
+test('removeDocument drops postings and length', () => {
+  lexicalIndex.addDocument('p1', 'a1', 'storm warning issued');
+  lexicalIndex.removeDocument('p1');
+
+  assert.equal(lexicalIndex.totalLength, 0);
+  assert.equal(lexicalIndex.postings.size, 0);
+});
+
+test('save and load round-trip the index', () => {
+  lexicalIndex.addDocument('p1', 'a1', 'central bank raises rates');
+  lexicalIndex.save();
+  lexicalIndex.reset();
+  lexicalIndex.load();
+
+  assert.equal(lexicalIndex.search('rates')[0].id, 'p1');
+});
+
+test('fuseRankings merges retrievers with weighted reciprocal ranks', () => {
+  const fused = retrievalService.fuseRankings(
+    {
+      vector: [{ id: 'a', score: 0.9 }, { id: 'b', score: 0.8 }],
+      lexical: [{ id: 'b', score: 7 }, { id: 'c', score: 3 }],
+    },
+    { vector: 0.5, lexical: 0.5 }
+  );
+
+  assert.deepEqual(fused.map((h) => h.id), ['b', 'a', 'c']);
+  assert.deepEqual(fused[0].retrievers, ['vector', 'lexical']);
+  assert.deepEqual(fused[0].retrieverScores, { vector: 0.8, lexical: 7 });
+  assert.equal(fused[1].score, 0.5 / 61);
+});
+
+test('a zero weight leaves a retriever out of the ranking', () => {
+  const fused = retrievalService.fuseRankings(
+    { vector: [{ id: 'a', score: 0.9 }], lexical: [{ id: 'b', score: 5 }] },
+    { vector: 1, lexical: 0 }
+  );
+
+  assert.equal(fused[0].id, 'a');
+  assert.equal(fused[1].score, 0);
+});
@@ -0,0 +1,99 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+require('./helpers/env');
+const { createLLMProvider } = require('../config/llm');
+const { FALLBACK_ANSWER } = require('../providers/llm/baseProvider');
+
+// A minimal OpenAI-compatible chat completions server. Prompts containing
+// "busy" get a 503 on the first attempt, "down" always gets a 500.
+const requests = [];
+const attempts = new Map();
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => (raw += chunk));
+    req.on('end', () => {
+      const body = JSON.parse(raw);
+      const prompt = body.messages[0].content;
+      requests.push({ url: req.url, auth: req.headers.authorization, body });
+      attempts.set(prompt, (attempts.get(prompt) || 0) + 1);
+
+      if (prompt.includes('down') || (prompt.includes('busy') && attempts.get(prompt) === 1)) {
+        res.writeHead(prompt.includes('down') ? 500 : 503);
+        return res.end();
+      }
+      if (body.stream) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        for (const text of ['Karki ', 'was ', 'sworn in.']) {
+          res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: text } }] })}\n\n`);
+        }
+        return res.end('data: [DONE]\n\n');
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ choices: [{ message: { content: `echo: ${prompt}` } }] }));
+    });
+  });
+  server.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/v1/`;
+});
+
+after(() => server.close());
+
+const openai = () =>
+  createLLMProvider({ provider: 'openai', model: 'local', baseUrl, apiKey: 'secret', temperature: 0.2, maxTokens: 64, timeout: 5000 });
+
+test('the openai-compatible provider posts chat completions', async () => {
+  const llm = openai();
+  assert.equal(await llm.generate('hello', { maxTokens: 10 }), 'echo: hello');
+
+  const { url, auth, body } = requests[requests.length - 1];
+  assert.equal(url, '/v1/chat/completions');
+  assert.equal(auth, 'Bearer secret');
+  assert.deepEqual(body, {
+    model: 'local',
+    messages: [{ role: 'user', content: 'hello' }],
+    temperature: 0.2,
+    max_tokens: 10,
+    stream: false,
+  });
+});
+
+test('the openai-compatible provider streams server-sent event chunks', async () => {
+  const chunks = [];
+  for await (const chunk of openai().stream('who was sworn in?')) chunks.push(chunk);
+  assert.deepEqual(chunks, ['Karki ', 'was ', 'sworn in.']);
+});
+
+test('safeGenerate retries on 503 and apologises on other errors', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+  const llm = openai();
+
+  assert.equal(await llm.safeGenerate('busy now'), 'echo: busy now');
+  await assert.rejects(llm.generate('down now'), { status: 500, message: /responded with 500/ });
+  assert.equal(await llm.safeGenerate('down now'), FALLBACK_ANSWER);
+});
+
+test('the stub provider echoes the question and cites numbered context', async () => {
+  const llm = createLLMProvider({ provider: 'stub' });
+
+  assert.equal(await llm.generate('Latest question: "Who is the PM?"'), 'Who is the PM?');
+  assert.equal(
+    await llm.generate('[1] Karki was sworn in.\n\nQuestion: "Who is the PM?"'),
+    'Stub answer to "Who is the PM?": Karki was sworn in. [1]'
+  );
+
+  const chunks = [];
+  for await (const chunk of llm.stream('"Who is the PM?"')) chunks.push(chunk);
+  assert.deepEqual(chunks, ['Who ', 'is ', 'the ', 'PM?']);
+  assert.deepEqual(llm.describe(), { provider: 'stub', model: 'stub' });
+});
+
+test('unknown providers are rejected', () => {
+  assert.throws(() => createLLMProvider({ provider: 'palm' }), /Unknown LLM_PROVIDER "palm"/);
+});
@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/env');
+const { llm } = require('../config/llm');
+const {
+  parseExpansionOptions,
+  resolveExpansionOptions,
+  shouldExpand,
+  expandQuery,
+} = require('../services/queryExpander');
+const { RagService } = require('../services/ragService');
+
+const PARAPHRASES = '1. Kimmel show suspended\n- "Jimmy Kimmel taken off air"\nkimmel?\n• Why ABC pulled Jimmy Kimmel Live\nKimmel suspension reaction';
+const PASSAGE = 'ABC suspended Jimmy Kimmel Live indefinitely on Wednesday after remarks by the host.';
+
+// Answers the paraphrase and HyDE prompts the expander sends
+const fakeGenerate = async (prompt) => (prompt.includes('alternative search queries') ? PARAPHRASES : PASSAGE);
+
+test('paraphrases are cleaned, de-duplicated against the query and capped', async (t) => {
+  t.mock.method(llm, 'generate', fakeGenerate);
+  const { paraphrases, hypotheticalAnswer, llmCalls } = await expandQuery('Kimmel?', { paraphrases: 3, hyde: true });
+
+  assert.deepEqual(paraphrases, ['Kimmel show suspended', 'Jimmy Kimmel taken off air', 'Why ABC pulled Jimmy Kimmel Live']);
+  assert.equal(hypotheticalAnswer, PASSAGE);
+  assert.equal(llmCalls, 2);
+});
+
+test('a failed call only drops that kind of expansion', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(llm, 'generate', async (prompt) => {
+    if (prompt.includes('alternative search queries')) throw new Error('timeout');
+    return PASSAGE;
+  });
+
+  const { paraphrases, hypotheticalAnswer } = await expandQuery('Kimmel?', { paraphrases: 2, hyde: true });
+  assert.deepEqual(paraphrases, []);
+  assert.equal(hypotheticalAnswer, PASSAGE);
+});
+
+test('the expand stage embeds every variant next to the query', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(llm, 'generate', fakeGenerate);
+
+  const ctx = await new RagService().runStages(['embed', 'expand'], 'Kimmel?', {
+    expand: { mode: 'always', paraphrases: 2, hyde: true },
+  });
+
+  assert.deepEqual(ctx.queryVariants.map((v) => v.kind), ['query', 'paraphrase', 'paraphrase', 'hyde']);
+  assert.equal(ctx.queryVariants[0].vector, ctx.queryVector);
+  assert.ok(ctx.queryVariants.every((v) => v.vector.length === ctx.queryVector.length));
+});
+
+test('short mode only expands short queries', () => {
+  const short = { mode: 'short', paraphrases: 3, hyde: true };
+
+  assert.equal(shouldExpand('tariffs', short), true);
+  assert.equal(shouldExpand('What did the prime minister say about the new tariffs on steel?', short), false);
+  assert.equal(shouldExpand('tariffs', { mode: 'always', paraphrases: 0, hyde: false }), false);
+  assert.equal(shouldExpand('tariffs', { mode: 'off', paraphrases: 3, hyde: true }), false);
+});
+
+test('expansion options are validated and defaulted', () => {
+  assert.deepEqual(parseExpansionOptions(true), { expansion: { mode: 'always' } });
+  assert.deepEqual(parseExpansionOptions({ paraphrases: 2 }), {
+    expansion: { mode: 'always', paraphrases: 2, hyde: undefined },
+  });
+  assert.match(parseExpansionOptions({ paraphrases: 9 }).error, /between 0 and 5/);
+  assert.match(parseExpansionOptions({ hyde: 'yes' }).error, /boolean/);
+  assert.deepEqual(resolveExpansionOptions(), { mode: 'off', paraphrases: 3, hyde: true });
+});
@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFilters, toQdrantFilter, matchesFilters } = require('../services/queryFilters');
+
+const payload = {
+  source: 'BBC News',
+  categories: ['Nepal', 'Asia'],
+  author: 'Jane Doe',
+  entities: ['benjamin netanyahu'],
+  title: 'Nepal protests: curfew lifted in Kathmandu',
+  publishedAt: '2025-09-10T12:00:00Z',
+  passageIndex: 0,
+  url: 'https://example.com/a',
+};
+
+test('parseFilters accepts no filters', () => {
+  assert.deepEqual(parseFilters(undefined), { filters: null });
+  assert.deepEqual(parseFilters({}), { filters: null });
+});
+
+test('parseFilters normalizes lists, entity names and dates', () => {
+  const { filters } = parseFilters({
+    sources: ' BBC News ',
+    entities: ['Netanyahu, Benjamin'],
+    from: '2025-09-01',
+  });
+  assert.deepEqual(filters, {
+    sources: ['BBC News'],
+    entities: ['benjamin netanyahu'],
+    from: '2025-09-01T00:00:00.000Z',
+  });
+});
+
+test('parseFilters rejects invalid values', () => {
+  assert.match(parseFilters([]).error, /must be an object/);
+  assert.match(parseFilters({ topic: ['x'] }).error, /Unknown filter "topic"/);
+  assert.match(parseFilters({ sources: [] }).error, /filters.sources/);
+  assert.match(parseFilters({ authors: [''] }).error, /filters.authors/);
+  assert.match(parseFilters({ from: 'yesterday' }).error, /filters.from/);
+  assert.match(parseFilters({ from: '2025-09-10', to: '2025-09-01' }).error, /before/);
+});
+
+test('toQdrantFilter builds must and must_not conditions', () => {
+  assert.equal(toQdrantFilter(null), undefined);
+  assert.deepEqual(
+    toQdrantFilter({
+      sources: ['BBC News'],
+      from: '2025-09-01T00:00:00.000Z',
+      equals: { passageIndex: 0 },
+      text: { title: 'nepal curfew' },
+      exclude: { url: ['https://example.com/b'], storyId: [] },
+    }),
+    {
+      must: [
+        { key: 'source', match: { any: ['BBC News'] } },
+        { key: 'passageIndex', match: { value: 0 } },
+        { key: 'title', match: { text: 'nepal curfew' } },
+        { key: 'publishedAt', range: { gte: '2025-09-01T00:00:00.000Z' } },
+      ],
+      must_not: [{ key: 'url', match: { any: ['https://example.com/b'] } }],
+    }
+  );
+});
+
+test('matchesFilters matches list fields against any value', () => {
+  assert.equal(matchesFilters(payload, { categories: ['Asia', 'Europe'] }), true);
+  assert.equal(matchesFilters(payload, { sources: ['NYT > World News'] }), false);
+  assert.equal(matchesFilters(payload, { entities: ['benjamin netanyahu'] }), true);
+});
+
+test('matchesFilters applies inclusive date bounds', () => {
+  assert.equal(matchesFilters(payload, { from: '2025-09-10T12:00:00.000Z' }), true);
+  assert.equal(matchesFilters(payload, { to: '2025-09-09T23:59:59.999Z' }), false);
+  assert.equal(matchesFilters({ ...payload, publishedAt: undefined }, { from: '2025-01-01T00:00:00.000Z' }), false);
+});
+
+test('matchesFilters handles internal equals, text and exclude filters', () => {
+  assert.equal(matchesFilters(payload, { equals: { passageIndex: 1 } }), false);
+  assert.equal(matchesFilters(payload, { text: { title: 'Kathmandu CURFEW' } }), true);
+  assert.equal(matchesFilters(payload, { text: { title: 'kathmandu elections' } }), false);
+  assert.equal(matchesFilters(payload, { exclude: { url: ['https://example.com/a'] } }), false);
+  assert.equal(matchesFilters(payload, { exclude: { url: ['https://example.com/b'] } }), true);
+});
+
+test('matchesFilters without filters matches everything', () => {
+  assert.equal(matchesFilters(payload, null), true);
+  assert.equal(matchesFilters(null, { sources: ['BBC News'] }), false);
+});
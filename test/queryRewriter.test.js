@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/env');
+const { llm } = require('../config/llm');
+const { rewriteQuery, withoutCurrentQuery } = require('../services/queryRewriter');
+
+const HISTORY = [
+  { role: 'user', content: 'Who is the new prime minister of Nepal?' },
+  { role: 'assistant', content: 'Sushila Karki was sworn in as interim prime minister [1].' },
+];
+
+test('questions without history are not rewritten', async (t) => {
+  const generate = t.mock.method(llm, 'generate');
+
+  assert.deepEqual(await rewriteQuery('What did she say?'), { query: 'What did she say?', rewritten: false });
+  assert.equal(generate.mock.callCount(), 0);
+});
+
+test('follow-ups are rewritten with the conversation', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const generate = t.mock.method(llm, 'generate', async () => '"What did Sushila Karki say about the protests?"\nIt resolves "she".');
+
+  const result = await rewriteQuery('What did she say about the protests?', HISTORY);
+
+  assert.deepEqual(result, { query: 'What did Sushila Karki say about the protests?', rewritten: true });
+  const [prompt] = generate.mock.calls[0].arguments;
+  assert.match(prompt, /User: Who is the new prime minister of Nepal\?/);
+  assert.match(prompt, /Assistant: Sushila Karki was sworn in/);
+});
+
+test('a standalone question comes back unchanged and is not marked rewritten', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(llm, 'generate', async () => 'latest on the louvre heist');
+
+  const result = await rewriteQuery('Latest on the Louvre heist', HISTORY);
+  assert.equal(result.rewritten, false);
+});
+
+test('LLM failures and empty output keep the original query', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(llm, 'generate', async () => {
+    throw new Error('quota exceeded');
+  });
+  assert.deepEqual(await rewriteQuery('And then?', HISTORY), { query: 'And then?', rewritten: false });
+
+  llm.generate.mock.mockImplementation(async () => '  ');
+  assert.deepEqual(await rewriteQuery('And then?', HISTORY), { query: 'And then?', rewritten: false });
+});
+
+test('the current question is dropped from the end of the history', () => {
+  const history = [...HISTORY, { role: 'user', content: 'And then?' }];
+
+  assert.deepEqual(withoutCurrentQuery(history, ' And then? '), HISTORY);
+  assert.deepEqual(withoutCurrentQuery(HISTORY, 'And then?'), HISTORY);
+});
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isHistoricalQuery,
+  parseRecencyOptions,
+  resolveRecencyOptions,
+  applyRecencyDecay,
+} = require('../services/recencyScorer');
+
+const NOW = Date.parse('2025-09-15T12:00:00Z');
+const hoursAgo = (hours) => new Date(NOW - hours * 3600000).toISOString();
+const hit = (id, score, publishedAt) => ({ id, score, payload: { publishedAt } });
+
+test('a fresher article overtakes a slightly more relevant old one', () => {
+  const hits = [hit('old', 1, hoursAgo(240)), hit('fresh', 0.9, hoursAgo(2))];
+  const ranked = applyRecencyDecay(hits, { enabled: true, halfLifeHours: 72, weight: 0.3 }, NOW);
+
+  assert.deepEqual(ranked.map((h) => h.id), ['fresh', 'old']);
+  assert.ok(Math.abs(ranked[0].recencyScore - 0.5 ** (2 / 72)) < 1e-9);
+  assert.equal(ranked[1].relevanceScore, 1);
+});
+
+test('with decay disabled, hits keep their relevance order', () => {
+  const hits = [hit('fresh', 0.9, hoursAgo(2)), hit('old', 1, hoursAgo(240))];
+  const ranked = applyRecencyDecay(hits, { enabled: false, halfLifeHours: 72, weight: 0.3 }, NOW);
+
+  assert.deepEqual(ranked.map((h) => h.id), ['old', 'fresh']);
+  assert.deepEqual(ranked.map((h) => h.score), [1, 0.9]);
+});
+
+test('undated hits get no recency boost', () => {
+  const hits = [hit('undated', 1, undefined), hit('dated', 0.8, hoursAgo(1))];
+  const ranked = applyRecencyDecay(hits, { enabled: true, halfLifeHours: 72, weight: 0.5 }, NOW);
+
+  assert.equal(ranked.find((h) => h.id === 'undated').recencyScore, 0);
+  assert.deepEqual(ranked.map((h) => h.id), ['dated', 'undated']);
+});
+
+test('historical questions skip decay unless the request enables it', () => {
+  assert.ok(isHistoricalQuery('What is the history of the Gaza conflict?'));
+  assert.ok(isHistoricalQuery('What happened back in 2019?'));
+  assert.ok(!isHistoricalQuery('Latest on the Gaza ceasefire'));
+
+  assert.equal(resolveRecencyOptions('What is the background to the strike?').enabled, false);
+  assert.equal(resolveRecencyOptions('What is the background to the strike?', { enabled: true }).enabled, true);
+  assert.deepEqual(resolveRecencyOptions('Latest on the strike', { weight: 0 }), {
+    enabled: true,
+    halfLifeHours: 72,
+    weight: 0,
+  });
+});
+
+test('recency options are validated', () => {
+  assert.deepEqual(parseRecencyOptions(false), { recency: { enabled: false } });
+  assert.deepEqual(parseRecencyOptions({ halfLifeHours: 24, weight: 0.5 }), {
+    recency: { halfLifeHours: 24, weight: 0.5 },
+  });
+  assert.match(parseRecencyOptions({ weight: 2 }).error, /weight/);
+  assert.match(parseRecencyOptions({ halfLifeHours: 0 }).error, /halfLifeHours/);
+  assert.match(parseRecencyOptions('soon').error, /boolean or an object/);
+});
@@ -0,0 +1,66 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { scratch } = require('./helpers/env');
+const embeddings = require('../config/embeddings');
+const vectorStore = require('../config/vectorStore');
+const articleService = require('../services/articleService');
+const { parseFilters } = require('../services/queryFilters');
+
+const id = (n) => `00000000-0000-4000-8000-00000000050${n}`;
+// [title, source, url, storyId, passageIndex]
+const POINTS = [
+  ['Karki sworn in as Nepal interim prime minister', 'BBC News', 'https://example.com/karki', 'karki', 0],
+  ['Karki sworn in as interim prime minister of Nepal', 'Reuters', 'https://example.com/reuters-karki', 'karki', 0],
+  // A re-ingested copy of the first article, stored before story clustering
+  ['Karki sworn in as Nepal interim prime minister', 'BBC News', 'https://example.com/karki', null, 0],
+  ['Nepal prime minister resigns after protests', 'Reuters', 'https://example.com/oli', 'oli', 0],
+  ['Nepal prime minister resigns after protests', 'Reuters', 'https://example.com/oli', 'oli', 0],
+  ['Louvre jewels stolen in daylight heist', 'BBC News', 'https://example.com/louvre', 'louvre', 0],
+  ['Karki sworn in as Nepal interim prime minister', 'BBC News', 'https://example.com/karki', 'karki', 1],
+];
+
+before(async () => {
+  await vectorStore.initialize();
+  const vectors = await embeddings.embed(POINTS.map(([title]) => title));
+  await vectorStore.upsert(
+    POINTS.map(([title, source, url, storyId, passageIndex], n) => ({
+      id: id(n),
+      vector: vectors[n],
+      payload: {
+        articleId: passageIndex === 0 ? id(n) : id(0),
+        title,
+        source,
+        url,
+        publishedAt: '2025-09-12T08:00:00Z',
+        passageIndex,
+        ...(storyId && { storyId }),
+      },
+    }))
+  );
+});
+
+after(() => {
+  fs.rmSync(scratch('vectors'), { force: true });
+});
+
+test('related articles leave out the article, its story and copies of its URL', async () => {
+  const { article, related } = await articleService.getRelated(id(0));
+
+  assert.equal(article.title, POINTS[0][0]);
+  assert.deepEqual(related.map((a) => a.url), ['https://example.com/oli', 'https://example.com/louvre']);
+  assert.ok(related[0].score > related[1].score);
+});
+
+test('related articles can be filtered and limited', async () => {
+  const { filters } = parseFilters({ sources: ['BBC News'] });
+  const { related } = await articleService.getRelated(id(0), { filters });
+  assert.deepEqual(related.map((a) => a.url), ['https://example.com/louvre']);
+
+  assert.equal((await articleService.getRelated(id(0), { limit: 1, diversify: true })).related.length, 1);
+});
+
+test('unknown ids and later passages have no related articles', async () => {
+  assert.equal(await articleService.getRelated('00000000-0000-4000-8000-000000000599'), null);
+  assert.equal(await articleService.getRelated(id(6)), null);
+});
@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/env');
+const { llm } = require('../config/llm');
+const { rerank, parseRerankOptions, resolveRerankOptions } = require('../services/rerankers');
+
+const hit = (id, score, title, text) => ({ id, score, payload: { title, text } });
+const HITS = [
+  hit('markets', 0.9, 'Markets rally', 'Stocks rose in Asia on Friday.'),
+  hit('karki', 0.8, 'Karki sworn in', 'Sushila Karki was sworn in as interim prime minister of Nepal.'),
+  hit('floods', 0.7, 'Floods in Nepal', 'Monsoon floods hit western Nepal.'),
+];
+const QUERY = 'interim prime minister of Nepal';
+
+test('lexical reranking puts passages sharing the query terms first', async () => {
+  const ranked = await rerank(QUERY, HITS, 'lexical');
+
+  assert.deepEqual(ranked.map((h) => h.id), ['karki', 'floods', 'markets']);
+  assert.equal(ranked[0].rerankScore, 1);
+  assert.equal(ranked[0].retrievalScore, 0.8);
+  assert.equal(ranked[0].reranker, 'lexical');
+});
+
+test('the retrieval score still breaks ties between equal rerank scores', async () => {
+  const ranked = await rerank('volcano', HITS, 'lexical');
+
+  assert.deepEqual(ranked.map((h) => h.id), ['markets', 'karki', 'floods']);
+  assert.ok(Math.abs(ranked[0].score - 0.2) < 1e-9);
+});
+
+test('the llm reranker orders by the grades the model returns', async (t) => {
+  t.mock.method(llm, 'generate', async () => 'Scores: [{"id": 0, "score": 1}, {"id": 1, "score": 4}, {"id": 2, "score": 9}]');
+
+  const ranked = await rerank(QUERY, HITS, 'llm');
+  assert.deepEqual(ranked.map((h) => h.id), ['floods', 'karki', 'markets']);
+  assert.deepEqual(ranked.map((h) => h.rerankScore), [0.9, 0.4, 0.1]);
+});
+
+test('unusable llm output falls back to lexical overlap', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(llm, 'generate', async () => '[{"id": 0, "score": 5}]');
+
+  const ranked = await rerank(QUERY, HITS, 'llm');
+  assert.deepEqual(ranked.map((h) => h.id), ['karki', 'floods', 'markets']);
+});
+
+test('"none" and empty candidate lists leave hits untouched', async () => {
+  assert.equal(await rerank(QUERY, HITS, 'none'), HITS);
+  assert.deepEqual(await rerank(QUERY, [], 'lexical'), []);
+});
+
+test('rerank options are validated and defaulted', () => {
+  assert.deepEqual(parseRerankOptions({ reranker: 'llm', candidates: 50 }), {
+    rerank: { reranker: 'llm', candidates: 50 },
+  });
+  assert.match(parseRerankOptions({ reranker: 'cohere' }).error, /one of: lexical, llm, none/);
+  assert.match(parseRerankOptions({ candidates: 500 }).error, /between 1 and 100/);
+  assert.deepEqual(resolveRerankOptions(), { reranker: 'lexical', candidates: 30 });
+});
@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/fakeRedis');
+const sessionService = require('../services/sessionService');
+
+test('records turns and returns them as role/content pairs', async () => {
+  const { id } = await sessionService.createSession();
+  await sessionService.updateSessionActivity(id, 'What happened in Nepal?');
+  await sessionService.updateSessionActivity(id, null, { answer: 'Protests turned deadly [1].' });
+  await sessionService.updateSessionActivity(id, 'Who resigned?', 'The prime minister resigned.');
+
+  assert.deepEqual(await sessionService.getRecentMessages(id), [
+    { role: 'user', content: 'What happened in Nepal?' },
+    { role: 'assistant', content: 'Protests turned deadly [1].' },
+    { role: 'user', content: 'Who resigned?' },
+    { role: 'assistant', content: 'The prime minister resigned.' },
+  ]);
+  assert.equal((await sessionService.getSession(id)).messageCount, 4);
+});
+
+test('limits history to the most recent turns', async () => {
+  const { id } = await sessionService.createSession();
+  for (let i = 0; i < 5; i++) await sessionService.updateSessionActivity(id, `question ${i}`);
+
+  const recent = await sessionService.getRecentMessages(id, 2);
+  assert.deepEqual(recent.map((m) => m.content), ['question 3', 'question 4']);
+});
+
+test('unknown sessions have no history and are not created', async () => {
+  assert.deepEqual(await sessionService.getRecentMessages('missing'), []);
+  assert.equal(await sessionService.updateSessionActivity('missing', 'hi'), false);
+  assert.equal(await sessionService.getSession('missing'), null);
+});
@@ -0,0 +1,77 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/env');
+const storyIndex = require('../services/storyIndex');
+
+const article = (url, embedding, fields = {}) => ({
+  id: url,
+  url,
+  embedding,
+  title: `Story at ${url}`,
+  source: 'BBC News',
+  publishedAt: '2025-09-12T08:00:00Z',
+  ...fields
+});
+
+const closeTo = (actual, expected) =>
+  actual.every((v, i) => Math.abs(v - expected[i]) < 1e-5);
+
+beforeEach(() => storyIndex.clear());
+after(() => storyIndex.clear());
+
+test('articles close to a story centroid join it, others start a new one', () => {
+  const first = storyIndex.assign(article('a', [1, 0, 0]));
+  const second = storyIndex.assign(article('b', [0.95, 0.05, 0], { source: 'Reuters' }));
+  const other = storyIndex.assign(article('c', [0, 0, 1]));
+
+  assert.equal(second, first);
+  assert.notEqual(other, first);
+  assert.deepEqual(storyIndex.get(first).sources, ['BBC News', 'Reuters']);
+  assert.equal(storyIndex.get(first).articleCount, 2);
+});
+
+test('articles outside the time window start a new story', () => {
+  const first = storyIndex.assign(article('a', [1, 0, 0]));
+  const later = storyIndex.assign(article('b', [1, 0, 0], { publishedAt: '2025-10-12T08:00:00Z' }));
+  assert.notEqual(later, first);
+});
+
+test('re-ingesting a URL into the same story keeps one member and the centroid', () => {
+  const id = storyIndex.assign(article('a', [1, 0, 0]));
+  storyIndex.assign(article('b', [0.9, 0.1, 0]));
+  const centroid = storyIndex.stories.get(id).centroid;
+
+  assert.equal(storyIndex.assign(article('b', [0.9, 0.1, 0])), id);
+  assert.equal(storyIndex.get(id).articleCount, 2);
+  assert.ok(closeTo(storyIndex.stories.get(id).centroid, centroid));
+});
+
+test('a re-ingested article that changed moves out of its old story', () => {
+  const id = storyIndex.assign(article('a', [1, 0, 0]));
+  storyIndex.assign(article('b', [0.9, 0.1, 0]));
+
+  const moved = storyIndex.assign(article('b', [0, 0, 1]), { previousEmbedding: [0.9, 0.1, 0] });
+
+  assert.notEqual(moved, id);
+  assert.deepEqual(storyIndex.get(id).members.map((m) => m.url), ['a']);
+  assert.ok(closeTo(storyIndex.stories.get(id).centroid, [1, 0, 0]));
+  assert.deepEqual(storyIndex.get(moved).members.map((m) => m.url), ['b']);
+});
+
+test('a story left empty is deleted, and a lone article keeps its id', () => {
+  const lone = storyIndex.assign(article('a', [1, 0, 0]));
+  const target = storyIndex.assign(article('b', [0, 1, 0]));
+
+  assert.equal(storyIndex.assign(article('a', [0, 0, 1])), lone);
+  assert.equal(storyIndex.assign(article('a', [0, 1, 0])), target);
+  assert.equal(storyIndex.get(lone), null);
+  assert.equal(storyIndex.list().total, 1);
+});
+
+test('stories survive a save and reload', () => {
+  const id = storyIndex.assign(article('a', [1, 0, 0]));
+  storyIndex.save();
+  storyIndex.load();
+
+  assert.equal(storyIndex.get(id).title, 'Story at a');
+});
@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const textChunker = require('../services/textChunker');
+
+const sentence = (n) => `Sentence number ${n} talks about the news of the day.`;
+
+test('returns no passages for empty text', () => {
+  assert.deepEqual(textChunker.chunk(''), []);
+  assert.deepEqual(textChunker.chunk('   \n  '), []);
+});
+
+test('keeps short text in a single passage', () => {
+  const passages = textChunker.chunk('One sentence. Another one.');
+  assert.equal(passages.length, 1);
+  assert.deepEqual(passages[0], { index: 0, offset: 0, text: 'One sentence. Another one.' });
+});
+
+test('splits on sentence boundaries within the chunk size', () => {
+  const text = Array.from({ length: 20 }, (_, i) => sentence(i)).join(' ');
+  const passages = textChunker.chunk(text, { chunkSize: 200, chunkOverlap: 0 });
+
+  assert.ok(passages.length > 1);
+  for (const passage of passages) {
+    assert.ok(passage.text.length <= 200, `passage of ${passage.text.length} chars`);
+    assert.match(passage.text, /^Sentence number \d+/);
+    assert.match(passage.text, /\.$/);
+  }
+});
+
+test('offsets point at the passage text in the original', () => {
+  const text = Array.from({ length: 12 }, (_, i) => sentence(i)).join(' ');
+  for (const passage of textChunker.chunk(text, { chunkSize: 150, chunkOverlap: 60 })) {
+    assert.equal(text.substring(passage.offset, passage.offset + passage.text.length), passage.text);
+  }
+});
+
+test('neighbouring passages overlap by trailing sentences', () => {
+  const text = Array.from({ length: 12 }, (_, i) => sentence(i)).join(' ');
+  const passages = textChunker.chunk(text, { chunkSize: 150, chunkOverlap: 60 });
+
+  for (let i = 1; i < passages.length; i++) {
+    const previousEnd = passages[i - 1].offset + passages[i - 1].text.length;
+    assert.ok(passages[i].offset < previousEnd, `passage ${i} does not overlap`);
+  }
+});
+
+test('starts a new passage at a paragraph once the current one is half full', () => {
+  const first = Array.from({ length: 3 }, (_, i) => sentence(i)).join(' ');
+  const second = Array.from({ length: 3 }, (_, i) => sentence(i + 3)).join(' ');
+  const passages = textChunker.chunk(`${first}\n\n${second}`, { chunkSize: 250, chunkOverlap: 60 });
+
+  assert.equal(passages.length, 2);
+  assert.equal(passages[0].text, first);
+  // The overlap carries across the paragraph break
+  assert.equal(passages[1].text, `${sentence(2)}\n\n${second}`);
+});
+
+test('passages with paragraph breaks and overlap stay within the chunk size', () => {
+  const text = Array.from({ length: 10 }, (_, p) =>
+    Array.from({ length: 2 }, (_, i) => sentence(p * 2 + i)).join(' ')
+  ).join('\n\n');
+  const passages = textChunker.chunk(text, { chunkSize: 160, chunkOverlap: 60 });
+
+  assert.ok(passages.length > 1);
+  for (const [i, passage] of passages.entries()) {
+    assert.ok(passage.text.length <= 160, `passage ${i} has ${passage.text.length} chars`);
+    if (i > 0) {
+      const previousEnd = passages[i - 1].offset + passages[i - 1].text.length;
+      assert.ok(passage.offset < previousEnd, `passage ${i} does not overlap`);
+    }
+  }
+});
+
+test('hard-splits sentences longer than the chunk size on whitespace', () => {
+  const text = Array.from({ length: 60 }, () => 'word').join(' ');
+  const passages = textChunker.chunk(text, { chunkSize: 50, chunkOverlap: 0 });
+
+  assert.ok(passages.length > 1);
+  for (const passage of passages) {
+    assert.ok(passage.text.length <= 50);
+    assert.doesNotMatch(passage.text, /wo$|^rd/);
+  }
+});
@@ -0,0 +1,69 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { scratch } = require('./helpers/env');
+const embeddings = require('../config/embeddings');
+const vectorStore = require('../config/vectorStore');
+const lexicalIndex = require('../services/lexicalIndex');
+const { llm } = require('../config/llm');
+const timelineService = require('../services/timelineService');
+
+// Stored out of date order; the two 12 September reports cover one event
+const ARTICLES = [
+  ['2025-09-12T09:00:00Z', 'BBC News', 'Sushila Karki sworn in as Nepal interim prime minister', 'Sushila Karki was sworn in as interim prime minister of Nepal on Friday.'],
+  ['2025-09-08T10:00:00Z', 'BBC News', 'Deadly protests erupt in Nepal over social media ban', 'Police opened fire on protesters in Kathmandu, Nepal. At least 19 people died.'],
+  ['2025-09-12T15:00:00Z', 'Reuters', 'Karki sworn in as Nepal interim prime minister', 'Former chief justice Sushila Karki took office in Nepal.'],
+  ['2025-09-09T08:00:00Z', 'Reuters', 'Nepal prime minister Oli resigns', 'KP Sharma Oli resigned as prime minister of Nepal after the protests.'],
+  ['2025-09-10T08:00:00Z', 'BBC News', 'Louvre jewels stolen in daylight heist', 'Thieves stole jewels from the Louvre in Paris.'],
+];
+
+before(async () => {
+  await vectorStore.initialize();
+  const vectors = await embeddings.embed(ARTICLES.map(([, , title, text]) => `${title}\n${text}`));
+  const points = ARTICLES.map(([publishedAt, source, title, text], i) => {
+    const id = `00000000-0000-4000-8000-00000000020${i}`;
+    return {
+      id,
+      vector: vectors[i],
+      payload: { articleId: id, title, text, source, publishedAt, url: `https://example.com/${i}`, passageIndex: 0 },
+    };
+  });
+  await vectorStore.upsert(points);
+  for (const { id, payload } of points) lexicalIndex.addDocument(id, payload.articleId, `${payload.title}\n${payload.text}`);
+  lexicalIndex.save();
+});
+
+after(() => {
+  for (const name of ['vectors', 'lexical']) fs.rmSync(scratch(name), { force: true });
+});
+
+test('events are in date order, with same-day reports of one event merged', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(llm, 'generate', async () => '1. Protests over a social media ban turn deadly.\n3. Karki takes office.');
+
+  const timeline = await timelineService.buildTimeline('Nepal');
+
+  assert.deepEqual(timeline.events.map((e) => e.date), ['2025-09-08', '2025-09-09', '2025-09-12']);
+  assert.deepEqual(timeline.events.map((e) => e.sourceIndices), [[0], [1], [2, 3]]);
+  assert.deepEqual(timeline.sources.slice(2).map((s) => s.source), ['BBC News', 'Reuters']);
+  assert.ok(!timeline.sources.some((s) => s.title.includes('Louvre')));
+
+  // Events the model skipped fall back to the lead article's first sentence
+  assert.deepEqual(timeline.events.map((e) => e.summary), [
+    'Protests over a social media ban turn deadly.',
+    'KP Sharma Oli resigned as prime minister of Nepal after the protests.',
+    'Karki takes office.',
+  ]);
+});
+
+test('timelines render as dated bullets citing their sources', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(llm, 'generate', async () => '');
+
+  const timeline = await timelineService.buildTimeline('Nepal');
+  const lines = timelineService.formatTimeline(timeline).split('\n');
+
+  assert.equal(lines.length, 3);
+  assert.match(lines[2], /^- \*\*2025-09-12\*\*: Sushila Karki was sworn in .+ \[3\]\[4\]$/);
+  assert.match(timelineService.formatTimeline({ query: 'Mars', events: [] }), /couldn’t find enough dated coverage of "Mars"/);
+});
@@ -0,0 +1,79 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { redis } = require('./helpers/env');
+const trendingService = require('../services/trendingService');
+const { parseWindow } = require('../services/trendingService');
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * 3600 * 1000).toISOString();
+let nextUrl = 0;
+const article = (hours, people, fields = {}) => ({
+  title: `Article ${nextUrl}`,
+  url: `https://example.com/${nextUrl++}`,
+  source: 'BBC News',
+  publishedAt: hoursAgo(hours),
+  entities: { people, organizations: [], places: [] },
+  ...fields,
+});
+
+beforeEach(async (t) => {
+  t.mock.method(console, 'log', () => {});
+  redis.flushAll();
+});
+
+test('items rising above their baseline trend, steady and rare ones do not', async () => {
+  const karki = [
+    article(2, ['Sushila Karki'], { storyId: 'karki', title: 'Karki sworn in' }),
+    article(1, ['Sushila Karki'], { storyId: 'karki', title: 'Karki sworn in' }),
+    article(10, ['Sushila Karki', 'Keir Starmer']),
+  ];
+  await trendingService.recordArticles([
+    ...karki,
+    article(12, ['Keir Starmer', 'Louvre']),
+    // Starmer's usual coverage: 6 mentions over the previous three days
+    ...Array.from({ length: 6 }, (_, i) => article(30 + i * 8, ['Keir Starmer'])),
+  ]);
+
+  const { entities, stories, window } = await trendingService.getTrending({ hours: 24 });
+
+  assert.equal(window, '24h');
+  assert.deepEqual(entities.map((e) => [e.key, e.name, e.count, e.baseline]), [['sushila karki', 'Sushila Karki', 3, 0]]);
+  // Examples are the newest articles first
+  assert.deepEqual(entities[0].examples.map((a) => a.url), [karki[1].url, karki[0].url, karki[2].url]);
+  assert.deepEqual(stories.map((s) => [s.key, s.name, s.count]), [['karki', 'Karki sworn in', 2]]);
+});
+
+test('the window only counts articles published inside it', async () => {
+  await trendingService.recordArticles([
+    article(1, ['Sushila Karki']),
+    article(2, ['Sushila Karki']),
+    article(10, ['Sushila Karki']),
+  ]);
+
+  assert.equal((await trendingService.getTrending({ hours: 24 })).entities[0].count, 3);
+  assert.equal((await trendingService.getTrending({ hours: 6 })).entities[0].count, 2);
+});
+
+test('re-ingested articles are not counted twice', async () => {
+  const articles = [article(1, ['Sushila Karki']), article(2, ['Sushila Karki'])];
+
+  assert.equal(await trendingService.recordArticles(articles), 2);
+  assert.equal(await trendingService.recordArticles(articles), 0);
+  assert.equal((await trendingService.getTrending()).entities[0].count, 2);
+});
+
+test('warm queries use trending story titles, then entities', async () => {
+  await trendingService.recordArticles([
+    article(1, ['Sushila Karki'], { storyId: 'karki', title: 'Karki sworn in' }),
+    article(2, ['Sushila Karki'], { storyId: 'karki', title: 'Karki sworn in' }),
+  ]);
+
+  assert.deepEqual(await trendingService.getWarmQueries(), ['Karki sworn in', 'Latest news about Sushila Karki']);
+});
+
+test('windows are validated', () => {
+  assert.deepEqual(parseWindow('6h'), { hours: 6 });
+  assert.deepEqual(parseWindow('3d'), { hours: 72 });
+  assert.match(parseWindow('8d').error, /between 1h and 7d/);
+  assert.match(parseWindow('0h').error, /between 1h and 7d/);
+  assert.match(parseWindow('week').error, /between 1h and 7d/);
+});
@@ -0,0 +1,65 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { scratch, redis } = require('./helpers/env');
+const embeddings = require('../config/embeddings');
+const vectorStore = require('../config/vectorStore');
+const cacheService = require('../services/cacheService');
+const ragService = require('../services/ragService');
+const { resolveChatOptions } = require('../services/chatOptions');
+
+const QUERY = 'Who was sworn in as interim prime minister of Nepal?';
+
+before(async () => {
+  redis.flushAll();
+  await vectorStore.initialize();
+  await vectorStore.upsert([
+    {
+      id: '7d0c8f5e-0000-4000-8000-000000000001',
+      // The query's own embedding, so the article is retrieved for it
+      vector: await embeddings.embedSingle(QUERY),
+      payload: {
+        title: 'Sushila Karki sworn in as interim prime minister of Nepal',
+        text: 'Sushila Karki was sworn in as interim prime minister of Nepal on Friday.',
+        source: 'BBC News',
+        url: 'https://example.com/nepal',
+        publishedAt: '2025-09-12T18:00:00Z',
+        passageIndex: 0,
+      },
+    },
+  ]);
+});
+
+after(() => {
+  for (const name of ['vectors', 'lexical']) fs.rmSync(scratch(name), { force: true });
+});
+
+// What POST /api/chat/message passes to the pipeline
+async function chat(body) {
+  const { options } = await resolveChatOptions(body);
+  return ragService.answer(body.message, { sessionId: 'warm-cache-test', ...options });
+}
+
+test('a warmed query is served from the cache on the chat path', async () => {
+  await cacheService.warmCache([QUERY]);
+  assert.equal((await cacheService.getSemanticCacheStats()).entries, 1);
+
+  const response = await chat({ message: QUERY, sessionId: 'warm-cache-test' });
+  assert.equal(response.fromCache, true);
+  assert.equal(response.cachedQuery, QUERY);
+});
+
+test('warming lookups are left out of the hit-rate stats', async () => {
+  const unwarmed = await cacheService.getSemanticCacheStats();
+  await cacheService.warmCache([QUERY]);
+  const warmed = await cacheService.getSemanticCacheStats();
+
+  for (const outcome of ['hits', 'misses', 'nearMisses', 'stale']) {
+    assert.equal(warmed[outcome], unwarmed[outcome], outcome);
+  }
+});
+
+test('chat requests with other options do not get the warmed answer', async () => {
+  const response = await chat({ message: QUERY, sessionId: 'warm-cache-test', topK: 5 });
+  assert.equal(response.fromCache, undefined);
+});